@@ -25,3 +25,42 @@ SELECT
   )
   GROUP BY bucket
   ORDER BY bucket;
+
+-- Planned dispositions, from `yarn plan-dispositions`
+SELECT disposition, count(*) FROM dispositions GROUP BY disposition;
+
+-- A sample of each disposition, with reasons, for review
+SELECT * FROM dispositions WHERE disposition = "placeholder"
+  ORDER BY random() LIMIT 20;
+
+-- Embedding sites (referrer hosts) by request count. For the full report,
+-- with requests per month, run `yarn report-embedding-sites`.
+SELECT referrerHost, host, count(*), count(DISTINCT outfitId), max(eventTime) FROM logs
+  GROUP BY referrerHost, host
+  ORDER BY count(*) DESC LIMIT 20;
+
+-- Logs by user agent class (see `user-agent-rules.json`)
+SELECT userAgentClass, count(*) FROM logs GROUP BY userAgentClass;
+
+-- The most common non-browser user agents, to check the rules against
+SELECT userAgentClass, userAgent, count(*) FROM logs
+  WHERE userAgentClass != "browser"
+  GROUP BY userAgent
+  ORDER BY count(*) DESC LIMIT 20;
+
+-- To count only human traffic in any query above, add:
+--   WHERE userAgentClass = "browser"
+
+-- Outfit images by usage trend, from `yarn rollup-usage`
+SELECT trend, count(*), sum(recentRequestCount), sum(previousRequestCount)
+  FROM usageTrends GROUP BY trend;
+
+-- Weekly requests for one outfit image
+SELECT weekStart, requestCount, humanRequestCount FROM weeklyUsage
+  WHERE outfitId = 894911 AND imageSize = 600
+  ORDER BY weekStart;
+
+-- Changes to the bucket, by run and action. See also `yarn query-ledger`.
+SELECT runId, action, count(*), sum(originalSize - newSize) FROM ledger
+  GROUP BY runId, action
+  ORDER BY min(id);
@@ -1,165 +1,282 @@
-const S3 = require("aws-sdk/clients/s3");
-const PromisePool = require("es6-promise-pool");
-const promiseRetry = require("promise-retry");
-const { timeout } = require("promise-timeout");
-
-const { backupImage, loadOutfitData } = require("./backup-image");
-const LRUCache = require("lru-cache");
+const {
+  backupImage,
+  closeImageWorkerPool,
+  logDryRunResult,
+  getBackupResultCsvRow,
+  humanFileSize,
+  BACKUP_RESULT_CSV_COLUMNS,
+} = require("./backup-image");
+const { hasFlag, getArgValue, getPositionalArgs } = require("./lib/args");
+const { runBulkOperation, logBulkSummary } = require("./lib/bulk-runner");
+const { createCsvWriter } = require("./lib/csv");
+const { loadCheckpoint, watchForInterrupt } = require("./lib/checkpoint");
+const { openDb } = require("./lib/db");
+const { loadDispositions, getDisposition } = require("./lib/dispositions");
+const { createLedger } = require("./lib/ledger");
+const {
+  createOutfitDataLoader,
+  loadOutfitDataBatch: loadOutfitDataBatchLive,
+} = require("./lib/outfit-data");
+const {
+  createSnapshotStore,
+  getSnapshotModeFromArgs,
+  withSnapshots,
+} = require("./lib/outfit-snapshots");
+const { parseS3Key } = require("./lib/outfit-keys");
+const { createProgressReporterFromArgs } = require("./lib/progress");
+const { createStorageFromArgs } = require("./lib/storage");
+const { startTracingFromArgs, stopTracing } = require("./lib/tracing");
 
+// How many keys we work on at a time, by default. Most of that time is
+// waiting on I/O, so this can be much more than the number of CPUs. (The
+// CPU-heavy parts happen on backup-image's thread pool, see `--threads`.)
 const NUM_WORKERS = 30;
 
+// NOTE: backup-image.js reads `--dry-run` itself, and skips its writes to
+//       storage. We just need to know about it for reporting!
+const dryRun = hasFlag("dry-run");
+
+const retryFailures = hasFlag("retry-failures");
+const restart = hasFlag("restart");
+const useDispositions = hasFlag("dispositions");
+
 async function main() {
-  const s3 = new S3({
-    params: { Bucket: "openneo-uploads" },
-    region: "us-east-1",
-  });
+  const numWorkers = Number(getArgValue("concurrency", NUM_WORKERS));
+  if (!Number.isInteger(numWorkers) || numWorkers < 1) {
+    throw new Error(
+      `--concurrency must be a positive integer, but was: ` +
+        getArgValue("concurrency")
+    );
+  }
 
-  let lastKey = process.argv[2] || null;
-  let numKeys = 0;
-  let numImageKeys = 0;
-  let numImageKeyNoOps = 0;
-  let numImageBackupKeys = 0;
-  const backupFailures = [];
-  for (let pageNum = 1; true; pageNum++) {
-    let keys;
-    try {
-      keys = await promiseRetry(
-        (retry, number) =>
-          timeout(getImageKeys(s3, lastKey), 5000).catch((err) => {
-            console.warn(
-              `Error loading keys from S3, retrying (StartAfter=${lastKey}, retry=${number})`,
-              err
-            );
-            retry(err);
-          }),
-        {
-          retries: 10,
-        }
-      );
-    } catch (err) {
-      console.error(
-        `Error loading keys from S3, giving up (StartAfter=${lastKey}):`,
-        err
+  const storage = createStorageFromArgs();
+
+  const csvPath = getArgValue("csv");
+  const csvWriter = csvPath
+    ? createCsvWriter(csvPath, BACKUP_RESULT_CSV_COLUMNS)
+    : null;
+
+  // We keep dry runs' progress separate, so they don't make a real run skip
+  // keys it never actually touched!
+  const checkpoint = await loadCheckpoint(
+    getArgValue(
+      "state",
+      dryRun ? "backup-all.dry-run.state.json" : "backup-all.state.json"
+    )
+  );
+  const isStopping = watchForInterrupt();
+
+  // Record our changes in the ledger. (Dry runs don't change anything!)
+  const db = dryRun ? null : await openDb();
+  const ledger = db
+    ? createLedger(db, { command: "backup-all", runId: getArgValue("run-id") })
+    : null;
+  if (ledger) {
+    console.info(`Recording changes in the ledger, run ID: ${ledger.runId}`);
+  }
+
+  // With `--dispositions`, follow the plan from `yarn plan-dispositions`.
+  // Unplanned images become placeholders, so an empty plan would turn
+  // *every* image into one. We refuse to do that!
+  let dispositions = null;
+  if (useDispositions) {
+    const planDb = db || (await openDb());
+    dispositions = await loadDispositions(planDb);
+    if (planDb !== db) {
+      await planDb.close();
+    }
+    if (dispositions.size === 0) {
+      throw new Error(
+        `--dispositions was given, but no dispositions are planned yet. ` +
+          `Run \`yarn plan-dispositions\` first!`
       );
-      return 1;
     }
+    console.info(`Following the plan for ${dispositions.size} images`);
+  }
 
-    if (keys.length === 0) {
-      break;
-    }
+  // Load outfit data through snapshots, unless `--snapshots=off`. (See
+  // `lib/outfit-snapshots.js`.) Dry runs save them too, so that a real run
+  // after a dry run sees the same outfit data!
+  const snapshotMode = getSnapshotModeFromArgs();
+  const snapshotDb = snapshotMode === "off" ? null : db || (await openDb());
+  const loadOutfitDataBatch = snapshotDb
+    ? withSnapshots(loadOutfitDataBatchLive, createSnapshotStore(snapshotDb), {
+        mode: snapshotMode,
+      })
+    : loadOutfitDataBatchLive;
 
-    console.info(
-      `Page ${pageNum}: ${keys[0]} to ${keys[keys.length - 1]} ` +
-        `(${keys.length} keys)`
-    );
+  // Start after the key given on the CLI, if any. Otherwise, resume from
+  // the checkpoint, unless we've been asked to restart from the beginning.
+  const startAfter =
+    getPositionalArgs()[0] || (restart ? null : checkpoint.lastCompletedKey);
 
-    const imageKeys = keys.filter((key) => key.endsWith(".png"));
-    const imageBackupKeys = keys.filter((key) => key.endsWith(".png.bkup"));
-
-    numKeys += keys.length;
-    numImageKeys += imageKeys.length;
-    numImageBackupKeys += imageBackupKeys.length;
-
-    let imageKeyIndex = 0;
-    const backupImagePromiseProducer = () => {
-      if (imageKeyIndex < imageKeys.length) {
-        const key = imageKeys[imageKeyIndex];
-        imageKeyIndex++;
-        return backupImageWithRetries(s3, key)
-          .then((didMakeChanges) => {
-            if (!didMakeChanges) {
-              numImageKeyNoOps += 1;
-            }
-          })
-          .catch((error) => {
-            console.error(`Error backing up ${key}, giving up:`, error);
-            backupFailures.push({ key, error });
-          });
-      } else {
-        return null;
-      }
-    };
+  const progress = await createProgressReporterFromArgs("backup-all", {
+    startAfter,
+    dryRun,
+  });
+  await progress.start();
+  startTracingFromArgs("backup-all");
 
-    const pool = new PromisePool(backupImagePromiseProducer, NUM_WORKERS);
-    await pool.start();
+  const summary = await backupAll(storage, {
+    checkpoint,
+    isStopping,
+    startAfter,
+    retryFailures,
+    ledger,
+    loadOutfitDataBatch,
+    numWorkers,
+    progress,
+    dispositions,
+    onResult: (result) => {
+      if (dryRun) {
+        logDryRunResult(result);
+      }
+      if (csvWriter) {
+        csvWriter.writeRow(getBackupResultCsvRow(result));
+      }
+    },
+  });
 
-    lastKey = keys[keys.length - 1];
+  await progress.stop();
+  await closeImageWorkerPool();
+  await stopTracing();
+  if (csvWriter) {
+    await csvWriter.close();
+  }
+  if (ledger) {
+    await ledger.close();
+    await db.close();
+  }
+  if (snapshotDb && snapshotDb !== db) {
+    await snapshotDb.close();
   }
 
+  const { numKeys, numImageKeys, numImageBackupKeys, numSavedBytes } = summary;
   const numOtherKeys = numKeys - numImageKeys - numImageBackupKeys;
 
-  const numSuccesses = numImageKeys - numImageKeyNoOps - backupFailures.length;
-  const numFailures = backupFailures.length;
+  logBulkSummary(summary, {
+    checkpoint,
+    isStopping,
+    dryRun,
+    keysLabel: `image keys (backed up!)`,
+    extraLines: [
+      `- ${numImageBackupKeys} backup image keys (skipped!)`,
+      `- ${numOtherKeys} other keys (skipped!)`,
+      `- ${humanFileSize(numSavedBytes)} saved by compression ` +
+        `(compared to re-rendered originals)`,
+    ],
+  });
 
-  console.info(`Done!`);
-  console.info(`Failed keys (count: ${backupFailures.length}):`);
-  for (const { key, error } of backupFailures) {
-    console.info(`- ${key} (${error.message})`);
+  if (summary.didGiveUp) {
+    return 1;
   }
-  console.info(`Summary:`);
-  console.info(`- ${numImageKeys} image keys (backed up!)`);
-  console.info(
-    `  - ${numSuccesses} successes, ${numImageKeyNoOps} no-ops, ${numFailures} failures`
-  );
-  console.info(`- ${numImageBackupKeys} backup image keys (skipped!)`);
-  console.info(`- ${numOtherKeys} other keys (skipped!)`);
-  console.info(`- ${numKeys} total`);
+  return isStopping() ? 130 : 0;
 }
 
-async function getImageKeys(s3, startAfter) {
-  const res = await s3
-    .listObjectsV2({
-      MaxKeys: 1000,
-      StartAfter: startAfter,
-      Prefix: "outfits/",
-    })
-    .promise();
-  return res.Contents.map((obj) => obj.Key);
-}
-
-// Even more aggressive than caching the outfit data, we cache the outfit
-// data fetching *promise*. This means that, if multiple requests come in
-// for the same outfit in succession, *while the first outfit data request
-// is still loading*, they'll use a single request instead of making their
-// own.
+// Walk the bucket, starting after `startAfter`, and back up every image key.
+// Progress and failures go into the `checkpoint` as we go. Or, if
+// `retryFailures` is true, just retry the checkpoint's failed keys instead.
+// Changes go into the `ledger`, and progress goes to the `progress`
+// reporter (see `lib/progress.js`), if given. Outfit data comes from
+// `loadOutfitDataBatch` (see `lib/outfit-data.js`).
 //
-// I only expect NUM_WORKERS entries to be possibly relevant, since we
-// should process outfits in batches because the keys are adjacent.
-// But I double it just to lean on the side of over-caching!
-const OUTFIT_DATA_PROMISES_CACHE = new LRUCache(NUM_WORKERS * 2);
-
-async function loadOutfitDataWithCaching(outfitId) {
-  const cachedOutfitDataPromise = OUTFIT_DATA_PROMISES_CACHE.get(outfitId);
-  if (cachedOutfitDataPromise) {
-    return await cachedOutfitDataPromise;
+// By default, every image is compressed. If `dispositions` is given (see
+// `loadDispositions` in `lib/dispositions.js`), each image gets what was
+// planned for it instead: compressed, replaced with a placeholder, or left
+// alone entirely.
+async function backupAll(
+  storage,
+  {
+    checkpoint,
+    isStopping = () => false,
+    startAfter = null,
+    retryFailures = false,
+    ledger = null,
+    loadOutfitDataBatch = loadOutfitDataBatchLive,
+    numWorkers = NUM_WORKERS,
+    onResult = () => {},
+    keyRetryOptions = { retries: 5 },
+    progress = null,
+    dispositions = null,
   }
+) {
+  let numImageBackupKeys = 0;
+  let numSavedBytes = 0;
 
-  const outfitDataPromise = loadOutfitData(outfitId);
-  OUTFIT_DATA_PROMISES_CACHE.set(outfitId, outfitDataPromise);
-  return await outfitDataPromise;
-}
+  // Workers ask for the outfit data of adjacent outfits at about the same
+  // time, so we batch their requests together. (See `lib/outfit-data.js`.)
+  // We only expect about `numWorkers` outfits to be in flight at a time,
+  // since the keys are adjacent, but we cache twice that many, to lean on
+  // the side of over-caching!
+  const outfitDataLoader = createOutfitDataLoader({
+    loadBatch: loadOutfitDataBatch,
+    cacheSize: numWorkers * 2,
+  });
 
-async function backupImageWithRetries(s3, key) {
-  return await promiseRetry(
-    (retry, number) => {
-      // Read the outfit ID segments from the key, join them, and strip leading 0s.
+  const summary = await runBulkOperation(storage, {
+    filterKey: (key) => key.endsWith(".png"),
+    runKey: async (key) => {
+      // Read the outfit ID segments from the key, join them, and strip
+      // leading 0s.
       const outfitId = String(Number(key.split("/").slice(1, 4).join("")));
-      return timeout(
-        backupImage(s3, key, () => loadOutfitDataWithCaching(outfitId)),
-        10000
-      ).catch((err) => {
-        console.error(`Error backing up ${key} (retry=${number}):`, err);
-        retry(err);
-        return false;
+
+      // Keys that aren't outfit images can't be in the plan, so they're
+      // compressed, same as without one.
+      const parsedKey = dispositions ? parseS3Key(key) : null;
+      const disposition = parsedKey
+        ? getDisposition(dispositions, parsedKey.outfitId, parsedKey.imageSize)
+        : "compress";
+      if (disposition === "leave-alone") {
+        return {
+          key,
+          backup: "skipped-leave-alone",
+          replacement: "skipped-leave-alone",
+          didMakeChanges: false,
+        };
+      }
+
+      return backupImage(storage, key, () => outfitDataLoader.load(outfitId), {
+        mode: disposition,
+        ledger,
       });
     },
-    { retries: 5 }
-  );
+    checkpoint,
+    isStopping,
+    startAfter,
+    retryFailures,
+    numWorkers,
+    keyRetryOptions,
+    progress,
+    onPage: (keys) => {
+      numImageBackupKeys += keys.filter((key) =>
+        key.endsWith(".png.bkup")
+      ).length;
+    },
+    onResult: (result) => {
+      if (result.originalSize != null && result.newSize != null) {
+        numSavedBytes += result.originalSize - result.newSize;
+      }
+      onResult(result);
+    },
+  });
+
+  return {
+    ...summary,
+    numImageKeys: summary.numMatchingKeys,
+    numImageKeyNoOps: summary.numNoOps,
+    numImageBackupKeys,
+    numSavedBytes,
+    backupFailures: summary.failures,
+  };
 }
 
-main()
-  .then((responseCode = 0) => process.exit(responseCode))
-  .catch((err) => {
-    console.error(err);
-    process.exit(1);
-  });
+module.exports = { backupAll };
+
+if (require.main === module) {
+  main()
+    .then((responseCode = 0) => process.exit(responseCode))
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
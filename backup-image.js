@@ -1,130 +1,215 @@
-const stream = require("stream");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { getVisibleLayers } = require("./lib/getVisibleLayers");
+const { loadLayers, compositeLayers } = require("./lib/outfit-images");
+const { getPlaceholderImage } = require("./lib/placeholder-images");
+const { getOutfitImageKeys } = require("./lib/outfit-keys");
+const { getArgValue, getPositionalArgs } = require("./lib/args");
+const {
+  compressImage,
+  loadCompressionStrategies,
+} = require("./lib/compression");
+const { createCsvWriter } = require("./lib/csv");
+const { openDb } = require("./lib/db");
+const { compareImages } = require("./lib/image-diff");
+const { createLayerCache } = require("./lib/layer-cache");
+const { createLedger, skipRecordingChange } = require("./lib/ledger");
+const {
+  createOutfitDataLoader,
+  loadOutfitData,
+  loadOutfitDataBatch,
+} = require("./lib/outfit-data");
+const {
+  createSnapshotStore,
+  getSnapshotModeFromArgs,
+  withSnapshots,
+} = require("./lib/outfit-snapshots");
+const { createStorageFromArgs } = require("./lib/storage");
+const { createWorkerPool } = require("./lib/worker-pool");
+const {
+  trace,
+  withTrace,
+  startTracingFromArgs,
+  stopTracing,
+} = require("./lib/tracing");
 
-const fetch = require("node-fetch");
-const S3 = require("aws-sdk/clients/s3");
-const PngQuant = require("pngquant");
-const gql = require("graphql-tag");
-const { print: graphqlPrint } = require("graphql/language/printer");
+const force = process.argv.includes("--force");
+// `--placeholder` replaces this one outfit's images with placeholders. (To do
+// it in bulk, use `backup-all --dispositions`, which follows the plan from
+// `plan-dispositions`.)
+const usePlaceholder = process.argv.includes("--placeholder");
+
+// In dry-run mode, we do all the same reading, rendering, and compressing, but
+// skip every write to storage, and just report what we *would* have done.
+const dryRun = process.argv.includes("--dry-run");
+
+// Before replacing an original with a re-render, we check that they still
+// look the same, and refuse if more than this share of the pixels changed.
+// (You can skip the check with `--skip-verify`, e.g. once you've reviewed the
+// diffs and decided the re-render is fine.)
+const skipVerify = process.argv.includes("--skip-verify");
+const maxMismatchRatio = Number(getArgValue("max-mismatch", 0.01));
+if (!(maxMismatchRatio >= 0 && maxMismatchRatio <= 1)) {
+  throw new Error(
+    `--max-mismatch must be a number from 0 to 1, but was: ` +
+      getArgValue("max-mismatch")
+  );
+}
+const diffDir = getArgValue("diff-dir", "render-mismatches");
 
-const {
-  getVisibleLayers,
-  petAppearanceFragmentForGetVisibleLayers,
-  itemAppearanceFragmentForGetVisibleLayers,
-} = require("./lib/getVisibleLayers");
-const { renderOutfitImage } = require("./lib/outfit-images");
-
-// HACK: Use Node's testing APIs to be able to log custom trace
-//       events. I… genuinely didn't find a better way to do
-//       local nodejs custom tracing??
-//
-// To enable tracing, run this with:
-//     node --expose-internals --trace-event-categories app
-//
-// Without that, the require will throw an error, so the trace
-// functions will be no-ops!
-let trace;
-let withTrace;
-try {
-  const { internalBinding } = require("internal/test/binding");
-  const rawTrace = internalBinding("trace_events").trace;
-
-  // `trace` lets you wrap an async block with start/end trace events!
-  // Like: `await trace("fetchThatOneWebpage", {url}, () => fetch(url))`
-  let nextTraceId = 0;
-  trace = async (eventName, traceArgs, fn) => {
-    let traceId = nextTraceId++;
-    rawTrace("b".charCodeAt(0), "app", eventName, traceId, traceArgs);
-    try {
-      return await fn();
-    } finally {
-      rawTrace("e".charCodeAt(0), "app", eventName, traceId, traceArgs);
-    }
-  };
+// Which ways to try compressing each image. (See `lib/compression.js`.)
+// Images that failed to compress before might do better with new strategies,
+// so `--retry-compression-failed` gives them another try.
+const compressionStrategies = loadCompressionStrategies(
+  getArgValue("compression-strategies") || undefined
+);
+const retryCompressionFailed = process.argv.includes(
+  "--retry-compression-failed"
+);
 
-  // `withTrace` lets you wrap an async function with start/end trace
-  // events for every time you call it! First parameter is the function,
-  // second parameter is a function to transform the arguments into an
-  // object of safe, serializable arguments to log with the trace.
-  withTrace =
-    (fn, getTraceArgsFromFnArgs, name = null) =>
-    (...args) =>
-      trace(name || fn.name, getTraceArgsFromFnArgs(...args), () =>
-        fn(...args)
-      );
-} catch (e) {
-  trace = (_, __, fn) => fn();
-  withTrace = (fn) => fn;
+// We keep layer images on disk, so each one is only downloaded once. (See
+// `lib/layer-cache.js`.) Use `--layer-cache=path` to keep them somewhere
+// else, `--layer-cache-size=N` to set the limit in MiB, or
+// `--no-layer-cache` to always download them. With `--layer-cache-only`, we
+// render entirely from the cache, and fail keys that need other layers.
+const layerCacheSizeMiB =
+  getArgValue("layer-cache-size") != null
+    ? Number(getArgValue("layer-cache-size"))
+    : null;
+if (layerCacheSizeMiB != null && !(layerCacheSizeMiB > 0)) {
+  throw new Error(
+    `--layer-cache-size must be a positive number of MiB, but was: ` +
+      getArgValue("layer-cache-size")
+  );
 }
+const layerCache = process.argv.includes("--no-layer-cache")
+  ? null
+  : createLayerCache({
+      dir: getArgValue("layer-cache", "layer-cache"),
+      maxBytes:
+        layerCacheSizeMiB != null ? layerCacheSizeMiB * 1024 * 1024 : undefined,
+      cacheOnly: process.argv.includes("--layer-cache-only"),
+    });
 
-// Adapted from https://github.com/matchu/impress-2020/blob/f932498066d6a35a778db3cdf600de62be438c6e/api/outfitImage.js#L172
-// Only change is to request all the sizes!
-const GRAPHQL_QUERY = gql`
-  query ApiOutfitImage($outfitId: ID!) {
-    outfit(id: $outfitId) {
-      petAppearance {
-        layers {
-          imageUrl600: imageUrl(size: SIZE_600)
-          imageUrl300: imageUrl(size: SIZE_300)
-          imageUrl150: imageUrl(size: SIZE_150)
-        }
-        ...PetAppearanceForGetVisibleLayers
-      }
-      itemAppearances {
-        layers {
-          imageUrl600: imageUrl(size: SIZE_600)
-          imageUrl300: imageUrl(size: SIZE_300)
-          imageUrl150: imageUrl(size: SIZE_150)
-        }
-        ...ItemAppearanceForGetVisibleLayers
-      }
-    }
+// Compositing layers and compressing images are CPU-bound, so we do them on
+// a pool of worker threads, one per CPU by default, to keep the main
+// thread free for I/O. (See `lib/worker-pool.js`.) Use `--threads=N` to
+// choose how many, or `--threads=0` to do them on the main thread instead.
+const numImageThreads = Number(getArgValue("threads", os.cpus().length));
+if (!Number.isInteger(numImageThreads) || numImageThreads < 0) {
+  throw new Error(
+    `--threads must be a non-negative integer, but was: ` +
+      getArgValue("threads")
+  );
+}
+let imageWorkerPool = null;
+const IMAGE_TASKS = { compositeLayers, compressImage };
+
+async function runImageTask(name, args) {
+  if (numImageThreads === 0) {
+    return await IMAGE_TASKS[name](...args);
+  }
+  if (!imageWorkerPool) {
+    imageWorkerPool = createWorkerPool(
+      path.join(__dirname, "lib", "image-worker.js"),
+      { size: numImageThreads }
+    );
   }
-  ${petAppearanceFragmentForGetVisibleLayers}
-  ${itemAppearanceFragmentForGetVisibleLayers}
-`;
-const GRAPHQL_QUERY_STRING = graphqlPrint(GRAPHQL_QUERY);
+  return await imageWorkerPool.run(name, args);
+}
 
-const force = process.argv.includes("--force");
+// Stop the image threads, if we started any.
+async function closeImageWorkerPool() {
+  if (imageWorkerPool) {
+    await imageWorkerPool.close();
+    imageWorkerPool = null;
+  }
+}
 
 async function main() {
-  const outfitId = process.argv[2];
+  const [outfitId] = getPositionalArgs();
   if (!outfitId) {
     throw new Error(
       `backup-image must receive an outfitId parameter on the CLI`
     );
   }
 
-  const s3 = new S3({
-    params: { Bucket: "openneo-uploads" },
-    region: "us-east-1",
+  const storage = createStorageFromArgs();
+  startTracingFromArgs(`backup-image ${outfitId}`);
+
+  // Record our changes in the ledger. (Dry runs don't change anything!)
+  const db = dryRun ? null : await openDb();
+
+  // Load outfit data through snapshots, unless `--snapshots=off`. (See
+  // `lib/outfit-snapshots.js`.)
+  const snapshotMode = getSnapshotModeFromArgs();
+  const snapshotDb = snapshotMode === "off" ? null : db || (await openDb());
+  const outfitDataLoader = createOutfitDataLoader({
+    loadBatch: snapshotDb
+      ? withSnapshots(loadOutfitDataBatch, createSnapshotStore(snapshotDb), {
+          mode: snapshotMode,
+        })
+      : loadOutfitDataBatch,
   });
 
   // NOTE: We preload outfit data, even though we might not end up using it.
   //       This helps us parallelize things better, to not bottleneck on it!
-  const outfitDataPromise = loadOutfitData(outfitId);
+  //       (Placeholders don't need it at all, though.)
+  const outfitDataPromise = usePlaceholder
+    ? null
+    : outfitDataLoader.load(outfitId);
   const getOutfitData = async () => await outfitDataPromise;
 
-  const pid = outfitId.padStart(9, "0");
-  const baseKey =
-    `outfits/${pid.substr(0, 3)}` +
-    `/${pid.substr(3, 3)}` +
-    `/${pid.substr(6, 3)}`;
-
   const handleError = (key, err) => {
     console.error(`[ERRR, ${key}]`, err);
   };
+  const ledger = db
+    ? createLedger(db, {
+        command: "backup-image",
+        runId: getArgValue("run-id"),
+      })
+    : null;
 
-  await Promise.all([
-    backupImage(s3, baseKey + "/preview.png", getOutfitData).catch((err) =>
-      handleError(baseKey + "/preview.png", err)
-    ),
-    backupImage(s3, baseKey + "/medium_preview.png", getOutfitData).catch(
-      (err) => handleError(baseKey + "/medium_preview.png", err)
-    ),
-    backupImage(s3, baseKey + "/small_preview.png", getOutfitData).catch(
-      (err) => handleError(baseKey + "/small_preview.png", err)
-    ),
-  ]);
+  const options = {
+    mode: usePlaceholder ? "placeholder" : "compress",
+    ledger,
+  };
+
+  const csvPath = getArgValue("csv");
+  const csvWriter = csvPath
+    ? createCsvWriter(csvPath, BACKUP_RESULT_CSV_COLUMNS)
+    : null;
+
+  await Promise.all(
+    getOutfitImageKeys(outfitId).map((key) =>
+      backupImage(storage, key, getOutfitData, options)
+        .then((result) => {
+          if (dryRun) {
+            logDryRunResult(result);
+          }
+          if (csvWriter) {
+            csvWriter.writeRow(getBackupResultCsvRow(result));
+          }
+        })
+        .catch((err) => handleError(key, err))
+    )
+  );
+
+  if (csvWriter) {
+    await csvWriter.close();
+  }
+  if (ledger) {
+    await ledger.close();
+    await db.close();
+    console.info(`Recorded changes in the ledger, run ID: ${ledger.runId}`);
+  }
+  if (snapshotDb && snapshotDb !== db) {
+    await snapshotDb.close();
+  }
+  await closeImageWorkerPool();
+  await stopTracing();
 }
 
 const FILENAME_TO_SIZE_MAP = {
@@ -133,79 +218,254 @@ const FILENAME_TO_SIZE_MAP = {
   "small_preview.png": 150,
 };
 
-async function backupImage(s3, key, getOutfitData) {
+// The replacement outcomes that mean we changed (or, in dry-run mode, would
+// change) the original image.
+const REPLACEMENT_CHANGES = new Set([
+  "compressed",
+  "compression-failed",
+  "render-mismatch",
+  "placeholder",
+]);
+
+// `mode` is either "compress", to replace the original with a compressed
+// re-render of the outfit (or a compressed copy of the original itself, if
+// the outfit can't be re-rendered), or "placeholder", to replace it with a
+// small placeholder image that points people to further instructions.
+//
+// If you pass a `ledger` (see `lib/ledger.js`), we record each change there.
+async function backupImage(
+  storage,
+  key,
+  getOutfitData,
+  { mode = "compress", ledger = null } = {}
+) {
+  if (mode !== "compress" && mode !== "placeholder") {
+    throw new Error(`Unexpected backup mode: ${mode}`);
+  }
+
   const backupKey = key + ".bkup";
 
-  // NOTE: We preload the compressed image, even if we might not end up
-  //       using it (in the case of an error during backup). This helps us
-  //       parallelize things better, to not bottleneck on it!
-  const originalImagePromise = buildOutfitImage(key, getOutfitData);
-  const compressedImagePromise = originalImagePromise.then(compressImage);
-  const getNewImages = async () => ({
-    originalImage: await originalImagePromise,
-    compressedImage: await compressedImagePromise,
-  });
+  // NOTE: We preload the new image, even if we might not end up using it (in
+  //       the case of an error during backup). This helps us parallelize
+  //       things better, to not bottleneck on it! (We skip the outfit
+  //       rendering entirely in placeholder mode, though; we won't need it!)
+  let getNewImages;
+  if (mode === "compress") {
+    const originalImagePromise = buildOutfitImage(key, getOutfitData);
+    const compressedPromise = originalImagePromise.then((image) =>
+      compressImageForKey(key, image)
+    );
+    getNewImages = async () => {
+      try {
+        const originalImage = await originalImagePromise;
+        const { image, strategy } = await compressedPromise;
+        return {
+          source: "rerender",
+          originalImage,
+          compressedImage: image,
+          strategy,
+        };
+      } catch (err) {
+        if (err.code !== "OutfitNotRenderable") {
+          throw err;
+        }
+
+        // If we can't re-render the outfit at all (it's gone, or its layers
+        // are broken), compress the image we already have instead, so it
+        // still gets its storage savings. We only load it now, once we know
+        // we need it, because it costs us a GET request.
+        console.warn(
+          `[WARN, ${key}] Could not re-render (${err.message}), ` +
+            `compressing the stored original instead`
+        );
+        const storedImage = await loadStoredImage(storage, key);
+        const { image, strategy } = await compressImageForKey(key, storedImage);
+        return {
+          source: "original",
+          originalImage: storedImage,
+          compressedImage: image,
+          strategy,
+        };
+      }
+    };
+
+    // If we never end up calling `getNewImages` (or it stops at the first
+    // error), don't let these preloads crash the process with an unhandled
+    // rejection. Awaiting them above still throws, like we want!
+    originalImagePromise.catch(() => {});
+    compressedPromise.catch(() => {});
+  } else {
+    const filename = key.split("/").pop();
+    const placeholderImagePromise = getPlaceholderImage(
+      FILENAME_TO_SIZE_MAP[filename]
+    );
+    getNewImages = async () => ({
+      placeholderImage: await placeholderImagePromise,
+    });
+  }
 
   // Preload the backup image tagging, too!
-  const backupTaggingPromise = loadImageTagging(s3, backupKey);
+  const backupTaggingPromise = loadImageTagging(storage, backupKey);
+
+  // We time each phase, for progress reports. If a phase fails, its error
+  // says which phase it was, in `err.phase`.
+  const durationsMs = {};
+  const timePhase = async (phase, fn) => {
+    const startTime = Date.now();
+    try {
+      return await fn();
+    } catch (err) {
+      err.phase = err.phase || phase;
+      throw err;
+    } finally {
+      durationsMs[phase] = Date.now() - startTime;
+    }
+  };
 
-  const tagging = await loadImageTagging(s3, key);
+  const tagging = await timePhase("tags", () => loadImageTagging(storage, key));
   if (!tagging) {
     throw new Error(`Image not found`);
   }
 
   // First, back up the original image, before touching anything else.
+  // The ledger records the backup against its own key. (If there's no
+  // backup yet, we already know there's nothing there from before!)
   const backupTagging = await backupTaggingPromise;
-  const didSaveBackup = await saveBackupIfNotAlreadyDone(
-    s3,
-    key,
-    backupKey,
-    backupTagging
+  const recordBackupChange =
+    ledger && !dryRun
+      ? ledger.beginChange(
+          storage,
+          backupKey,
+          backupTagging,
+          backupTagging ? {} : { previousInfo: null }
+        )
+      : skipRecordingChange;
+  const backupOutcome = await timePhase("backup", () =>
+    saveBackupIfNotAlreadyDone(
+      storage,
+      key,
+      tagging,
+      backupKey,
+      backupTagging,
+      mode,
+      recordBackupChange
+    )
   );
 
+  // Remember how the original looked before we change it, for the ledger.
+  // (In dry-run mode, we won't change anything to record!)
+  const recordChange =
+    ledger && !dryRun
+      ? ledger.beginChange(storage, key, tagging)
+      : skipRecordingChange;
+
   // Then, replace it with the new images.
-  const didReplaceOriginal = await replaceOriginalIfNotAlreadyDone(
-    s3,
-    key,
-    tagging,
-    getNewImages
-  );
+  let replacementResult;
+  if (mode === "compress") {
+    replacementResult = await timePhase("replacement", () =>
+      replaceOriginalIfNotAlreadyDone(
+        storage,
+        key,
+        tagging,
+        getNewImages,
+        recordChange
+      )
+    );
+  } else {
+    // The placeholder throws away the original image data, so we're extra
+    // careful here: only proceed if we *know* there's a backup.
+    const hasBackup =
+      backupOutcome === "saved" ||
+      (backupTagging !== null &&
+        backupTagging["DTI-Outfit-Image-Kind"] === "backup");
+    replacementResult = await timePhase("replacement", () =>
+      replaceOriginalWithPlaceholderIfNotAlreadyDone(
+        storage,
+        key,
+        tagging,
+        hasBackup,
+        getNewImages,
+        recordChange
+      )
+    );
+  }
 
-  // Return whether we made some kind of change, either in the backup
-  // or the replacement step.
-  return didSaveBackup || didReplaceOriginal;
+  // Report what happened in each step, and whether we made some kind of
+  // change, either in the backup or the replacement step. (In dry-run mode,
+  // this is what *would* have happened!)
+  return {
+    key,
+    backup: backupOutcome,
+    replacement: replacementResult.outcome,
+    source: replacementResult.source || null,
+    strategy: replacementResult.strategy || null,
+    originalSize: replacementResult.originalSize || null,
+    newSize: replacementResult.newSize || null,
+    mismatchRatio:
+      replacementResult.mismatchRatio != null
+        ? replacementResult.mismatchRatio
+        : null,
+    didMakeChanges:
+      backupOutcome === "saved" ||
+      REPLACEMENT_CHANGES.has(replacementResult.outcome),
+    durationsMs,
+  };
 }
 backupImage = withTrace(backupImage, (_, key) => ({ key }), "1. backupImage");
 
-async function saveBackupIfNotAlreadyDone(s3, key, backupKey, backupTagging) {
-  if (!force) {
+async function saveBackupIfNotAlreadyDone(
+  storage,
+  key,
+  tagging,
+  backupKey,
+  backupTagging,
+  mode,
+  recordChange
+) {
+  // If the original is already a placeholder, the real image only lives in
+  // the backup now, so copying the "original" over it would lose it for good.
+  // We never do that, not even with --force!
+  if (tagging["DTI-Outfit-Image-Kind"] === "placeholder") {
+    console.warn(
+      `[WARN, ${key}] Skipping backup, the original is a placeholder`
+    );
+    return "skipped-original-is-placeholder";
+  }
+
+  // Same goes for placeholder mode in general: we're about to throw the
+  // original away, so an existing backup is the one thing we keep our hands
+  // off, even with --force.
+  if (!force || mode === "placeholder") {
     if (backupTagging) {
       if (backupTagging["DTI-Outfit-Image-Kind"] !== "backup") {
         console.warn(
           `[WARN, ${key}] Skipping backup, unexpected DTI-Outfit-Image-Kind: ${backupTagging["DTI-Outfit-Image-Kind"]}`
         );
-        return false;
+        return "skipped-unexpected-tag";
       } else {
         console.info(`[BKUP, ${key}] Backup already exists, skipping`);
-        return false;
+        return "already-exists";
       }
     }
   }
 
+  if (dryRun) {
+    return "saved";
+  }
+
+  await recordChange.beforeWrite();
   await trace("3b. copyObject-backup", { key }, () =>
-    s3
-      .copyObject({
-        Key: backupKey,
-        CopySource: `/openneo-uploads/${key}`,
-        ContentType: "image/png",
-        Tagging: "DTI-Outfit-Image-Kind=backup",
-        TaggingDirective: "REPLACE",
-        StorageClass: "GLACIER",
-      })
-      .promise()
+    storage.copyObject(key, backupKey, {
+      tagging: { "DTI-Outfit-Image-Kind": "backup" },
+      storageClass: "GLACIER",
+    })
   );
+  await recordChange("backup", {
+    newTag: "backup",
+    newStorageClass: "GLACIER",
+  });
   console.info(`[BKUP, ${key}] Saved backup to ${backupKey}`);
-  return true;
+  return "saved";
 }
 saveBackupIfNotAlreadyDone = withTrace(
   saveBackupIfNotAlreadyDone,
@@ -241,7 +501,10 @@ async function buildNewImagesIfNotAlreadyDone(key, getOutfitData) {
   }
 
   const originalImage = await buildOutfitImage(key, getOutfitData);
-  const compressedImage = await compressImage(originalImage);
+  const { image: compressedImage } = await compressImageForKey(
+    key,
+    originalImage
+  );
 
   return { originalImage, compressedImage };
 }
@@ -251,7 +514,13 @@ buildNewImagesIfNotAlreadyDone = withTrace(
   "2b. buildNewImagesIfNotAlreadyDone"
 );
 
-async function replaceOriginalIfNotAlreadyDone(s3, key, tagging, getNewImages) {
+async function replaceOriginalIfNotAlreadyDone(
+  storage,
+  key,
+  tagging,
+  getNewImages,
+  recordChange
+) {
   if (!force) {
     // Check the tags of the original image. We'll only proceed if there is no
     // DTI-Outfit-Image-Kind tag. (If it's already marked as compressed, then
@@ -261,34 +530,55 @@ async function replaceOriginalIfNotAlreadyDone(s3, key, tagging, getNewImages) {
       throw new Error(`Image not found`);
     } else if (tagging["DTI-Outfit-Image-Kind"] === "compressed") {
       console.info(`[CMPR, ${key}] Original is already compressed, skipping`);
-      return null;
-    } else if (tagging["DTI-Outfit-Image-Kind"] === "compression-failed") {
+      return { outcome: "skipped-already-compressed" };
+    } else if (
+      tagging["DTI-Outfit-Image-Kind"] === "compression-failed" &&
+      !retryCompressionFailed
+    ) {
       console.info(
         `[CMPR, ${key}] Original previously failed to compress, skipping`
       );
-      return null;
+      return { outcome: "skipped-compression-failed" };
+    } else if (tagging["DTI-Outfit-Image-Kind"] === "restored") {
+      console.info(
+        `[CMPR, ${key}] Original was restored from backup, skipping`
+      );
+      return { outcome: "skipped-restored" };
+    } else if (tagging["DTI-Outfit-Image-Kind"] === "render-mismatch") {
+      console.info(
+        `[CMPR, ${key}] Original previously didn't match its re-render, skipping`
+      );
+      return { outcome: "skipped-render-mismatch" };
     } else if (
       tagging["DTI-Outfit-Image-Kind"] &&
-      tagging["DTI-Outfit-Image-Kind"] !== "compressed"
+      tagging["DTI-Outfit-Image-Kind"] !== "compressed" &&
+      tagging["DTI-Outfit-Image-Kind"] !== "compression-failed"
     ) {
       console.warn(
         `[WARN, ${key}] Skipping compression, unexpected DTI-Outfit-Image-Kind: ${tagging["DTI-Outfit-Image-Kind"]}`
       );
-      return null;
+      return { outcome: "skipped-unexpected-tag" };
     }
   }
 
-  const { originalImage, compressedImage } = await getNewImages();
+  // `source` is where the image we compressed came from: "rerender" if we
+  // rendered it fresh, or "original" if we fell back to the stored image. We
+  // save it in the `DTI-Outfit-Image-Source` tag, too. `strategy` is which
+  // compression strategy gave the smallest image, for the
+  // `DTI-Outfit-Image-Compression` tag.
+  const { source, originalImage, compressedImage, strategy } =
+    await getNewImages();
 
   const originalSize = originalImage.length;
   const compressedSize = compressedImage.length;
   const compressedPercent = Math.round((compressedSize / originalSize) * 100);
 
-  // If we couldn't compress the image without compromising quality (so the
-  // compression algorithm yielded a larger image), don't write it, and instead
-  // set `DTI-Outfit-Image-Kind=compression-failed` on the image. This will help
-  // us know that it's done, and skip it if we try again later. We also want to
-  // move it to STANDARD_IA in this case, regardless of compression!
+  // If we couldn't compress the image without compromising quality (so even
+  // the best of our compression strategies yielded a larger image), don't
+  // write it, and instead set `DTI-Outfit-Image-Kind=compression-failed` on
+  // the image. This will help us know that it's done, and skip it if we try
+  // again later. We also want to move it to STANDARD_IA in this case,
+  // regardless of compression!
   if (compressedSize > originalSize) {
     console.warn(
       `[WARN, ${key}] Skipping compression, was ` +
@@ -296,48 +586,132 @@ async function replaceOriginalIfNotAlreadyDone(s3, key, tagging, getNewImages) {
         `(${compressedPercent}% of original)`
     );
 
+    const result = {
+      outcome: "compression-failed",
+      source,
+      originalSize,
+      newSize: originalSize,
+    };
+    if (dryRun) {
+      return result;
+    }
+
     // To update the tags and the storage class, copy the object over itself.
+    await recordChange.beforeWrite();
     await trace("4f. copyObject-compressionFailed", { key }, () =>
-      s3
-        .copyObject({
-          Key: key,
-          CopySource: `/openneo-uploads/${key}`,
-          ACL: "public-read",
-          Tagging: "DTI-Outfit-Image-Kind=compression-failed",
-          TaggingDirective: "REPLACE",
+      storage.copyObject(key, key, {
+        acl: "public-read",
+        tagging: {
+          "DTI-Outfit-Image-Kind": "compression-failed",
+          "DTI-Outfit-Image-Source": source,
+        },
+        // We ran the numbers, and our request counts aren't even close to high enough
+        // for STANDARD to be better for us!
+        storageClass: "STANDARD_IA",
+      })
+    );
+    await recordChange("compression-failed", {
+      newTag: "compression-failed",
+      newStorageClass: "STANDARD_IA",
+    });
+
+    return result;
+  }
+
+  // The re-render uses today's outfit data, so if the outfit was edited, or
+  // one of its layers' images changed, it might not show what people saw
+  // (and embedded!) back then. Before overwriting the original, make sure
+  // they still match. If not, don't write it, and instead set
+  // `DTI-Outfit-Image-Kind=render-mismatch` on the original, and save the
+  // diff for someone to review. (We compare the re-render from before
+  // compression, because we're checking what it shows, not its quality.
+  // And if we compressed the stored original itself, there's nothing to
+  // check!)
+  if (!skipVerify && source === "rerender") {
+    const { isMatch, mismatchRatio, diffImage, reason } =
+      await checkRenderMatchesOriginal(storage, key, originalImage);
+    if (!isMatch) {
+      console.warn(
+        `[WARN, ${key}] Skipping compression, re-render doesn't match the ` +
+          `original: ` +
+          (reason || `${(mismatchRatio * 100).toFixed(1)}% of pixels changed`)
+      );
+      await saveMismatchImages(key, {
+        diffImage,
+        renderedImage: originalImage,
+      });
+
+      const result = {
+        outcome: "render-mismatch",
+        source,
+        originalSize,
+        newSize: originalSize,
+        mismatchRatio,
+      };
+      if (dryRun) {
+        return result;
+      }
+
+      // To update the tags and the storage class, copy the object over itself.
+      await recordChange.beforeWrite();
+      await trace("4i. copyObject-renderMismatch", { key }, () =>
+        storage.copyObject(key, key, {
+          acl: "public-read",
+          tagging: { "DTI-Outfit-Image-Kind": "render-mismatch" },
           // We ran the numbers, and our request counts aren't even close to high enough
           // for STANDARD to be better for us!
-          StorageClass: "STANDARD_IA",
+          storageClass: "STANDARD_IA",
         })
-        .promise()
-    );
+      );
+      await recordChange("render-mismatch", {
+        newTag: "render-mismatch",
+        newStorageClass: "STANDARD_IA",
+      });
 
-    return true;
+      return result;
+    }
   }
 
   console.info(
-    `[CMPR, ${key}] Compressed image: ` +
+    `[CMPR, ${key}] Compressed image from ${source} with ${strategy}: ` +
       `${humanFileSize(originalSize)} -> ${humanFileSize(compressedSize)} ` +
       `(${compressedPercent}% of original)`
   );
 
+  const result = {
+    outcome: "compressed",
+    source,
+    strategy,
+    originalSize,
+    newSize: compressedSize,
+  };
+  if (dryRun) {
+    return result;
+  }
+
+  await recordChange.beforeWrite();
   await trace("4e. putObject-compressed", { key }, () =>
-    s3
-      .putObject({
-        Key: key,
-        Body: compressedImage,
-        ContentType: "image/png",
-        ACL: "public-read",
-        Tagging: "DTI-Outfit-Image-Kind=compressed",
-        // We ran the numbers, and our request counts aren't even close to high enough
-        // for STANDARD to be better for us!
-        StorageClass: "STANDARD_IA",
-      })
-      .promise()
+    storage.putObject(key, compressedImage, {
+      contentType: "image/png",
+      acl: "public-read",
+      tagging: {
+        "DTI-Outfit-Image-Kind": "compressed",
+        "DTI-Outfit-Image-Source": source,
+        "DTI-Outfit-Image-Compression": strategy,
+      },
+      // We ran the numbers, and our request counts aren't even close to high enough
+      // for STANDARD to be better for us!
+      storageClass: "STANDARD_IA",
+    })
   );
 
+  await recordChange("compress", {
+    newTag: "compressed",
+    newStorageClass: "STANDARD_IA",
+    newSize: compressedSize,
+  });
   console.info(`[SAVE, ${key}] Saved compressed image to ${key}`);
-  return true;
+  return result;
 }
 replaceOriginalIfNotAlreadyDone = withTrace(
   replaceOriginalIfNotAlreadyDone,
@@ -345,23 +719,114 @@ replaceOriginalIfNotAlreadyDone = withTrace(
   "2c. replaceOriginalIfNotAlreadyDone"
 );
 
-async function loadOutfitData(outfitId) {
-  console.info(`[GQL] Loading outfit data for outfit ${outfitId}`);
-  return await fetch("https://impress-2020.openneo.net/api/graphql", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      query: GRAPHQL_QUERY_STRING,
-      variables: { outfitId },
-    }),
-  }).then((res) => res.json());
+async function checkRenderMatchesOriginal(storage, key, newImage) {
+  const currentImage = await trace("4h. getObject-original", { key }, () =>
+    storage.getObject(key)
+  );
+  const { mismatchRatio, diffImage, reason } = compareImages(
+    currentImage,
+    newImage
+  );
+  return {
+    isMatch: mismatchRatio <= maxMismatchRatio,
+    mismatchRatio,
+    diffImage,
+    reason,
+  };
 }
-loadOutfitData = withTrace(
-  loadOutfitData,
-  (outfitId) => ({ outfitId }),
-  "4a. loadOutfitData"
+
+// Save the diff (if we could make one) and the re-render next to each other
+// in the diff dir, at paths like the key's, for someone to review.
+async function saveMismatchImages(key, { diffImage, renderedImage }) {
+  const basePath = path.join(diffDir, key.replace(/\.png$/, ""));
+  await fs.mkdir(path.dirname(basePath), { recursive: true });
+  if (diffImage) {
+    await fs.writeFile(basePath + ".diff.png", diffImage);
+  }
+  await fs.writeFile(basePath + ".rendered.png", renderedImage);
+  console.info(`[DIFF, ${key}] Saved diff images to ${basePath}.*.png`);
+}
+
+const REPLACEABLE_WITH_PLACEHOLDER_KINDS = new Set([
+  "compressed",
+  "compression-failed",
+  "render-mismatch",
+]);
+
+async function replaceOriginalWithPlaceholderIfNotAlreadyDone(
+  storage,
+  key,
+  tagging,
+  hasBackup,
+  getNewImages,
+  recordChange
+) {
+  if (!hasBackup) {
+    throw new Error(`Refusing to replace with placeholder, no backup found`);
+  }
+
+  if (!force) {
+    // Check the tags of the original image. Originals that were never
+    // touched, or that we compressed (or tried to compress) earlier, are okay
+    // to replace; their backups hold the real image. (That goes for
+    // originals that didn't match their re-render, too.) If it's already a
+    // placeholder, or someone restored it on purpose, we can skip it! If it's
+    // marked with an unfamiliar tag, show a warning and skip out of caution.
+    const kind = tagging["DTI-Outfit-Image-Kind"];
+    if (kind === "placeholder") {
+      console.info(
+        `[PLCH, ${key}] Original is already a placeholder, skipping`
+      );
+      return { outcome: "skipped-already-placeholder" };
+    } else if (kind === "restored") {
+      console.info(
+        `[PLCH, ${key}] Original was restored from backup, skipping`
+      );
+      return { outcome: "skipped-restored" };
+    } else if (kind && !REPLACEABLE_WITH_PLACEHOLDER_KINDS.has(kind)) {
+      console.warn(
+        `[WARN, ${key}] Skipping placeholder, unexpected DTI-Outfit-Image-Kind: ${kind}`
+      );
+      return { outcome: "skipped-unexpected-tag" };
+    }
+  }
+
+  const { placeholderImage } = await getNewImages();
+
+  // NOTE: We don't know the original's size without downloading it, so we
+  //       leave it out. It's in the bucket listing, if you need it!
+  const result = { outcome: "placeholder", newSize: placeholderImage.length };
+  if (dryRun) {
+    return result;
+  }
+
+  await recordChange.beforeWrite();
+  await trace("4g. putObject-placeholder", { key }, () =>
+    storage.putObject(key, placeholderImage, {
+      contentType: "image/png",
+      acl: "public-read",
+      tagging: { "DTI-Outfit-Image-Kind": "placeholder" },
+      // We ran the numbers, and our request counts aren't even close to high enough
+      // for STANDARD to be better for us!
+      storageClass: "STANDARD_IA",
+    })
+  );
+
+  await recordChange("placeholder", {
+    newTag: "placeholder",
+    newStorageClass: "STANDARD_IA",
+    newSize: placeholderImage.length,
+  });
+  console.info(
+    `[PLCH, ${key}] Saved placeholder image to ${key} ` +
+      `(${humanFileSize(placeholderImage.length)})`
+  );
+  return result;
+}
+replaceOriginalWithPlaceholderIfNotAlreadyDone = withTrace(
+  replaceOriginalWithPlaceholderIfNotAlreadyDone,
+  (_, key) => ({ key }),
+  "2c. replaceOriginalWithPlaceholderIfNotAlreadyDone"
 );
 
 async function buildOutfitImage(key, getOutfitData) {
@@ -370,7 +835,9 @@ async function buildOutfitImage(key, getOutfitData) {
     throw new Error(`GraphQL outfit query failed:\n` + JSON.stringify(errors));
   }
   if (!data.outfit) {
-    throw new Error(`GraphQL outfit query failed: ${outfitId} not found`);
+    throw notRenderableError(
+      `GraphQL outfit query failed: outfit for ${key} not found`
+    );
   }
 
   const filename = key.split("/").pop();
@@ -381,11 +848,19 @@ async function buildOutfitImage(key, getOutfitData) {
     .sort((a, b) => a.depth - b.depth)
     .map((layer) => layer["imageUrl" + size]);
 
-  const { image, status } = await trace("4c. renderOutfitImage", { key }, () =>
-    renderOutfitImage(visibleLayers, size)
+  // We load the layers here, but composite them on an image thread.
+  const { image, status } = await trace(
+    "4c. renderOutfitImage",
+    { key },
+    async () => {
+      const layers = await loadLayers(visibleLayers, { layerCache });
+      return await runImageTask("compositeLayers", [layers, size]);
+    }
   );
   if (status !== "success") {
-    throw new Error(`Could not render outfit image. Status: ${status}`);
+    throw notRenderableError(
+      `Could not render outfit image. Status: ${status}`
+    );
   }
 
   return image;
@@ -396,49 +871,43 @@ buildOutfitImage = withTrace(
   "4b. buildOutfitImage"
 );
 
-async function compressImage(image) {
-  // We instruct the algorithm to target 80% quality, but we'll accept down
-  // to 40% quality. Sometimes it won't be possible to compress the image
-  // without decreasing the quality further (in which case, the algorithm
-  // might yield an image *larger* than the original). In that situation,
-  // we'd rather just keep the larger version, than go *so* low in quality!
-  const quanter = new PngQuant([256, "--quality", "40-80"]);
-  const imageStream = stream.Readable.from(image);
-
-  // Stream the original image data into the quanter, and read the output
-  // chunks from the stream one at a time, into a new Buffer.
-  let compressedImageData = Buffer.alloc(0);
-  await new Promise((resolve, reject) => {
-    imageStream.pipe(quanter);
-
-    quanter.on("error", (err) => reject(err));
-    quanter.on("data", (chunk) => {
-      compressedImageData = Buffer.concat([compressedImageData, chunk]);
-    });
-    quanter.on("end", () => {
-      resolve();
-    });
-  });
+// Errors with this code mean the outfit can't be re-rendered at all, rather
+// than that something went wrong this time, like a network error.
+function notRenderableError(message) {
+  const err = new Error(message);
+  err.code = "OutfitNotRenderable";
+  return err;
+}
 
-  return compressedImageData;
+async function loadStoredImage(storage, key) {
+  return await storage.getObject(key);
 }
-compressImage = withTrace(compressImage, () => ({}), "4d. compressImage");
-
-async function loadImageTagging(s3, key) {
-  try {
-    const tagResponse = await s3.getObjectTagging({ Key: key }).promise();
-    const tagging = {};
-    for (const tag of tagResponse.TagSet) {
-      tagging[tag.Key] = tag.Value;
-    }
-    return tagging;
-  } catch (err) {
-    if (err.code === "NoSuchKey") {
-      return null;
-    } else {
-      throw err;
-    }
-  }
+loadStoredImage = withTrace(
+  loadStoredImage,
+  (_, key) => ({ key }),
+  "4j. loadStoredImage"
+);
+
+// Compress the image with each of our strategies, and return the smallest
+// result, as `{image, strategy}`. See `lib/compression.js`.
+async function compressImageForKey(key, image) {
+  const filename = key.split("/").pop();
+  return await runImageTask("compressImage", [
+    image,
+    {
+      imageSize: FILENAME_TO_SIZE_MAP[filename],
+      strategies: compressionStrategies,
+    },
+  ]);
+}
+compressImageForKey = withTrace(
+  compressImageForKey,
+  (key) => ({ key }),
+  "4d. compressImage"
+);
+
+async function loadImageTagging(storage, key) {
+  return await storage.getTagging(key);
 }
 loadImageTagging = withTrace(
   loadImageTagging,
@@ -446,6 +915,49 @@ loadImageTagging = withTrace(
   "3a. loadImageTagging"
 );
 
+const BACKUP_RESULT_CSV_COLUMNS = [
+  "key",
+  "backup",
+  "replacement",
+  "source",
+  "strategy",
+  "originalSize",
+  "newSize",
+  "savedBytes",
+  "mismatchRatio",
+];
+
+function getBackupResultCsvRow(result) {
+  const savedBytes =
+    result.originalSize != null && result.newSize != null
+      ? result.originalSize - result.newSize
+      : null;
+  return { ...result, savedBytes };
+}
+
+function logDryRunResult({
+  key,
+  backup,
+  replacement,
+  source,
+  originalSize,
+  newSize,
+}) {
+  const sourceInfo = source ? ` from ${source}` : "";
+  let sizeInfo = "";
+  if (originalSize != null && newSize != null) {
+    sizeInfo =
+      ` (${humanFileSize(originalSize)} -> ${humanFileSize(newSize)}, ` +
+      `${Math.round((newSize / originalSize) * 100)}% of original)`;
+  } else if (newSize != null) {
+    sizeInfo = ` (${humanFileSize(newSize)})`;
+  }
+  console.info(
+    `[DRY, ${key}] backup: ${backup}, ` +
+      `replacement: ${replacement}${sourceInfo}${sizeInfo}`
+  );
+}
+
 // https://stackoverflow.com/a/14919494/107415
 function humanFileSize(bytes, si = false, dp = 1) {
   const thresh = si ? 1000 : 1024;
@@ -471,7 +983,16 @@ function humanFileSize(bytes, si = false, dp = 1) {
   return bytes.toFixed(dp) + " " + units[u];
 }
 
-module.exports = { backupImage, loadOutfitData };
+module.exports = {
+  backupImage,
+  closeImageWorkerPool,
+  loadOutfitData,
+  loadImageTagging,
+  logDryRunResult,
+  getBackupResultCsvRow,
+  humanFileSize,
+  BACKUP_RESULT_CSV_COLUMNS,
+};
 
 if (require.main === module) {
   main()
@@ -4,155 +4,288 @@ const util = require("util");
 const zlib = require("zlib");
 const gunzip = util.promisify(zlib.gunzip);
 
-const sqlite3 = require("sqlite3").verbose();
-const trash = require("trash");
 const walk = require("walkdir");
 
+const { hasFlag } = require("./lib/args");
+const { openDb } = require("./lib/db");
+const { getLogFormat } = require("./lib/log-formats");
+const { parseS3Key } = require("./lib/outfit-keys");
+const { getReferrerHost } = require("./lib/referrers");
+const { loadUserAgentRules, classifyUserAgent } = require("./lib/user-agents");
+
 const logsPath = path.join(__dirname, "logs");
 
+// Pass `--rebuild` to forget which files we've already ingested, and start
+// over from scratch.
+const rebuild = hasFlag("rebuild");
+
+// Pass `--reclassify` to re-apply `user-agent-rules.json` to all the logs
+// we've already ingested, after changing the rules.
+const reclassify = hasFlag("reclassify");
+
 async function main() {
-  await trash("db.sqlite3");
+  const db = await openDb();
+  const userAgentRules = loadUserAgentRules();
 
-  const db = new sqlite3.Database("db.sqlite3");
+  if (rebuild) {
+    console.info(`Rebuilding from scratch, clearing existing logs`);
+    await db.exec(`
+      BEGIN TRANSACTION;
+      DELETE FROM logs;
+      DELETE FROM ingestedFiles;
+      COMMIT;
+    `);
+  }
 
-  db.serialize(() => {
-    db.run(
-      `
-        CREATE TABLE logs (
-          eventId    TEXT                                          NOT NULL,
-          eventTime  TEXT                                          NOT NULL,
-
-          outfitId   INTEGER                                       NOT NULL,
-          imageSize  INTEGER  CHECK(imageSize IN (150, 300, 600))  NOT NULL,
-
-          host       TEXT,
-          ipAddress  TEXT,
-          userAgent  TEXT,
-          awsRegion  TEXT
-        )
-      `,
-      (err) => {
-        if (err) {
-          throw err;
-        }
+  const { numIngestedFiles, numSkippedFiles } = await ingestLogFiles(
+    db,
+    logsPath,
+    userAgentRules
+  );
 
-        db.run(`BEGIN TRANSACTION`);
+  // New logs are classified as we insert them, but this catches up logs from
+  // before we classified user agents (or all of them, with `--reclassify`).
+  const numClassifiedUserAgents = await classifyLogUserAgents(
+    db,
+    userAgentRules,
+    { all: reclassify }
+  );
 
-        insertLogsFromFiles(db, () => {
-          db.run(`COMMIT`);
+  const row = await db.get(`SELECT count(*) FROM logs`);
+  const classRows = await db.all(
+    `SELECT userAgentClass, count(*) AS count FROM logs GROUP BY userAgentClass`
+  );
+  const sourceRows = await db.all(
+    `SELECT source, count(*) AS count FROM logs GROUP BY source`
+  );
+  await db.close();
 
-          db.get(`SELECT count(*) FROM logs`, (err, row) => {
-            if (err) {
-              throw err;
-            }
+  console.info(
+    `Ingested ${numIngestedFiles} new files ` +
+      `(skipped ${numSkippedFiles} already-ingested files)`
+  );
+  if (numClassifiedUserAgents > 0) {
+    console.info(`Classified ${numClassifiedUserAgents} existing user agents`);
+  }
+  console.log("Count result:", row);
+  console.log(
+    "By user agent class:",
+    Object.fromEntries(classRows.map((r) => [r.userAgentClass, r.count]))
+  );
+  console.log(
+    "By source:",
+    Object.fromEntries(sourceRows.map((r) => [r.source, r.count]))
+  );
+}
 
-            console.log("Count result:", row);
-          });
+// Ingest every log file under `logsPath` that we haven't already, and
+// return how many we ingested and skipped. Files we can't read are logged
+// and skipped, so one bad file doesn't stop the rest.
+async function ingestLogFiles(db, logsPath, userAgentRules) {
+  const files = await listLogFiles(logsPath);
 
-          db.close();
-        });
+  let numSkippedFiles = 0;
+  let numIngestedFiles = 0;
+  for (const { path, stat, format } of files) {
+    try {
+      const didIngest = await insertLogsFromFileIfNotAlreadyDone(
+        db,
+        logsPath,
+        path,
+        stat,
+        format,
+        userAgentRules
+      );
+      if (didIngest) {
+        numIngestedFiles++;
+      } else {
+        numSkippedFiles++;
       }
-    );
-  });
-}
+    } catch (err) {
+      console.error(`Error reading file ${path}`, err);
+    }
+  }
 
-function insertLogsFromFiles(db, callback) {
-  db.parallelize(() => {
-    const promises = [];
+  return { numIngestedFiles, numSkippedFiles };
+}
 
-    const insertLogStmt = db.prepare(`
-      INSERT INTO logs (eventId, eventTime, outfitId, imageSize, host, ipAddress, userAgent, awsRegion)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    const insertLog = util.promisify((...args) => insertLogStmt.run(...args));
+// Set `userAgentClass` for logs that don't have one yet, or for all logs if
+// `all` is true. We classify each distinct user agent once, then update all
+// its logs at the same time. Returns how many user agents we classified.
+async function classifyLogUserAgents(db, userAgentRules, { all = false }) {
+  const rows = await db.all(
+    `SELECT DISTINCT userAgent FROM logs
+      ${all ? "" : "WHERE userAgentClass IS NULL"}`
+  );
+  if (rows.length === 0) {
+    return 0;
+  }
 
-    // For each file, start an `insertLogsFromFile` job, and add a promise to the
-    // list of promises we're tracking.
-    const walker = walk(logsPath, (path, stat) =>
-      promises.push(
-        insertLogsFromFile(insertLog, path, stat).catch((err) => {
-          console.error(`Error reading file ${path}`, err);
-        })
+  await db.run(`BEGIN TRANSACTION`);
+  try {
+    const updateStmt = db.prepare(
+      `UPDATE logs SET userAgentClass = ? WHERE userAgent IS ?`
+    );
+    await Promise.all(
+      rows.map(({ userAgent }) =>
+        updateStmt.run([
+          classifyUserAgent(userAgent, userAgentRules),
+          userAgent,
+        ])
       )
     );
+    await updateStmt.finalize();
+    await db.run(`COMMIT`);
+  } catch (err) {
+    await db.run(`ROLLBACK`);
+    throw err;
+  }
 
-    // Once we've walked all the files, wait for all the promises to finish, then
-    // we're done!
-    walker.on("end", () =>
-      Promise.all(promises).then(() => {
-        insertLogStmt.finalize();
-        callback();
-      })
-    );
+  return rows.length;
+}
+
+// Find every log file in `logsPath`, in any format we know, see
+// `lib/log-formats/`. (They can be in any subdirectory, so you can sync each
+// kind of log to its own.)
+async function listLogFiles(logsPath) {
+  const files = [];
+  await new Promise((resolve, reject) => {
+    const walker = walk(logsPath, (path, stat) => {
+      const format = stat.isFile() ? getLogFormat(path) : null;
+      if (format) {
+        files.push({ path, stat, format });
+      }
+    });
+    walker.on("end", resolve);
+    walker.on("error", reject);
   });
+
+  // Ingest in a stable order, so the progress logs are easier to follow.
+  files.sort((a, b) => a.path.localeCompare(b.path));
+  return files;
 }
 
-async function insertLogsFromFile(insertLog, path, stat) {
-  console.log(`[${path}] Start`);
-  const isLogFile = stat.isFile() && path.endsWith(".json.gz");
-  if (!isLogFile) {
-    return;
+async function insertLogsFromFileIfNotAlreadyDone(
+  db,
+  logsPath,
+  filePath,
+  stat,
+  format,
+  userAgentRules
+) {
+  // We identify files by their path relative to the logs directory, and
+  // assume that a file with the same size and mtime hasn't changed.
+  const relativePath = path.relative(logsPath, filePath);
+  const ingestedFile = await db.get(
+    `SELECT size, mtimeMs FROM ingestedFiles WHERE path = ?`,
+    [relativePath]
+  );
+  if (
+    ingestedFile &&
+    ingestedFile.size === stat.size &&
+    ingestedFile.mtimeMs === Math.floor(stat.mtimeMs)
+  ) {
+    return false;
   }
 
-  const gzippedBody = await fs.readFile(path, null);
-  const jsonBody = await gunzip(gzippedBody);
-  const logs = JSON.parse(jsonBody);
+  let body = await fs.readFile(filePath, null);
+  if (filePath.endsWith(".gz")) {
+    body = await gunzip(body);
+  }
+  const logs = format.parseLogs(body.toString("utf8"));
 
-  console.log(`[${path}] DB`);
+  // Insert the file's logs, and mark it as ingested, all in one transaction.
+  // That way, if we crash partway through, we'll just retry the whole file
+  // next time. (And, because `eventId` is the primary key, we can safely
+  // re-ingest a changed file without double-counting its logs. The same
+  // goes for `requestId`, for requests in both CloudTrail and S3 access
+  // logs.)
+  let numLogs = 0;
+  await db.run(`BEGIN TRANSACTION`);
+  try {
+    const insertLogStmt = db.prepare(`
+      INSERT OR IGNORE INTO logs (eventId, requestId, source, eventTime, outfitId, imageSize, host, ipAddress, userAgent, userAgentClass, awsRegion, referrer, referrerHost)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    // If CloudTrail already gave us this request, we still want the
+    // referrer from the S3 access log!
+    const fillReferrerStmt = db.prepare(`
+      UPDATE logs SET referrer = ?, referrerHost = ?
+        WHERE requestId = ? AND referrer IS NULL
+    `);
 
-  const promises = [];
-  for (const record of logs.Records) {
-    if (record.eventName !== "GetObject") {
-      continue;
-    }
+    const promises = [];
+    for (const log of logs) {
+      // Ignore our own aws-sdk accesses from backups etc!
+      // We could also filter them out of queries, but we pretty much
+      // *always* want to, so this makes analysis easier.
+      if (log.userAgent && log.userAgent.includes("aws-sdk")) {
+        continue;
+      }
 
-    // Ignore our own aws-sdk accesses from backups etc!
-    // We could also filter them out of queries, but we pretty much
-    // *always* want to, so this makes analysis easier.
-    if (record.userAgent.includes("aws-sdk")) {
-      continue;
-    }
+      const parsedKey = log.key && parseS3Key(log.key);
+      if (!parsedKey) {
+        continue;
+      }
 
-    const parsedKey = parseS3Key(record.requestParameters.key);
-    if (!parsedKey) {
-      continue;
+      numLogs++;
+      promises.push(
+        insertLogStmt.run([
+          log.eventId,
+          log.requestId,
+          format.name,
+          log.eventTime,
+          parsedKey.outfitId,
+          parsedKey.imageSize,
+          log.host,
+          log.ipAddress,
+          log.userAgent,
+          classifyUserAgent(log.userAgent, userAgentRules),
+          log.awsRegion,
+          log.referrer,
+          getReferrerHost(log.referrer),
+        ])
+      );
+      if (log.referrer && log.requestId) {
+        promises.push(
+          fillReferrerStmt.run([
+            log.referrer,
+            getReferrerHost(log.referrer),
+            log.requestId,
+          ])
+        );
+      }
     }
+    await Promise.all(promises);
+    await insertLogStmt.finalize();
+    await fillReferrerStmt.finalize();
 
-    promises.push(
-      insertLog([
-        record.eventID,
-        record.eventTime,
-        parsedKey.outfitId,
-        parsedKey.imageSize,
-        record.requestParameters.Host,
-        record.sourceIPAddress,
-        record.userAgent,
-        record.awsRegion,
-      ])
+    await db.run(
+      `
+        INSERT OR REPLACE INTO ingestedFiles (path, size, mtimeMs, numLogs, ingestedAt)
+          VALUES (?, ?, ?, ?, ?)
+      `,
+      [
+        relativePath,
+        stat.size,
+        Math.floor(stat.mtimeMs),
+        numLogs,
+        new Date().toISOString(),
+      ]
     );
+
+    await db.run(`COMMIT`);
+  } catch (err) {
+    await db.run(`ROLLBACK`);
+    throw err;
   }
 
-  await Promise.all(promises);
-  console.log(`[${path}] Done`);
+  console.log(`[${relativePath}] Done (${numLogs} logs)`);
+  return true;
 }
 
-const S3_KEY_PATTERN =
-  /^outfits\/([0-9]{3})\/([0-9]{3})\/([0-9]{3})\/(small_preview|medium_preview|preview)\.png$/;
-const FILENAME_TO_SIZE_MAP = {
-  small_preview: 150,
-  medium_preview: 300,
-  preview: 600,
-};
-function parseS3Key(key) {
-  const match = key.match(S3_KEY_PATTERN);
-  if (!match) {
-    return null;
-  }
+module.exports = { ingestLogFiles, classifyLogUserAgents };
 
-  const outfitId = Number(match[1] + match[2] + match[3]);
-  const imageSize = FILENAME_TO_SIZE_MAP[match[4]];
-
-  return { outfitId, imageSize };
+if (require.main === module) {
+  main().catch((e) => console.error(e));
 }
-
-main().catch((e) => console.error(e));
@@ -0,0 +1,107 @@
+const PromisePool = require("es6-promise-pool");
+
+const { getArgValue } = require("./lib/args");
+const { createStorage, getStorageOptionsFromArgs } = require("./lib/storage");
+
+const NUM_WORKERS = 10;
+
+// Copy a subset of one storage into another, with tags and storage classes,
+// so we can rehearse on it. For example, to copy part of the real bucket to
+// a local directory:
+//
+//     yarn copy-storage --from=s3 --to=fs:bucket-copy --prefix=outfits/000/001/
+//
+// Or, to copy it into a bucket on a local MinIO server:
+//
+//     yarn copy-storage --from=s3 --to=s3 --to-endpoint=http://localhost:9000 \
+//       --to-bucket=rehearsal --prefix=outfits/000/001/
+//
+// Use `--limit=N` to stop after N keys.
+async function main() {
+  const from = getArgValue("from", "s3");
+  const to = getArgValue("to");
+  const prefix = getArgValue("prefix", "outfits/");
+  const limit = Number(getArgValue("limit", Infinity));
+  if (!to) {
+    throw new Error(`copy-storage must receive a --to=... parameter`);
+  }
+
+  const fromStorage = createStorage(from, getStorageOptionsFromArgs("from"));
+  const toStorage = createStorage(to, getStorageOptionsFromArgs("to"));
+  await copyStorage(fromStorage, toStorage, { prefix, limit });
+}
+
+// Copy the keys under `prefix` from `fromStorage` to `toStorage`, up to
+// `limit` of them. Returns `{numCopied, numSkipped}`.
+async function copyStorage(
+  fromStorage,
+  toStorage,
+  { prefix = "outfits/", limit = Infinity, numWorkers = NUM_WORKERS } = {}
+) {
+  console.info(
+    `Copying ${prefix} from ${fromStorage.description} to ` +
+      `${toStorage.description}`
+  );
+
+  let numCopied = 0;
+  let numSkipped = 0;
+  let lastKey = null;
+  while (numCopied + numSkipped < limit) {
+    const objects = await fromStorage.listKeys({
+      prefix,
+      startAfter: lastKey,
+      maxKeys: Math.min(1000, limit - numCopied - numSkipped),
+    });
+    if (objects.length === 0) {
+      break;
+    }
+
+    let index = 0;
+    const producer = () => {
+      if (index >= objects.length) {
+        return null;
+      }
+      const { key, storageClass } = objects[index++];
+      return copyObject(fromStorage, toStorage, key, storageClass)
+        .then(() => numCopied++)
+        .catch((err) => {
+          // Archived backups can't be read without restoring them first, so
+          // we skip those, and anything else that goes wrong.
+          console.warn(`[WARN, ${key}] Skipping: ${err.message}`);
+          numSkipped++;
+        });
+    };
+    const pool = new PromisePool(producer, numWorkers);
+    await pool.start();
+
+    lastKey = objects[objects.length - 1].key;
+    console.info(`Copied ${numCopied} keys so far (through ${lastKey})`);
+  }
+
+  console.info(`Done! Copied ${numCopied} keys, skipped ${numSkipped}.`);
+  return { numCopied, numSkipped };
+}
+
+async function copyObject(fromStorage, toStorage, key, storageClass) {
+  const [body, tagging, info] = await Promise.all([
+    fromStorage.getObject(key),
+    fromStorage.getTagging(key),
+    fromStorage.getObjectInfo(key),
+  ]);
+  await toStorage.putObject(key, body, {
+    contentType: info.contentType,
+    tagging,
+    storageClass,
+  });
+}
+
+module.exports = { copyStorage };
+
+if (require.main === module) {
+  main()
+    .then((responseCode = 0) => process.exit(responseCode))
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
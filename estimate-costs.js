@@ -0,0 +1,250 @@
+const { getArgValue } = require("./lib/args");
+const {
+  planImageObjects,
+  createCostBreakdown,
+} = require("./lib/cost-estimate");
+const { createCsvWriter } = require("./lib/csv");
+const { openDb } = require("./lib/db");
+const {
+  DEFAULT_DISPOSITION,
+  loadDispositions,
+  getDisposition,
+} = require("./lib/dispositions");
+const { parseS3Key } = require("./lib/outfit-keys");
+const { getPlaceholderImage } = require("./lib/placeholder-images");
+const { createStorageFromArgs } = require("./lib/storage");
+
+const DAYS_PER_MONTH = 365.25 / 12;
+
+const BREAKDOWN_CSV_COLUMNS = [
+  "imageSize",
+  "disposition",
+  "numImages",
+  "todayBytes",
+  "afterBytes",
+  "todayMonthlyCost",
+  "afterMonthlyCost",
+  "monthlySavings",
+  "oneTimeCost",
+];
+
+// Estimate what the bucket costs per month today, and what it'll cost once
+// `backup-all --dispositions` has carried out the planned dispositions:
+// originals backed up to GLACIER, then compressed or replaced with
+// placeholders in STANDARD_IA, except the ones we leave alone.
+// We combine the bucket listing (for sizes and storage classes) with the
+// logs (for request counts), and the `dispositions` table from
+// `yarn plan-dispositions`.
+//
+// Options:
+//   - `--compression-ratio=R`: How big compressed images are compared to
+//     the originals (default: 0.5). Check a backup-all `--csv` report for
+//     real numbers!
+//   - `--prefix=...`: Which keys to list (default: `outfits/`).
+//   - `--csv=path`: Also write the breakdown to a CSV file.
+async function main() {
+  const compressionRatio = Number(getArgValue("compression-ratio", 0.5));
+  if (!(compressionRatio > 0 && compressionRatio <= 1)) {
+    throw new Error(
+      `--compression-ratio must be between 0 and 1, but was: ` +
+        getArgValue("compression-ratio")
+    );
+  }
+  const prefix = getArgValue("prefix", "outfits/");
+
+  const storage = createStorageFromArgs();
+  const db = await openDb();
+  const { monthlyRequestCounts, numLogMonths } = await loadMonthlyRequestCounts(
+    db
+  );
+  const dispositions = await loadDispositions(db);
+  await db.close();
+
+  if (dispositions.size === 0) {
+    console.warn(
+      `[WARN] No dispositions planned yet, so every image will count as ` +
+        `"${DEFAULT_DISPOSITION}". Run \`yarn plan-dispositions\` first!`
+    );
+  }
+  console.info(
+    `Using request counts from ${numLogMonths.toFixed(1)} months of logs`
+  );
+
+  const placeholderSizes = {};
+  for (const size of [150, 300, 600]) {
+    placeholderSizes[size] = (await getPlaceholderImage(size)).length;
+  }
+
+  const breakdown = createCostBreakdown();
+  const addImage = ({ original, backup }) => {
+    const { outfitId, imageSize } = parseS3Key(original.key);
+    const disposition = getDisposition(dispositions, outfitId, imageSize);
+    const monthlyRequests =
+      monthlyRequestCounts.get(imageKey(outfitId, imageSize)) || 0;
+    breakdown.add(
+      imageSize,
+      disposition,
+      planImageObjects(
+        { original, backup, disposition, monthlyRequests },
+        { compressionRatio, placeholderSize: placeholderSizes[imageSize] }
+      )
+    );
+  };
+  const addOtherObject = (object) => {
+    // Objects we don't recognize stay as they are.
+    const objects = [{ ...object, monthlyRequests: 0 }];
+    breakdown.add("other", "-", {
+      today: objects,
+      after: objects,
+      oneTimeCost: 0,
+    });
+  };
+
+  // Keys come back in order, so each backup comes right after its original.
+  // We hold onto each original until we've seen the next key, to pair them.
+  let pendingImage = null;
+  const flushPendingImage = () => {
+    if (pendingImage) {
+      addImage(pendingImage);
+      pendingImage = null;
+    }
+  };
+
+  let numKeys = 0;
+  let lastKey = null;
+  while (true) {
+    const objects = await storage.listKeys({ prefix, startAfter: lastKey });
+    if (objects.length === 0) {
+      break;
+    }
+
+    for (const object of objects) {
+      if (pendingImage && object.key === pendingImage.original.key + ".bkup") {
+        pendingImage.backup = object;
+        flushPendingImage();
+        continue;
+      }
+
+      flushPendingImage();
+      if (parseS3Key(object.key)) {
+        pendingImage = { original: object, backup: null };
+      } else {
+        addOtherObject(object);
+      }
+    }
+
+    numKeys += objects.length;
+    lastKey = objects[objects.length - 1].key;
+    console.info(`Listed ${numKeys} keys so far (through ${lastKey})`);
+  }
+  flushPendingImage();
+
+  const rows = breakdown.rows();
+  printBreakdown(rows);
+
+  const csvPath = getArgValue("csv");
+  if (csvPath) {
+    const csvWriter = createCsvWriter(csvPath, BREAKDOWN_CSV_COLUMNS);
+    for (const row of rows) {
+      csvWriter.writeRow({
+        ...row,
+        monthlySavings: row.todayMonthlyCost - row.afterMonthlyCost,
+      });
+    }
+    await csvWriter.close();
+    console.info(`Wrote breakdown to ${csvPath}`);
+  }
+}
+
+// Average requests per month for each outfit image, over the whole span of
+// the logs.
+async function loadMonthlyRequestCounts(db) {
+  const { firstEventTime, lastEventTime } = await db.get(
+    `SELECT min(eventTime) AS firstEventTime, max(eventTime) AS lastEventTime FROM logs`
+  );
+  const monthlyRequestCounts = new Map();
+  if (firstEventTime == null) {
+    return { monthlyRequestCounts, numLogMonths: 0 };
+  }
+
+  const numLogDays = Math.max(
+    1,
+    (new Date(lastEventTime) - new Date(firstEventTime)) / (24 * 60 * 60 * 1000)
+  );
+  const numLogMonths = numLogDays / DAYS_PER_MONTH;
+
+  await db.each(
+    `
+      SELECT outfitId, imageSize, count(*) AS requestCount FROM logs
+        GROUP BY outfitId, imageSize
+    `,
+    [],
+    (row) => {
+      monthlyRequestCounts.set(
+        imageKey(row.outfitId, row.imageSize),
+        row.requestCount / numLogMonths
+      );
+    }
+  );
+
+  return { monthlyRequestCounts, numLogMonths };
+}
+
+function imageKey(outfitId, imageSize) {
+  return `${outfitId}/${imageSize}`;
+}
+
+function printBreakdown(rows) {
+  const totals = {
+    numImages: 0,
+    todayMonthlyCost: 0,
+    afterMonthlyCost: 0,
+    oneTimeCost: 0,
+  };
+
+  console.info(
+    `Estimated monthly cost, today => after the planned dispositions:`
+  );
+  for (const row of rows) {
+    // Objects we don't recognize count as objects, not images.
+    const isOther = row.imageSize === "other";
+    console.info(
+      `- ${row.imageSize}, ${row.disposition} ` +
+        `(${row.numImages} ${isOther ? "objects" : "images"}): ` +
+        `${formatDollars(row.todayMonthlyCost)} => ` +
+        `${formatDollars(row.afterMonthlyCost)} ` +
+        `(${formatBytes(row.todayBytes)} => ${formatBytes(row.afterBytes)})`
+    );
+    for (const key of Object.keys(totals)) {
+      totals[key] += key === "numImages" && isOther ? 0 : row[key];
+    }
+  }
+
+  console.info(
+    `Total (${totals.numImages} images): ` +
+      `${formatDollars(totals.todayMonthlyCost)}/month => ` +
+      `${formatDollars(totals.afterMonthlyCost)}/month, saving ` +
+      `${formatDollars(
+        totals.todayMonthlyCost - totals.afterMonthlyCost
+      )}/month`
+  );
+  console.info(
+    `One-time cost of the \`backup-all --dispositions\` requests: ` +
+      `${formatDollars(totals.oneTimeCost)}`
+  );
+}
+
+function formatDollars(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+main()
+  .then((responseCode = 0) => process.exit(responseCode))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
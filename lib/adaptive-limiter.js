@@ -0,0 +1,51 @@
+// Decide how many things to do at a time, adapting to throttling. We start
+// at `max`. Each time we're throttled, we halve the limit (down to `min`),
+// and each time `limit` things in a row succeed, we raise it by one again
+// (up to `max`). So we back off fast when S3 says to slow down, and creep
+// back up to full speed once it stops.
+//
+// Throttles tend to come in bursts, from everything that was already in
+// flight, so we only cut the limit once per `cooldownMs`.
+function createAdaptiveLimiter({
+  max,
+  min = 1,
+  cooldownMs = 1000,
+  now = Date.now,
+  onChange = () => {},
+}) {
+  let limit = max;
+  let numSuccessesSinceChange = 0;
+  let lastCutAt = -Infinity;
+
+  const setLimit = (newLimit, reason) => {
+    if (newLimit !== limit) {
+      limit = newLimit;
+      onChange(limit, reason);
+    }
+    numSuccessesSinceChange = 0;
+  };
+
+  return {
+    get limit() {
+      return limit;
+    },
+
+    recordSuccess: () => {
+      numSuccessesSinceChange++;
+      if (numSuccessesSinceChange >= limit && limit < max) {
+        setLimit(limit + 1, "recovered");
+      }
+    },
+
+    recordThrottle: () => {
+      numSuccessesSinceChange = 0;
+      if (now() - lastCutAt < cooldownMs) {
+        return;
+      }
+      lastCutAt = now();
+      setLimit(Math.max(min, Math.floor(limit / 2)), "throttled");
+    },
+  };
+}
+
+module.exports = { createAdaptiveLimiter };
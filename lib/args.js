@@ -0,0 +1,29 @@
+// Tiny helpers for reading CLI arguments. Flags look like `--force`, and
+// options look like `--name=value`. Everything else is positional.
+
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+function getArgValue(name, defaultValue = null) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((arg) => arg.startsWith(prefix));
+  return arg != null ? arg.substr(prefix.length) : defaultValue;
+}
+
+// Options can be repeated, and/or comma-separated, like:
+// `--host=a.com --host=b.com,c.com`.
+function getArgValues(name) {
+  const prefix = `--${name}=`;
+  return process.argv
+    .filter((arg) => arg.startsWith(prefix))
+    .map((arg) => arg.substr(prefix.length).split(","))
+    .flat()
+    .filter((value) => value !== "");
+}
+
+function getPositionalArgs() {
+  return process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+}
+
+module.exports = { hasFlag, getArgValue, getArgValues, getPositionalArgs };
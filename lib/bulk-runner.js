@@ -0,0 +1,284 @@
+const promiseRetry = require("promise-retry");
+const { timeout } = require("promise-timeout");
+
+const { createAdaptiveLimiter } = require("./adaptive-limiter");
+const { classifyError } = require("./errors");
+
+// Walk the bucket, starting after `startAfter`, and call `runKey(key)` for
+// every key that passes `filterKey(key)`, up to `numWorkers` at a time. Each
+// key gets `keyTimeout` ms per try, and is retried with `keyRetryOptions`
+// (see promise-retry) before we give up on it. Listing the bucket is
+// retried with `listRetryOptions`.
+//
+// We don't retry errors that can never succeed, like AccessDenied, and when
+// S3 throttles us, we work on fewer keys at a time, down to `minWorkers`,
+// then slowly work back up. (See `lib/errors.js` and
+// `lib/adaptive-limiter.js`.)
+//
+// `runKey` returns a result like `{didMakeChanges}`. Results that didn't
+// make changes count as no-ops. Each result also goes to `onResult`, and
+// each page of keys goes to `onPage`, for callers that count more things.
+// If you pass a `progress` reporter (see `lib/progress.js`), it hears about
+// every key we finish, too.
+//
+// Progress and failures go into the `checkpoint` as we go. Or, if
+// `retryFailures` is true, we just retry the checkpoint's failed keys
+// instead of walking the bucket.
+//
+// Returns a summary like `{numKeys, numMatchingKeys, numNoOps, numThrottles,
+// failures, didGiveUp}`, where `didGiveUp` means we couldn't list the
+// bucket. Each failure is like `{key, error, errorClass}`.
+async function runBulkOperation(
+  storage,
+  {
+    filterKey,
+    runKey,
+    checkpoint,
+    isStopping = () => false,
+    startAfter = null,
+    retryFailures = false,
+    prefix = "outfits/",
+    numWorkers = 30,
+    minWorkers = 1,
+    keyTimeout = 10000,
+    keyRetryOptions = { retries: 5 },
+    listRetryOptions = { retries: 10 },
+    onPage = () => {},
+    onResult = () => {},
+    progress = null,
+  }
+) {
+  let numKeys = 0;
+  let numMatchingKeys = 0;
+  let numNoOps = 0;
+  let numThrottles = 0;
+  const failures = [];
+
+  const limiter = createAdaptiveLimiter({
+    max: numWorkers,
+    min: Math.min(minWorkers, numWorkers),
+    onChange: (limit, reason) =>
+      console.info(
+        reason === "throttled"
+          ? `[RATE] Throttled! Working on ${limit} keys at a time`
+          : `[RATE] Recovering, working on ${limit} keys at a time`
+      ),
+  });
+
+  const runKeyWithRetries = (key) =>
+    promiseRetry(
+      (retry, number) =>
+        timeout(runKey(key), keyTimeout).catch((err) => {
+          const errorClass = classifyError(err);
+          if (errorClass === "permanent") {
+            throw err; // Retrying won't help!
+          }
+          if (errorClass === "throttled") {
+            numThrottles++;
+            limiter.recordThrottle();
+          }
+          console.error(`Error processing ${key} (retry=${number}):`, err);
+          retry(err);
+        }),
+      keyRetryOptions
+    );
+
+  // Errors from our own bookkeeping below aren't the key's fault, so they
+  // don't count as failures; `runKeys` passes them on instead.
+  const runOneKey = (key) => {
+    const startTime = Date.now();
+    return runKeyWithRetries(key).then(
+      (result) => {
+        limiter.recordSuccess();
+        checkpoint.recordSuccess(key);
+        if (!result || !result.didMakeChanges) {
+          numNoOps += 1;
+        }
+        if (progress) {
+          progress.recordResult(key, result, Date.now() - startTime);
+        }
+        onResult(result);
+      },
+      (error) => {
+        const errorClass = classifyError(error);
+        console.error(
+          `Error processing ${key}, giving up (${errorClass}):`,
+          error
+        );
+        checkpoint.recordFailure(key, error);
+        failures.push({ key, error, errorClass });
+        if (progress) {
+          progress.recordFailure(key, error, Date.now() - startTime);
+        }
+      }
+    );
+  };
+
+  // Work on up to `limiter.limit` keys at a time. (The limit can change as
+  // we go, so we check it each time a key finishes.)
+  //
+  // Failed keys are normal, and `runOneKey` handles them. But if something
+  // else throws, like `onResult` or the checkpoint, we stop starting new
+  // keys, let the running ones finish, and then reject with that error.
+  const runKeys = (keys) =>
+    new Promise((resolve, reject) => {
+      let keyIndex = 0;
+      let numRunning = 0;
+      let unexpectedError = null;
+      const startMoreKeys = () => {
+        while (
+          !unexpectedError &&
+          numRunning < limiter.limit &&
+          keyIndex < keys.length &&
+          !isStopping()
+        ) {
+          const key = keys[keyIndex];
+          keyIndex++;
+          numRunning++;
+          runOneKey(key)
+            .catch((error) => {
+              unexpectedError = unexpectedError || error;
+            })
+            .finally(() => {
+              numRunning--;
+              startMoreKeys();
+            });
+        }
+        if (numRunning === 0) {
+          if (unexpectedError) {
+            reject(unexpectedError);
+          } else {
+            // Resolve to whether we got through all the keys, or stopped
+            // early.
+            resolve(keyIndex >= keys.length);
+          }
+        }
+      };
+      startMoreKeys();
+    });
+
+  const getSummary = (didGiveUp = false) => ({
+    numKeys,
+    numMatchingKeys,
+    numNoOps,
+    numThrottles,
+    failures,
+    didGiveUp,
+  });
+
+  if (retryFailures) {
+    // Instead of walking the bucket, just retry the keys that failed last
+    // time. (This doesn't move the checkpoint's place in the walk.)
+    const failedKeys = checkpoint.failedKeys;
+    console.info(`Retrying ${failedKeys.length} previously failed keys`);
+    numKeys = numMatchingKeys = failedKeys.length;
+    await runKeys(failedKeys);
+    await checkpoint.save();
+    return getSummary();
+  }
+
+  let lastKey = startAfter;
+  if (lastKey) {
+    console.info(`Starting after ${lastKey}`);
+  }
+
+  for (let pageNum = 1; !isStopping(); pageNum++) {
+    let keys;
+    try {
+      keys = await promiseRetry(
+        (retry, number) =>
+          timeout(listKeys(storage, prefix, lastKey), 5000).catch((err) => {
+            if (classifyError(err) === "permanent") {
+              throw err; // Retrying won't help!
+            }
+            console.warn(
+              `Error loading keys from storage, retrying (StartAfter=${lastKey}, retry=${number})`,
+              err
+            );
+            retry(err);
+          }),
+        listRetryOptions
+      );
+    } catch (err) {
+      console.error(
+        `Error loading keys from storage, giving up (StartAfter=${lastKey}):`,
+        err
+      );
+      await checkpoint.save();
+      return getSummary(true);
+    }
+
+    if (keys.length === 0) {
+      break;
+    }
+
+    console.info(
+      `Page ${pageNum}: ${keys[0]} to ${keys[keys.length - 1]} ` +
+        `(${keys.length} keys)`
+    );
+
+    const matchingKeys = keys.filter(filterKey);
+    numKeys += keys.length;
+    numMatchingKeys += matchingKeys.length;
+    onPage(keys);
+
+    const didFinishPage = await runKeys(matchingKeys);
+
+    // Only move the checkpoint forward once the whole page is done. If we
+    // stopped partway through, we'll redo this page next time, so
+    // operations should be safe to repeat: keys we already finished should
+    // just be no-ops!
+    if (didFinishPage) {
+      lastKey = keys[keys.length - 1];
+      checkpoint.completeThrough(lastKey);
+    }
+    await checkpoint.save();
+  }
+
+  return getSummary();
+}
+
+async function listKeys(storage, prefix, startAfter) {
+  const objects = await storage.listKeys({
+    maxKeys: 1000,
+    startAfter,
+    prefix,
+  });
+  return objects.map((obj) => obj.key);
+}
+
+// Print how a run went, from `runBulkOperation`'s summary. `keysLabel`
+// describes the keys we ran on, like "image keys (backed up!)", and
+// `extraLines` are more summary lines to print before the total.
+function logBulkSummary(
+  summary,
+  { checkpoint, isStopping, dryRun = false, keysLabel, extraLines = [] }
+) {
+  const { numKeys, numMatchingKeys, numNoOps, numThrottles, failures } =
+    summary;
+  const numSuccesses = numMatchingKeys - numNoOps - failures.length;
+
+  console.info(isStopping() ? `Stopped early!` : `Done!`);
+  console.info(`Failed keys (count: ${failures.length}):`);
+  for (const { key, error, errorClass } of failures) {
+    console.info(`- ${key} (${errorClass}: ${error.message})`);
+  }
+  console.info(dryRun ? `Summary (dry run, nothing was written):` : `Summary:`);
+  console.info(`- ${numMatchingKeys} ${keysLabel}`);
+  console.info(
+    `  - ${numSuccesses} successes, ${numNoOps} no-ops, ${failures.length} failures`
+  );
+  for (const line of extraLines) {
+    console.info(line);
+  }
+  if (numThrottles > 0) {
+    console.info(`- ${numThrottles} throttled tries (retried more slowly)`);
+  }
+  console.info(`- ${numKeys} total`);
+  console.info(
+    `- ${checkpoint.failedKeys.length} failed keys saved for ` +
+      `--retry-failures`
+  );
+}
+
+module.exports = { runBulkOperation, logBulkSummary };
@@ -0,0 +1,87 @@
+const fs = require("fs").promises;
+
+// A checkpoint is a small JSON file that remembers how far a bulk bucket walk
+// has gotten, and which keys failed along the way. That way, we can stop a
+// walk (or crash!) and pick up where we left off, and retry just the
+// failures later.
+//
+// The file looks like:
+//   {
+//     "lastCompletedKey": "outfits/000/123/456/small_preview.png",
+//     "failures": {
+//       "outfits/000/000/001/preview.png": {
+//         "message": "Image not found",
+//         "code": null,
+//         "failedAt": "2021-06-01T12:34:56.789Z"
+//       }
+//     }
+//   }
+async function loadCheckpoint(path) {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(path, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      state = {};
+    } else {
+      throw err;
+    }
+  }
+
+  state = { lastCompletedKey: null, failures: {}, ...state };
+
+  return {
+    get lastCompletedKey() {
+      return state.lastCompletedKey;
+    },
+    get failedKeys() {
+      return Object.keys(state.failures).sort();
+    },
+    getFailure: (key) => state.failures[key] || null,
+    // Call this only once *every* key up to and including `key` is done
+    // (successfully or not), so we never skip a key when we resume.
+    completeThrough: (key) => {
+      state.lastCompletedKey = key;
+    },
+    recordFailure: (key, error) => {
+      state.failures[key] = {
+        message: error.message,
+        code: error.code || null,
+        failedAt: new Date().toISOString(),
+      };
+    },
+    recordSuccess: (key) => {
+      delete state.failures[key];
+    },
+    // Write to a temporary file first, then move it into place, so that
+    // getting interrupted mid-write can't corrupt the checkpoint.
+    save: async () => {
+      const tmpPath = path + ".tmp";
+      await fs.writeFile(tmpPath, JSON.stringify(state, null, 2) + "\n");
+      await fs.rename(tmpPath, path);
+    },
+  };
+}
+
+// Listen for Ctrl-C, and return a function that says whether we've been
+// asked to stop. Callers should stop *starting* new work when it returns
+// true, let in-flight work finish, save their checkpoint, and exit. A second
+// Ctrl-C exits right away, for when things are really stuck.
+function watchForInterrupt() {
+  let isStopping = false;
+  process.on("SIGINT", () => {
+    if (isStopping) {
+      console.warn(`Interrupted again, exiting now!`);
+      process.exit(130);
+    }
+
+    isStopping = true;
+    console.warn(
+      `Interrupted! Finishing in-flight work, then saving and exiting. ` +
+        `(Press Ctrl-C again to exit right away.)`
+    );
+  });
+  return () => isStopping;
+}
+
+module.exports = { loadCheckpoint, watchForInterrupt };
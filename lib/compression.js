@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+const stream = require("stream");
+
+const PngQuant = require("pngquant");
+const { PNG } = require("pngjs");
+
+// We compress each image with every strategy in
+// `compression-strategies.json`, and keep the smallest result. Strategies
+// come in two kinds:
+//   - "lossy": Quantize with pngquant, at the `quality` range for the image's
+//     size, like "40-80". pngquant targets the higher number, and gives up
+//     if it can't do at least the lower one, so that's our quality floor.
+//   - "lossless": Re-encode the same pixels more efficiently. Always meets
+//     the floor, and often still shrinks images that quantizing doesn't!
+//
+// A strategy that fails (like pngquant giving up) just doesn't count. Each
+// result says which strategy won, like "pngquant:40-80" or "lossless".
+const COMPRESSION_KINDS = ["lossy", "lossless"];
+
+const STRATEGIES_PATH = path.join(
+  __dirname,
+  "..",
+  "compression-strategies.json"
+);
+
+function loadCompressionStrategies(strategiesPath = STRATEGIES_PATH) {
+  const strategies = JSON.parse(fs.readFileSync(strategiesPath, "utf8"));
+  return strategies.map((strategy, index) => {
+    if (!COMPRESSION_KINDS.includes(strategy.kind)) {
+      throw new Error(
+        `Compression strategy ${index} in ${strategiesPath} has unexpected ` +
+          `kind ${JSON.stringify(strategy.kind)}. Expected one of: ` +
+          COMPRESSION_KINDS.join(", ")
+      );
+    }
+    if (strategy.kind === "lossy" && !strategy.quality) {
+      throw new Error(
+        `Compression strategy ${index} in ${strategiesPath} is lossy, but ` +
+          `has no quality ranges`
+      );
+    }
+    return {
+      name: strategy.name,
+      kind: strategy.kind,
+      quality: strategy.quality || null,
+    };
+  });
+}
+
+// Try each strategy on `image` (a PNG buffer), and return the smallest
+// result, as `{image, strategy}`. Strategies without a quality range for
+// `imageSize` are skipped. If every strategy fails, we throw the first
+// error.
+//
+// NOTE: The winner might still be bigger than the original! It's up to the
+//       caller whether to use it.
+async function compressImage(image, { imageSize, strategies }) {
+  let best = null;
+  const errors = [];
+  for (const strategy of strategies) {
+    let candidate;
+    try {
+      if (strategy.kind === "lossy") {
+        const quality = strategy.quality[imageSize];
+        if (!quality) {
+          continue;
+        }
+        candidate = {
+          image: await quantizeImage(image, quality),
+          strategy: `${strategy.name}:${quality}`,
+        };
+      } else {
+        candidate = {
+          image: reencodeImageLosslessly(image),
+          strategy: strategy.name,
+        };
+      }
+    } catch (error) {
+      errors.push(error);
+      continue;
+    }
+
+    if (best == null || candidate.image.length < best.image.length) {
+      best = candidate;
+    }
+  }
+
+  if (best == null) {
+    throw errors[0] || new Error(`No compression strategies for ${imageSize}`);
+  }
+  return best;
+}
+
+async function quantizeImage(image, quality) {
+  const quanter = new PngQuant([256, "--quality", quality]);
+  const imageStream = stream.Readable.from(image);
+
+  // Stream the original image data into the quanter, and collect the output
+  // chunks from the stream, to join into a new Buffer at the end.
+  const chunks = [];
+  await new Promise((resolve, reject) => {
+    imageStream.pipe(quanter);
+
+    quanter.on("error", (err) => reject(err));
+    quanter.on("data", (chunk) => {
+      chunks.push(chunk);
+    });
+    quanter.on("end", () => {
+      resolve();
+    });
+  });
+
+  return Buffer.concat(chunks);
+}
+
+function reencodeImageLosslessly(image) {
+  // `filterType: -1` tries every PNG filter on each row, and keeps the one
+  // that compresses best. Decoding drops metadata chunks, too.
+  const png = PNG.sync.read(image);
+  return PNG.sync.write(png, { deflateLevel: 9, filterType: -1 });
+}
+
+module.exports = {
+  COMPRESSION_KINDS,
+  loadCompressionStrategies,
+  compressImage,
+};
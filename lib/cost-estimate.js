@@ -0,0 +1,143 @@
+const { S3_PRICING, GB } = require("./s3-pricing");
+
+// Estimate what an object costs us per month: storing it, plus serving it
+// `monthlyRequests` times.
+function estimateMonthlyCost(
+  { size, storageClass, monthlyRequests = 0 },
+  pricing = S3_PRICING
+) {
+  // We don't use any other storage classes, but if something else shows up,
+  // we'll estimate it like STANDARD rather than give up.
+  const storagePrice =
+    pricing.storagePerGbMonth[storageClass] ||
+    pricing.storagePerGbMonth.STANDARD;
+  const billableBytes = Math.max(
+    size,
+    pricing.minBillableBytes[storageClass] || 0
+  );
+  let storage = (billableBytes / GB) * storagePrice;
+
+  const overhead = pricing.archiveOverheadBytes[storageClass];
+  if (overhead) {
+    storage +=
+      (overhead.archive / GB) * storagePrice +
+      (overhead.standard / GB) * pricing.storagePerGbMonth.STANDARD;
+  }
+
+  const requestedGb = (monthlyRequests * size) / GB;
+  const requests =
+    (monthlyRequests / 1000) * (pricing.getPer1000[storageClass] || 0) +
+    requestedGb * (pricing.retrievalPerGb[storageClass] || 0);
+  const transfer = requestedGb * pricing.transferOutPerGb;
+
+  return { storage, requests, transfer, total: storage + requests + transfer };
+}
+
+// Given an outfit image as it is today (the original, and its backup if it
+// has one), predict what it'll look like once `backup-all --dispositions`
+// has carried out its disposition:
+//   - "compress": The original gets compressed by `compressionRatio`, and
+//     moves to STANDARD_IA.
+//   - "placeholder": The original becomes a placeholder of
+//     `placeholderSize` bytes, and moves to STANDARD_IA.
+//   - "leave-alone": Nothing changes. `backup-all --dispositions` skips
+//     these entirely, so they don't get a backup either, and cost the same
+//     as today.
+// For "compress" and "placeholder", the original gets backed up to GLACIER
+// first, if it isn't already.
+//
+// NOTE: Bucket listings don't include tags, so we can't tell for sure
+//       whether an image was already compressed. We assume an original in
+//       STANDARD_IA with a backup has been, because that's what backup-all
+//       leaves behind.
+//
+// Returns `{today, after, oneTimeCost}`, where `today` and `after` are lists
+// of objects to pass to `estimateMonthlyCost`, and `oneTimeCost` is what the
+// requests to get there will cost.
+function planImageObjects(
+  { original, backup, disposition, monthlyRequests },
+  { compressionRatio, placeholderSize },
+  pricing = S3_PRICING
+) {
+  const today = [{ ...original, monthlyRequests }];
+  if (backup) {
+    today.push({ ...backup, monthlyRequests: 0 });
+  }
+
+  if (disposition === "leave-alone") {
+    return { today, after: today, oneTimeCost: 0 };
+  }
+
+  let newSize;
+  if (disposition === "placeholder") {
+    newSize = placeholderSize;
+  } else if (backup && original.storageClass === "STANDARD_IA") {
+    newSize = original.size;
+  } else {
+    newSize = Math.round(original.size * compressionRatio);
+  }
+
+  const after = [
+    { size: newSize, storageClass: "STANDARD_IA", monthlyRequests },
+    backup
+      ? { ...backup, monthlyRequests: 0 }
+      : { size: original.size, storageClass: "GLACIER", monthlyRequests: 0 },
+  ];
+
+  // Backing up costs a COPY into GLACIER, and replacing costs a GET of the
+  // original and a PUT into STANDARD_IA.
+  let oneTimeCost = 0;
+  if (!backup) {
+    oneTimeCost += pricing.putPer1000.GLACIER / 1000;
+  }
+  if (newSize !== original.size || original.storageClass !== "STANDARD_IA") {
+    oneTimeCost +=
+      (pricing.getPer1000[original.storageClass] || 0) / 1000 +
+      pricing.putPer1000.STANDARD_IA / 1000;
+  }
+
+  return { today, after, oneTimeCost };
+}
+
+// Add up costs into one row per (imageSize, disposition), for the report.
+function createCostBreakdown() {
+  const rows = new Map();
+
+  return {
+    add: (imageSize, disposition, { today, after, oneTimeCost }) => {
+      const key = `${imageSize}\t${disposition}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          imageSize,
+          disposition,
+          numImages: 0,
+          todayBytes: 0,
+          afterBytes: 0,
+          todayMonthlyCost: 0,
+          afterMonthlyCost: 0,
+          oneTimeCost: 0,
+        });
+      }
+
+      const row = rows.get(key);
+      row.numImages++;
+      row.todayBytes += sumBy(today, (o) => o.size);
+      row.afterBytes += sumBy(after, (o) => o.size);
+      row.todayMonthlyCost += sumBy(today, (o) => estimateMonthlyCost(o).total);
+      row.afterMonthlyCost += sumBy(after, (o) => estimateMonthlyCost(o).total);
+      row.oneTimeCost += oneTimeCost;
+    },
+    rows: () =>
+      [...rows.values()].sort(
+        (a, b) =>
+          String(a.imageSize).localeCompare(String(b.imageSize)) ||
+          a.disposition.localeCompare(b.disposition)
+      ),
+  };
+}
+
+function sumBy(items, fn) {
+  return items.reduce((sum, item) => sum + fn(item), 0);
+}
+
+module.exports = { estimateMonthlyCost, planImageObjects, createCostBreakdown };
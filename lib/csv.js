@@ -0,0 +1,33 @@
+const fs = require("fs");
+
+// Write rows to a CSV file, one object per row, with the given columns in
+// order. Missing values become empty cells.
+function createCsvWriter(path, columns) {
+  const stream = fs.createWriteStream(path);
+  stream.write(columns.map(formatCsvValue).join(",") + "\n");
+
+  return {
+    writeRow: (row) => {
+      stream.write(columns.map((c) => formatCsvValue(row[c])).join(",") + "\n");
+    },
+    close: () =>
+      new Promise((resolve, reject) => {
+        stream.on("error", reject);
+        stream.end(resolve);
+      }),
+  };
+}
+
+function formatCsvValue(value) {
+  if (value == null) {
+    return "";
+  }
+
+  const string = String(value);
+  if (string.match(/[",\r\n]/)) {
+    return `"${string.replace(/"/g, '""')}"`;
+  }
+  return string;
+}
+
+module.exports = { createCsvWriter, formatCsvValue };
@@ -0,0 +1,64 @@
+const path = require("path");
+const util = require("util");
+
+const sqlite3 = require("sqlite3").verbose();
+
+const { migrate } = require("./migrations");
+
+const DB_PATH = path.join(__dirname, "..", "db.sqlite3");
+
+// Open the logs database, and wrap the callback-style sqlite3 API in
+// promises, so our scripts can just `await` their queries! We also bring
+// the schema up to date, so callers can assume all the tables exist.
+async function openDb(dbPath = DB_PATH) {
+  const rawDb = await new Promise((resolve, reject) => {
+    const rawDb = new sqlite3.Database(dbPath, (err) =>
+      err ? reject(err) : resolve(rawDb)
+    );
+  });
+
+  const db = {
+    rawDb,
+    run: (sql, ...params) =>
+      new Promise((resolve, reject) => {
+        rawDb.run(sql, ...params, function (err) {
+          // NOTE: sqlite3 passes the result info as `this`, so we can't use
+          //       an arrow function here!
+          err ? reject(err) : resolve(this);
+        });
+      }),
+    get: util.promisify(rawDb.get.bind(rawDb)),
+    all: util.promisify(rawDb.all.bind(rawDb)),
+    exec: util.promisify(rawDb.exec.bind(rawDb)),
+    // Call `onRow` for each row, without loading them all into memory at once.
+    each: (sql, params, onRow) =>
+      new Promise((resolve, reject) => {
+        rawDb.each(
+          sql,
+          params,
+          (err, row) => {
+            if (err) {
+              reject(err);
+            } else {
+              onRow(row);
+            }
+          },
+          (err, numRows) => (err ? reject(err) : resolve(numRows))
+        );
+      }),
+    prepare: (sql) => {
+      const stmt = rawDb.prepare(sql);
+      return {
+        run: util.promisify(stmt.run.bind(stmt)),
+        finalize: util.promisify(stmt.finalize.bind(stmt)),
+      };
+    },
+    close: util.promisify(rawDb.close.bind(rawDb)),
+  };
+
+  await migrate(db);
+
+  return db;
+}
+
+module.exports = { openDb, DB_PATH };
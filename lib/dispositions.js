@@ -0,0 +1,95 @@
+// What we plan to do with each outfit image in the bucket:
+//   - "compress": It's still in use, so replace it with a compressed version.
+//   - "placeholder": It's not really in use, so replace it with a placeholder.
+//   - "leave-alone": Don't touch it at all, not even to compress it.
+//
+// NOTE: Images that never show up in the logs at all don't get a row in the
+//       `dispositions` table. Nobody's requesting them, so they're
+//       placeholders too!
+const DISPOSITIONS = ["compress", "placeholder", "leave-alone"];
+const DEFAULT_DISPOSITION = "placeholder";
+
+const DEFAULT_RULES = {
+  // Images requested fewer times than this become placeholders.
+  minRequestCount: 1,
+  // Images not requested since this date (YYYY-MM-DD) become placeholders.
+  // If null, we don't check dates.
+  lastSeenAfter: null,
+  // Images requested at all via these hosts are left alone.
+  allowHosts: [],
+  // Requests via these hosts don't count towards usage.
+  denyHosts: [],
+  // If true, only requests from browsers count towards usage, not crawlers,
+  // link previews, or tools. See `lib/user-agents.js`.
+  humansOnly: false,
+};
+
+// Given the usage stats for an image (as counted in `plan-dispositions.js`),
+// decide what to do with it, and give a human-readable reason for review.
+function classifyDisposition(
+  { requestCount, lastSeenAt, allowedHostRequestCount },
+  rules
+) {
+  if (allowedHostRequestCount > 0) {
+    return {
+      disposition: "leave-alone",
+      reason: `${allowedHostRequestCount} requests via allowed hosts`,
+    };
+  }
+
+  if (requestCount < rules.minRequestCount) {
+    return {
+      disposition: "placeholder",
+      reason:
+        `${requestCount} requests, ` +
+        `fewer than minimum of ${rules.minRequestCount}`,
+    };
+  }
+
+  // NOTE: eventTime is an ISO 8601 string, so comparing the date prefix as a
+  //       string works!
+  if (
+    rules.lastSeenAfter != null &&
+    (lastSeenAt == null || lastSeenAt.substr(0, 10) < rules.lastSeenAfter)
+  ) {
+    return {
+      disposition: "placeholder",
+      reason: `last seen ${lastSeenAt || "never"}, before ${
+        rules.lastSeenAfter
+      }`,
+    };
+  }
+
+  return {
+    disposition: "compress",
+    reason: `${requestCount} requests, last seen ${lastSeenAt || "never"}`,
+  };
+}
+
+// Load the plan from the `dispositions` table, for `getDisposition`.
+async function loadDispositions(db) {
+  const dispositions = new Map();
+  await db.each(
+    `SELECT outfitId, imageSize, disposition FROM dispositions`,
+    [],
+    (row) => {
+      dispositions.set(`${row.outfitId}/${row.imageSize}`, row.disposition);
+    }
+  );
+  return dispositions;
+}
+
+// Look up what we planned for an image, in the plan from `loadDispositions`.
+// Images without a row get the default, see above.
+function getDisposition(dispositions, outfitId, imageSize) {
+  return dispositions.get(`${outfitId}/${imageSize}`) || DEFAULT_DISPOSITION;
+}
+
+module.exports = {
+  DISPOSITIONS,
+  DEFAULT_DISPOSITION,
+  DEFAULT_RULES,
+  classifyDisposition,
+  loadDispositions,
+  getDisposition,
+};
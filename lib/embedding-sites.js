@@ -0,0 +1,197 @@
+// Which external sites are still embedding our outfit images, and how much?
+// This powers `report-embedding-sites.js`.
+//
+// Each "site" is a referrer host (or no referrer at all), plus the host
+// they used to reach us, because an old-style URL on a site tells us
+// something different than a new one.
+
+const NO_REFERRER = "(no referrer)";
+
+const EMBEDDING_SITE_CSV_COLUMNS = [
+  "site",
+  "host",
+  "requestCount",
+  "numOutfits",
+  "requests150",
+  "requests300",
+  "requests600",
+  "firstSeenAt",
+  "lastSeenAt",
+];
+
+// Returns `{sites, months}`, where `months` is every "YYYY-MM" in the logs,
+// in order, and each site has `requestsByMonth` with a count per month.
+// If `humansOnly` is true, we only count requests from browsers.
+async function loadEmbeddingSites(
+  db,
+  { minRequestCount = 1, humansOnly = false } = {}
+) {
+  const userAgentCondition = humansOnly ? `userAgentClass = 'browser'` : `1`;
+
+  const rows = await db.all(
+    `
+      SELECT
+        referrerHost,
+        host,
+        count(*) AS requestCount,
+        count(DISTINCT outfitId) AS numOutfits,
+        sum(imageSize = 150) AS requests150,
+        sum(imageSize = 300) AS requests300,
+        sum(imageSize = 600) AS requests600,
+        min(eventTime) AS firstSeenAt,
+        max(eventTime) AS lastSeenAt
+      FROM logs
+      WHERE ${userAgentCondition}
+      GROUP BY referrerHost, host
+      HAVING count(*) >= ?
+      ORDER BY requestCount DESC, referrerHost, host
+    `,
+    [minRequestCount]
+  );
+
+  const monthRows = await db.all(`
+    SELECT referrerHost, host, substr(eventTime, 1, 7) AS month, count(*) AS requestCount
+    FROM logs
+    WHERE ${userAgentCondition}
+    GROUP BY referrerHost, host, month
+  `);
+
+  const siteKey = (row) => `${row.referrerHost}\t${row.host}`;
+  const requestsByMonthBySite = new Map();
+  const months = new Set();
+  for (const row of monthRows) {
+    const key = siteKey(row);
+    if (!requestsByMonthBySite.has(key)) {
+      requestsByMonthBySite.set(key, {});
+    }
+    requestsByMonthBySite.get(key)[row.month] = row.requestCount;
+    months.add(row.month);
+  }
+
+  const sites = rows.map((row) => ({
+    site: row.referrerHost || NO_REFERRER,
+    host: row.host,
+    requestCount: row.requestCount,
+    numOutfits: row.numOutfits,
+    requests150: row.requests150,
+    requests300: row.requests300,
+    requests600: row.requests600,
+    firstSeenAt: row.firstSeenAt,
+    lastSeenAt: row.lastSeenAt,
+    requestsByMonth: requestsByMonthBySite.get(siteKey(row)) || {},
+  }));
+
+  return { sites, months: [...months].sort() };
+}
+
+// One CSV row per site, with a column per month at the end.
+function getEmbeddingSiteCsvColumns(months) {
+  return [...EMBEDDING_SITE_CSV_COLUMNS, ...months];
+}
+
+function getEmbeddingSiteCsvRow(site, months) {
+  const row = {};
+  for (const column of EMBEDDING_SITE_CSV_COLUMNS) {
+    row[column] = site[column];
+  }
+  for (const month of months) {
+    row[month] = site.requestsByMonth[month] || 0;
+  }
+  return row;
+}
+
+// A static page with one row per site, and a little bar chart of its
+// requests per month, so we can skim it without a spreadsheet.
+function renderEmbeddingSitesHtml({ sites, months }, { generatedAt }) {
+  const siteRows = sites.map((site) => {
+    const maxMonthCount = Math.max(
+      1,
+      ...months.map((m) => site.requestsByMonth[m] || 0)
+    );
+    const bars = months
+      .map((month) => {
+        const count = site.requestsByMonth[month] || 0;
+        const height = Math.round((count / maxMonthCount) * 100);
+        return (
+          `<span class="bar" title="${escapeHtml(month)}: ${count}" ` +
+          `style="height: ${height}%"></span>`
+        );
+      })
+      .join("");
+
+    return `
+      <tr>
+        <td>${escapeHtml(site.site)}</td>
+        <td>${escapeHtml(site.host)}</td>
+        <td class="num">${site.requestCount}</td>
+        <td class="num">${site.numOutfits}</td>
+        <td class="num">${site.requests150}</td>
+        <td class="num">${site.requests300}</td>
+        <td class="num">${site.requests600}</td>
+        <td>${escapeHtml(site.firstSeenAt)}</td>
+        <td>${escapeHtml(site.lastSeenAt)}</td>
+        <td><div class="bars">${bars}</div></td>
+      </tr>`;
+  });
+
+  const monthRange =
+    months.length > 0 ? `${months[0]} to ${months[months.length - 1]}` : "";
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Embedding sites</title>
+    <style>
+      body { font-family: sans-serif; margin: 2em; }
+      table { border-collapse: collapse; }
+      th, td { padding: 4px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+      td.num { text-align: right; }
+      .bars { display: flex; align-items: flex-end; height: 24px; gap: 1px; }
+      .bar { display: inline-block; width: 6px; min-height: 1px; background: #4a7; }
+    </style>
+  </head>
+  <body>
+    <h1>Embedding sites</h1>
+    <p>
+      ${sites.length} sites, generated ${escapeHtml(generatedAt)}.
+      Requests per month: ${escapeHtml(monthRange)}.
+    </p>
+    <table>
+      <thead>
+        <tr>
+          <th>Site</th>
+          <th>Host</th>
+          <th>Requests</th>
+          <th>Outfits</th>
+          <th>150px</th>
+          <th>300px</th>
+          <th>600px</th>
+          <th>First seen</th>
+          <th>Last seen</th>
+          <th>Requests per month</th>
+        </tr>
+      </thead>
+      <tbody>${siteRows.join("")}
+      </tbody>
+    </table>
+  </body>
+</html>
+`;
+}
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+module.exports = {
+  loadEmbeddingSites,
+  getEmbeddingSiteCsvColumns,
+  getEmbeddingSiteCsvRow,
+  renderEmbeddingSitesHtml,
+};
@@ -0,0 +1,57 @@
+// Sort errors from our bulk operations into what we should do about them:
+//   - "throttled": S3 (or another service) is asking us to slow down. Retry,
+//     and do fewer things at a time. (See `./adaptive-limiter.js`.)
+//   - "permanent": Retrying won't help, like when we don't have access, or
+//     the key is gone. Give up on the key right away.
+//   - "transient": Anything else, like timeouts and network errors. Retry!
+const THROTTLED_ERROR_CODES = new Set([
+  "SlowDown",
+  "Throttling",
+  "ThrottlingException",
+  "RequestThrottled",
+  "RequestLimitExceeded",
+  "TooManyRequests",
+  "TooManyRequestsException",
+]);
+const THROTTLED_STATUS_CODES = new Set([429, 503]);
+
+const PERMANENT_ERROR_CODES = new Set([
+  // S3
+  "AccessDenied",
+  "AllAccessDisabled",
+  "InvalidAccessKeyId",
+  "SignatureDoesNotMatch",
+  "NoSuchBucket",
+  "NoSuchKey",
+  "NotFound",
+  "InvalidObjectState",
+  "InvalidArgument",
+  "InvalidRequest",
+  "MethodNotAllowed",
+  // Ours, from backup-image: they won't change until we warm the layer cache
+  // or save more snapshots.
+  "LayerNotCached",
+  "OutfitNotSnapshotted",
+]);
+
+function classifyError(error) {
+  const code = error && error.code;
+  const statusCode = error && error.statusCode;
+
+  if (
+    THROTTLED_ERROR_CODES.has(code) ||
+    THROTTLED_STATUS_CODES.has(statusCode)
+  ) {
+    return "throttled";
+  }
+  if (PERMANENT_ERROR_CODES.has(code)) {
+    return "permanent";
+  }
+  // Other client errors won't change if we ask again, except timeouts.
+  if (statusCode >= 400 && statusCode < 500 && statusCode !== 408) {
+    return "permanent";
+  }
+  return "transient";
+}
+
+module.exports = { classifyError };
@@ -0,0 +1,60 @@
+const pixelmatch = require("pixelmatch");
+const { PNG } = require("pngjs");
+
+// How different two pixels' colors can be before we count them as
+// mismatched, from 0 to 1. This is pixelmatch's own default, which forgives
+// the small color shifts from compression.
+const DEFAULT_PIXEL_THRESHOLD = 0.1;
+
+// Compare two PNG images, pixel by pixel. Returns the share of pixels that
+// don't match (from 0 to 1), and a diff image that highlights them in red.
+//
+// If the images aren't the same size, or one of them isn't a PNG we can
+// read, every pixel counts as mismatched, and there's no diff image.
+// `reason` says what went wrong, for the logs.
+function compareImages(
+  expectedImage,
+  actualImage,
+  { pixelThreshold = DEFAULT_PIXEL_THRESHOLD } = {}
+) {
+  let expected, actual;
+  try {
+    expected = PNG.sync.read(expectedImage);
+    actual = PNG.sync.read(actualImage);
+  } catch (error) {
+    return {
+      mismatchRatio: 1,
+      diffImage: null,
+      reason: `could not read PNG: ${error.message}`,
+    };
+  }
+
+  const { width, height } = expected;
+  if (actual.width !== width || actual.height !== height) {
+    return {
+      mismatchRatio: 1,
+      diffImage: null,
+      reason:
+        `size changed from ${width}x${height} to ` +
+        `${actual.width}x${actual.height}`,
+    };
+  }
+
+  const diff = new PNG({ width, height });
+  const numMismatchedPixels = pixelmatch(
+    expected.data,
+    actual.data,
+    diff.data,
+    width,
+    height,
+    { threshold: pixelThreshold }
+  );
+
+  return {
+    mismatchRatio: numMismatchedPixels / (width * height),
+    diffImage: PNG.sync.write(diff),
+    reason: null,
+  };
+}
+
+module.exports = { compareImages, DEFAULT_PIXEL_THRESHOLD };
@@ -0,0 +1,9 @@
+// The worker thread for backup-image's pool of image threads, see
+// `./worker-pool.js`. Compositing layers and compressing images are the
+// CPU-heavy parts of backing up an image, so we do them here, off the main
+// thread.
+const { compressImage } = require("./compression");
+const { compositeLayers } = require("./outfit-images");
+const { serveWorkerTasks } = require("./worker-pool");
+
+serveWorkerTasks({ compositeLayers, compressImage });
@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+
+const fetch = require("node-fetch");
+
+const { trace } = require("./tracing");
+
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024 * 1024;
+
+// Every PNG file starts with these 8 bytes.
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+// A cache of layer images on disk, so that each layer is only downloaded
+// once, even across runs. (Popular pet bodies and items are in thousands of
+// outfits!)
+//
+// Each layer is saved at `<dir>/<ab>/<abcdef...>`, where `abcdef...` is the
+// SHA-256 of its URL. When the cache grows past `maxBytes`, we delete the
+// least recently used layers. (We keep track of that with the files'
+// modification times, so it carries across runs, too.)
+//
+// In `cacheOnly` mode, we never download anything, and layers that aren't
+// in the cache throw an error with code "LayerNotCached". That way, you can
+// render from a warm cache entirely offline.
+function createLayerCache({
+  dir,
+  maxBytes = DEFAULT_MAX_BYTES,
+  cacheOnly = false,
+  fetchLayer = fetchLayerFromNetwork,
+}) {
+  if (!(maxBytes > 0)) {
+    throw new Error(
+      `Layer cache size must be a positive number, got ${maxBytes}`
+    );
+  }
+
+  // Layer hashes to their sizes, least recently used first.
+  const sizesByHash = new Map();
+  let totalBytes = 0;
+  const downloadPromises = new Map();
+  const stats = { numHits: 0, numDownloads: 0 };
+
+  const getLayerPath = (hash) => path.join(dir, hash.substr(0, 2), hash);
+
+  const addToIndex = (hash, size) => {
+    removeFromIndex(hash);
+    sizesByHash.set(hash, size);
+    totalBytes += size;
+  };
+  const removeFromIndex = (hash) => {
+    if (sizesByHash.has(hash)) {
+      totalBytes -= sizesByHash.get(hash);
+      sizesByHash.delete(hash);
+    }
+  };
+
+  // Load the index from disk the first time we need it.
+  let indexPromise = null;
+  const loadIndex = () => {
+    if (!indexPromise) {
+      indexPromise = (async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const layers = await scanLayers(dir);
+        layers.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const { hash, size } of layers) {
+          addToIndex(hash, size);
+        }
+      })();
+    }
+    return indexPromise;
+  };
+
+  const evict = async () => {
+    // Always keep the newest layer, even if it's bigger than the limit!
+    while (totalBytes > maxBytes && sizesByHash.size > 1) {
+      const [hash] = sizesByHash.keys();
+      removeFromIndex(hash);
+      await fs.unlink(getLayerPath(hash)).catch((error) => {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      });
+    }
+  };
+
+  const download = async (url, hash) => {
+    const data = await trace("4k. downloadLayer", { url }, () =>
+      fetchLayer(url)
+    );
+    stats.numDownloads++;
+
+    // Layer images are all PNGs. If we got something else, like an HTML
+    // error page that still came back 200 OK, or an empty body, we'd rather
+    // fail now than keep rendering with it from the cache, run after run!
+    if (!isPng(data)) {
+      throw new Error(`Downloaded layer is not a PNG image: ${url}`);
+    }
+
+    // Write to a temporary file first, then move it into place, so a crash
+    // never leaves a half-written layer in the cache.
+    const layerPath = getLayerPath(hash);
+    const tmpPath = `${layerPath}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.mkdir(path.dirname(layerPath), { recursive: true });
+    await fs.writeFile(tmpPath, data);
+    await fs.rename(tmpPath, layerPath);
+
+    addToIndex(hash, data.length);
+    await evict();
+    return data;
+  };
+
+  return {
+    // Get the layer image at `url`, as a Buffer: from the cache if we have
+    // it, or from the network if not.
+    getLayer: async (url) => {
+      await loadIndex();
+      const hash = hashUrl(url);
+
+      if (sizesByHash.has(hash)) {
+        const layerPath = getLayerPath(hash);
+        try {
+          const data = await fs.readFile(layerPath);
+          // Mark it as recently used, here and on disk.
+          addToIndex(hash, data.length);
+          const now = new Date();
+          await fs.utimes(layerPath, now, now).catch(() => {});
+          stats.numHits++;
+          return data;
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            throw error;
+          }
+          // Someone deleted it out from under us. Download it again!
+          removeFromIndex(hash);
+        }
+      }
+
+      if (cacheOnly) {
+        const error = new Error(`Layer is not in the cache: ${url}`);
+        error.code = "LayerNotCached";
+        throw error;
+      }
+
+      // If another worker is already downloading this layer, wait for it.
+      if (!downloadPromises.has(hash)) {
+        downloadPromises.set(
+          hash,
+          download(url, hash).finally(() => downloadPromises.delete(hash))
+        );
+      }
+      return await downloadPromises.get(hash);
+    },
+
+    getStats: () => ({
+      ...stats,
+      numLayers: sizesByHash.size,
+      numBytes: totalBytes,
+    }),
+  };
+}
+
+async function scanLayers(dir) {
+  const layers = [];
+  for (const subdir of await fs.readdir(dir)) {
+    const subdirPath = path.join(dir, subdir);
+    if (!(await fs.stat(subdirPath)).isDirectory()) {
+      continue;
+    }
+    for (const filename of await fs.readdir(subdirPath)) {
+      const filePath = path.join(subdirPath, filename);
+      if (filename.endsWith(".tmp")) {
+        // Still being written, or left over from a crash. Not a layer!
+        continue;
+      }
+      const { size, mtimeMs } = await fs.stat(filePath);
+      layers.push({ hash: filename, size, mtimeMs });
+    }
+  }
+  return layers;
+}
+
+function isPng(data) {
+  return (
+    data.length > PNG_SIGNATURE.length &&
+    data.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)
+  );
+}
+
+function hashUrl(url) {
+  return crypto.createHash("sha256").update(url).digest("hex");
+}
+
+async function fetchLayerFromNetwork(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`Error downloading layer: ${res.status} (${url})`);
+  }
+  return await res.buffer();
+}
+
+module.exports = { createLayerCache, DEFAULT_MAX_BYTES };
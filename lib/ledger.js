@@ -0,0 +1,226 @@
+const { parseS3Key } = require("./outfit-keys");
+
+// The ledger is a permanent record of every change our scripts make to the
+// bucket, in the `ledger` table of db.sqlite3, so we can still answer "what
+// happened to outfit X?" weeks later. See `yarn query-ledger`.
+//
+// Each row is one action on one outfit image:
+//   - "backup": Copied the original to its `.bkup` key. (This row's key is
+//     the `.bkup` key, and its previous and new state are the backup's,
+//     not the original's.)
+//   - "compress": Replaced the original with a compressed version.
+//   - "compression-failed": Tagged the original as impossible to compress.
+//   - "render-mismatch": Tagged the original as not matching its re-render.
+//   - "placeholder": Replaced the original with a placeholder.
+//   - "restore": Copied the backup back over the original.
+//   - "delete-tags": Deleted the object's tags.
+//   - "set-storage-class": Moved the object to another storage class.
+//
+// Each row also has the object's tag, storage class, and size from before
+// the run touched it, and the new tag, storage class, and size after. (The
+// new size is null when the object's data didn't change, and for backups.)
+// Actions are grouped into runs, one per time you run a script.
+const LEDGER_ACTIONS = [
+  "backup",
+  "compress",
+  "compression-failed",
+  "render-mismatch",
+  "placeholder",
+  "restore",
+  "delete-tags",
+  "set-storage-class",
+];
+
+function createRunId(command) {
+  return `${command}-${new Date().toISOString()}`;
+}
+
+// `db` is from `openDb`. Call `close` when you're done, to finish writing.
+// If you don't give a `runId`, we make one from the command and the time.
+function createLedger(db, { command, runId = null }) {
+  runId = runId || createRunId(command);
+  const insertStmt = db.prepare(`
+    INSERT INTO ledger (runId, command, key, outfitId, imageSize, action, previousTag, previousStorageClass, newTag, newStorageClass, originalSize, newSize, compressedPercent, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const record = async ({
+    key,
+    action,
+    previousTag = null,
+    previousStorageClass = null,
+    newTag = null,
+    newStorageClass = null,
+    originalSize = null,
+    newSize = null,
+  }) => {
+    if (!LEDGER_ACTIONS.includes(action)) {
+      throw new Error(`Unexpected ledger action: ${action}`);
+    }
+
+    // Backups and originals both count towards their outfit.
+    const parsedKey = parseS3Key(key.replace(/\.bkup$/, ""));
+    // Only replacing the original with something smaller counts as
+    // compression, not e.g. restoring a backup over a placeholder.
+    const compressedPercent =
+      (action === "compress" || action === "placeholder") &&
+      originalSize &&
+      newSize != null
+        ? Math.round((newSize / originalSize) * 100)
+        : null;
+
+    await insertStmt.run([
+      runId,
+      command,
+      key,
+      parsedKey ? parsedKey.outfitId : null,
+      parsedKey ? parsedKey.imageSize : null,
+      action,
+      previousTag,
+      previousStorageClass,
+      newTag,
+      newStorageClass,
+      originalSize,
+      newSize,
+      compressedPercent,
+      new Date().toISOString(),
+    ]);
+  };
+
+  return {
+    runId,
+    record,
+
+    // Call this before changing `key`, with its current tagging. It returns
+    // a function to call *after* each change, like `recordChange("compress",
+    // {newTag, newStorageClass, newSize})`, which records it along with the
+    // state from before.
+    //
+    // Looking up the rest of that state costs a HEAD request, and most keys
+    // in a bulk run turn out not to need changes, so we only do it when you
+    // call `await recordChange.beforeWrite()`, right before your first
+    // write. (Or, if you already have the object's info from
+    // `getObjectInfo`, pass it as `previousInfo`, and we'll use that.)
+    beginChange: (storage, key, previousTagging, { previousInfo } = {}) => {
+      let previousInfoPromise =
+        previousInfo !== undefined ? Promise.resolve(previousInfo) : null;
+
+      const recordChange = async (
+        action,
+        { newTag, newStorageClass, newSize } = {}
+      ) => {
+        if (!previousInfoPromise) {
+          throw new Error(
+            `Can't record ${action} for ${key}: call beforeWrite first`
+          );
+        }
+        const info = await previousInfoPromise;
+        await record({
+          key,
+          action,
+          previousTag: previousTagging
+            ? previousTagging["DTI-Outfit-Image-Kind"] || null
+            : null,
+          previousStorageClass: info ? info.storageClass : null,
+          originalSize: info ? info.size : null,
+          newTag,
+          newStorageClass,
+          newSize,
+        });
+      };
+      recordChange.beforeWrite = async () => {
+        if (!previousInfoPromise) {
+          previousInfoPromise = storage.getObjectInfo(key);
+        }
+        await previousInfoPromise;
+      };
+      return recordChange;
+    },
+
+    close: () => insertStmt.finalize(),
+  };
+}
+
+// Find ledger rows, oldest first, matching all the given filters. Leave a
+// filter out (or empty) to not filter on it.
+async function queryLedger(
+  db,
+  { runId = null, outfitId = null, actions = [], key = null, limit = null } = {}
+) {
+  const conditions = [];
+  const params = [];
+  if (runId != null) {
+    conditions.push(`runId = ?`);
+    params.push(runId);
+  }
+  if (outfitId != null) {
+    conditions.push(`outfitId = ?`);
+    params.push(Number(outfitId));
+  }
+  if (actions.length > 0) {
+    conditions.push(`action IN (${actions.map(() => "?").join(", ")})`);
+    params.push(...actions);
+  }
+  if (key != null) {
+    conditions.push(`key = ?`);
+    params.push(key);
+  }
+
+  const whereClause =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ``;
+  const limitClause = limit != null ? `LIMIT ${Number(limit)}` : ``;
+
+  return await db.all(
+    `SELECT * FROM ledger ${whereClause} ORDER BY id ${limitClause}`,
+    params
+  );
+}
+
+// Summarize each run: when it ran, and how many of each action it took.
+async function listLedgerRuns(db) {
+  const rows = await db.all(`
+    SELECT
+      runId,
+      command,
+      action,
+      count(*) AS count,
+      min(createdAt) AS startedAt,
+      max(createdAt) AS endedAt
+    FROM ledger
+    GROUP BY runId, action
+    ORDER BY min(id)
+  `);
+
+  const runs = new Map();
+  for (const row of rows) {
+    if (!runs.has(row.runId)) {
+      runs.set(row.runId, {
+        runId: row.runId,
+        command: row.command,
+        startedAt: row.startedAt,
+        endedAt: row.endedAt,
+        actionCounts: {},
+      });
+    }
+    const run = runs.get(row.runId);
+    run.actionCounts[row.action] = row.count;
+    run.startedAt =
+      row.startedAt < run.startedAt ? row.startedAt : run.startedAt;
+    run.endedAt = row.endedAt > run.endedAt ? row.endedAt : run.endedAt;
+  }
+  return [...runs.values()];
+}
+
+// For when there's no ledger, or it's a dry run: a `recordChange` that
+// doesn't record anything.
+const skipRecordingChange = Object.assign(async () => {}, {
+  beforeWrite: async () => {},
+});
+
+module.exports = {
+  LEDGER_ACTIONS,
+  createLedger,
+  queryLedger,
+  listLedgerRuns,
+  skipRecordingChange,
+};
@@ -0,0 +1,81 @@
+// CloudFront standard logs: gzipped, tab-separated files named like
+// `E2EXAMPLE.2021-06-01-12.a1b2c3d4.gz`. A `#Fields:` line at the top names
+// the columns, and values with special characters are URL-encoded.
+//
+// See https://docs.aws.amazon.com/AmazonCloudFront/latest/DeveloperGuide/AccessLogs.html
+const name = "cloudfront";
+
+const FILENAME_PATTERN =
+  /(^|\/)[A-Z0-9]+\.\d{4}-\d{2}-\d{2}-\d{2}\.[0-9a-f]+\.gz$/;
+
+// Only successful requests count as usage: 2xx, or 304 for browsers
+// revalidating a copy they already have.
+const USAGE_STATUS_PATTERN = /^(2\d\d|304)$/;
+
+function matchesPath(filePath) {
+  return FILENAME_PATTERN.test(filePath);
+}
+
+function parseLogs(body) {
+  let fieldNames = null;
+  const logs = [];
+  for (const line of body.split("\n")) {
+    if (line.startsWith("#Fields:")) {
+      fieldNames = line.substr("#Fields:".length).trim().split(/\s+/);
+      continue;
+    } else if (line.startsWith("#") || line.trim() === "") {
+      continue;
+    } else if (!fieldNames) {
+      throw new Error(`CloudFront log has no #Fields line`);
+    }
+
+    const values = line.split("\t");
+    const field = (fieldName) => {
+      const value = values[fieldNames.indexOf(fieldName)];
+      return value == null || value === "-" ? null : decodeValue(value);
+    };
+
+    if (
+      field("cs-method") !== "GET" ||
+      !USAGE_STATUS_PATTERN.test(field("sc-status"))
+    ) {
+      continue;
+    }
+
+    logs.push({
+      eventId: field("x-edge-request-id"),
+      // This is CloudFront's ID, not S3's, so it never matches other logs.
+      requestId: field("x-edge-request-id"),
+      eventTime: `${field("date")}T${field("time")}Z`,
+      key: (field("cs-uri-stem") || "").replace(/^\//, ""),
+      // The host the viewer asked for, rather than the distribution's own
+      // `*.cloudfront.net` domain.
+      host: field("x-host-header") || field("cs(Host)"),
+      ipAddress: field("c-ip"),
+      userAgent: field("cs(User-Agent)"),
+      referrer: field("cs(Referer)"),
+      awsRegion: null,
+    });
+  }
+  return logs;
+}
+
+// CloudFront URL-encodes spaces and other special characters, and sometimes
+// encodes them twice, so we decode until it stops changing.
+function decodeValue(value) {
+  for (let i = 0; i < 2; i++) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(value);
+    } catch (err) {
+      break;
+    }
+    if (decoded === value) {
+      break;
+    }
+    value = decoded;
+  }
+  return value;
+}
+
+module.exports = { name, matchesPath, parseLogs };
@@ -0,0 +1,32 @@
+// CloudTrail data events, as `.json.gz` files of `{Records: [...]}`. These
+// are what `yarn download-logs` syncs. They don't record referrers.
+//
+// See https://docs.aws.amazon.com/AmazonS3/latest/userguide/cloudtrail-logging-understanding-s3-entries.html
+const name = "cloudtrail";
+
+function matchesPath(filePath) {
+  return filePath.endsWith(".json.gz");
+}
+
+function parseLogs(body) {
+  const { Records } = JSON.parse(body);
+  // Failed requests (like for a key that doesn't exist) have an `errorCode`,
+  // and don't count as usage.
+  return Records.filter(
+    (record) => record.eventName === "GetObject" && !record.errorCode
+  ).map((record) => ({
+    eventId: record.eventID,
+    // S3 server access logs have the same request ID, so we can tell when
+    // they're both logging the same request.
+    requestId: record.requestID || null,
+    eventTime: record.eventTime,
+    key: record.requestParameters.key,
+    host: record.requestParameters.Host,
+    ipAddress: record.sourceIPAddress,
+    userAgent: record.userAgent,
+    referrer: null,
+    awsRegion: record.awsRegion,
+  }));
+}
+
+module.exports = { name, matchesPath, parseLogs };
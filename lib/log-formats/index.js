@@ -0,0 +1,25 @@
+// The kinds of log files build-db.js can ingest. Each format has a `name`,
+// which goes in the `logs.source` column; `matchesPath(filePath)`, to
+// recognize its files by name; and `parseLogs(body)`, which takes a file's
+// text (already gunzipped) and returns its object requests, normalized like:
+//
+//   {eventId, requestId, eventTime, key, host, ipAddress, userAgent,
+//    referrer, awsRegion}
+//
+// `eventTime` is an ISO timestamp, `key` is the S3 key, and fields the
+// format doesn't record are null. Leave out requests that shouldn't count as
+// usage, like failed ones, or ones another format already counts. To support a new format, add a module
+// like these, and add it to the list!
+const LOG_FORMATS = [
+  require("./cloudtrail"),
+  require("./s3-access"),
+  require("./cloudfront"),
+];
+
+// Returns the format for the file at `filePath`, or null if it's not a log
+// file we know.
+function getLogFormat(filePath) {
+  return LOG_FORMATS.find((format) => format.matchesPath(filePath)) || null;
+}
+
+module.exports = { LOG_FORMATS, getLogFormat };
@@ -0,0 +1,133 @@
+// S3 server access logs: plain text files named like
+// `2021-06-01-12-34-56-0123456789ABCDEF`, with one space-delimited request
+// per line. Fields with spaces are "quoted" (or [bracketed], for the time),
+// and missing fields are "-".
+//
+// See https://docs.aws.amazon.com/AmazonS3/latest/userguide/LogFormat.html
+const name = "s3-access";
+
+const FILENAME_PATTERN =
+  /(^|\/)\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2}-[0-9A-F]{16}(\.gz)?$/;
+
+// The fields we use, by their position on the line. (AWS sometimes adds
+// new fields to the end, so we ignore any extras.)
+const FIELDS = {
+  time: 2,
+  remoteIp: 3,
+  requestId: 5,
+  operation: 6,
+  key: 7,
+  httpStatus: 9,
+  referrer: 15,
+  userAgent: 16,
+  hostHeader: 22,
+};
+
+// Only successful requests count as usage: 2xx, or 304 for browsers
+// revalidating a copy they already have. (Not 403s for private objects, or
+// 404s for images that don't exist!)
+const USAGE_STATUS_PATTERN = /^(2\d\d|304)$/;
+
+// When CloudFront doesn't have an image cached, it fetches it from the
+// bucket, as "Amazon CloudFront". CloudFront's own logs already count the
+// viewers' requests, so counting these too would count that traffic twice.
+const CLOUDFRONT_ORIGIN_USER_AGENT = "Amazon CloudFront";
+
+function matchesPath(filePath) {
+  return FILENAME_PATTERN.test(filePath);
+}
+
+function parseLogs(body) {
+  const logs = [];
+  for (const line of body.split("\n")) {
+    if (line.trim() === "") {
+      continue;
+    }
+    const fields = splitFields(line);
+    const field = (fieldName) => {
+      const value = fields[FIELDS[fieldName]];
+      return value == null || value === "-" ? null : value;
+    };
+
+    if (
+      field("operation") !== "REST.GET.OBJECT" ||
+      !USAGE_STATUS_PATTERN.test(field("httpStatus")) ||
+      field("userAgent") === CLOUDFRONT_ORIGIN_USER_AGENT
+    ) {
+      continue;
+    }
+
+    logs.push({
+      eventId: field("requestId"),
+      requestId: field("requestId"),
+      eventTime: parseTime(field("time")),
+      key: decodeKey(field("key")),
+      host: field("hostHeader"),
+      ipAddress: field("remoteIp"),
+      userAgent: field("userAgent"),
+      referrer: field("referrer"),
+      awsRegion: null,
+    });
+  }
+  return logs;
+}
+
+// Split a line into its fields, unwrapping "quoted" and [bracketed] ones.
+function splitFields(line) {
+  const fields = [];
+  const fieldPattern = /"((?:[^"\\]|\\.)*)"|\[([^\]]*)\]|(\S+)/g;
+  let match;
+  while ((match = fieldPattern.exec(line))) {
+    const [, quoted, bracketed, plain] = match;
+    fields.push(
+      quoted != null
+        ? quoted.replace(/\\(.)/g, "$1")
+        : bracketed != null
+        ? bracketed
+        : plain
+    );
+  }
+  return fields;
+}
+
+const MONTHS = {
+  Jan: "01",
+  Feb: "02",
+  Mar: "03",
+  Apr: "04",
+  May: "05",
+  Jun: "06",
+  Jul: "07",
+  Aug: "08",
+  Sep: "09",
+  Oct: "10",
+  Nov: "11",
+  Dec: "12",
+};
+
+// "06/Feb/2019:00:00:38 +0000" => "2019-02-06T00:00:38Z", to match
+// CloudTrail's `eventTime`. (S3 always logs in UTC.)
+function parseTime(time) {
+  const match =
+    time &&
+    time.match(/^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}:\d{2}:\d{2}) \+0000$/);
+  if (!match || !MONTHS[match[2]]) {
+    throw new Error(`Unexpected time in S3 access log: ${time}`);
+  }
+  const [, day, month, year, hms] = match;
+  return `${year}-${MONTHS[month]}-${day}T${hms}Z`;
+}
+
+// Keys are URL-encoded in access logs.
+function decodeKey(key) {
+  if (key == null) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(key);
+  } catch (err) {
+    return key;
+  }
+}
+
+module.exports = { name, matchesPath, parseLogs };
@@ -0,0 +1,200 @@
+// The schema of db.sqlite3, as a list of migrations. We track which ones
+// have already run in SQLite's `user_version` pragma, so each one runs
+// exactly once per database.
+//
+// To change the schema, add a new migration to the end of the list. Don't
+// edit the old ones; they've already run on existing databases!
+const MIGRATIONS = [
+  // 1: The logs themselves, plus the files we've already ingested them from.
+  //
+  // NOTE: Before we had migrations, build-db.js rebuilt the `logs` table from
+  //       scratch every time, so it's safe to drop any old one here. We'll
+  //       re-ingest it all on the next build!
+  `
+    DROP TABLE IF EXISTS logs;
+
+    CREATE TABLE logs (
+      eventId    TEXT                                          PRIMARY KEY,
+      eventTime  TEXT                                          NOT NULL,
+
+      outfitId   INTEGER                                       NOT NULL,
+      imageSize  INTEGER  CHECK(imageSize IN (150, 300, 600))  NOT NULL,
+
+      host       TEXT,
+      ipAddress  TEXT,
+      userAgent  TEXT,
+      awsRegion  TEXT
+    );
+
+    CREATE TABLE ingestedFiles (
+      path        TEXT     PRIMARY KEY,
+      size        INTEGER  NOT NULL,
+      mtimeMs     INTEGER  NOT NULL,
+      numLogs     INTEGER  NOT NULL,
+      ingestedAt  TEXT     NOT NULL
+    );
+  `,
+
+  // 2: Dispositions, from plan-dispositions.js. (This table might already
+  //    exist, from before we had migrations.)
+  `
+    CREATE TABLE IF NOT EXISTS dispositions (
+      outfitId      INTEGER                                       NOT NULL,
+      imageSize     INTEGER  CHECK(imageSize IN (150, 300, 600))  NOT NULL,
+
+      disposition   TEXT     CHECK(disposition IN ('compress', 'placeholder', 'leave-alone'))  NOT NULL,
+      reason        TEXT                                          NOT NULL,
+
+      requestCount  INTEGER                                       NOT NULL,
+      lastSeenAt    TEXT,
+      plannedAt     TEXT                                          NOT NULL,
+
+      PRIMARY KEY (outfitId, imageSize)
+    );
+  `,
+
+  // 3: Which page each request came from, for the embedding-sites report.
+  //    `referrerHost` is the referrer URL's hostname, see `lib/referrers.js`.
+  //    (CloudTrail doesn't record referrers, so these are null for logs
+  //    from there.)
+  `
+    ALTER TABLE logs ADD COLUMN referrer TEXT;
+    ALTER TABLE logs ADD COLUMN referrerHost TEXT;
+
+    CREATE INDEX logs_referrerHost_host ON logs (referrerHost, host);
+  `,
+
+  // 4: What kind of client made each request, see `lib/user-agents.js`.
+  //    build-db.js fills this in for existing logs, too. (We index
+  //    `userAgent` so that reclassifying by user agent stays fast.)
+  `
+    ALTER TABLE logs ADD COLUMN userAgentClass TEXT
+      CHECK(userAgentClass IN ('browser', 'crawler', 'link-preview', 'tool'));
+
+    CREATE INDEX logs_userAgent ON logs (userAgent);
+    CREATE INDEX logs_userAgentClass ON logs (userAgentClass);
+  `,
+
+  // 5: Request counts per day and per week for each outfit image, and the
+  //    trends we see in them, from rollup-usage.js. See
+  //    `lib/usage-trends.js`. Weeks start on Mondays.
+  `
+    CREATE TABLE dailyUsage (
+      outfitId           INTEGER                                       NOT NULL,
+      imageSize          INTEGER  CHECK(imageSize IN (150, 300, 600))  NOT NULL,
+      day                TEXT                                          NOT NULL,
+
+      requestCount       INTEGER                                       NOT NULL,
+      humanRequestCount  INTEGER                                       NOT NULL,
+
+      PRIMARY KEY (outfitId, imageSize, day)
+    );
+
+    CREATE TABLE weeklyUsage (
+      outfitId           INTEGER                                       NOT NULL,
+      imageSize          INTEGER  CHECK(imageSize IN (150, 300, 600))  NOT NULL,
+      weekStart          TEXT                                          NOT NULL,
+
+      requestCount       INTEGER                                       NOT NULL,
+      humanRequestCount  INTEGER                                       NOT NULL,
+
+      PRIMARY KEY (outfitId, imageSize, weekStart)
+    );
+
+    CREATE TABLE usageTrends (
+      outfitId              INTEGER                                       NOT NULL,
+      imageSize             INTEGER  CHECK(imageSize IN (150, 300, 600))  NOT NULL,
+
+      trend                 TEXT     CHECK(trend IN ('rising', 'steady', 'decaying', 'stopped'))  NOT NULL,
+      recentRequestCount    INTEGER                                       NOT NULL,
+      previousRequestCount  INTEGER                                       NOT NULL,
+      firstSeenDay          TEXT,
+      lastSeenDay           TEXT,
+
+      asOf                  TEXT                                          NOT NULL,
+      computedAt            TEXT                                          NOT NULL,
+
+      PRIMARY KEY (outfitId, imageSize)
+    );
+
+    CREATE INDEX usageTrends_trend ON usageTrends (trend);
+  `,
+
+  // 6: The ledger of every change our scripts make to the bucket, see
+  //    `lib/ledger.js`.
+  `
+    CREATE TABLE ledger (
+      id                    INTEGER  PRIMARY KEY AUTOINCREMENT,
+      runId                 TEXT     NOT NULL,
+      command               TEXT     NOT NULL,
+
+      key                   TEXT     NOT NULL,
+      outfitId              INTEGER,
+      imageSize             INTEGER,
+      action                TEXT     NOT NULL,
+
+      previousTag           TEXT,
+      previousStorageClass  TEXT,
+      newTag                TEXT,
+      newStorageClass       TEXT,
+
+      originalSize          INTEGER,
+      newSize               INTEGER,
+      compressedPercent     INTEGER,
+
+      createdAt             TEXT     NOT NULL
+    );
+
+    CREATE INDEX ledger_runId ON ledger (runId);
+    CREATE INDEX ledger_outfitId ON ledger (outfitId, imageSize);
+    CREATE INDEX ledger_action ON ledger (action);
+  `,
+
+  // 7: Snapshots of each outfit's GraphQL response, so re-runs can see the
+  //    same data as the first run, see `lib/outfit-snapshots.js`.
+  `
+    CREATE TABLE outfitSnapshots (
+      outfitId   INTEGER  PRIMARY KEY,
+      response   TEXT     NOT NULL,
+      fetchedAt  TEXT     NOT NULL
+    );
+  `,
+
+  // 8: Which kind of log each request came from, see `lib/log-formats/`.
+  //    Everything before this was from CloudTrail. `requestId` is S3's
+  //    request ID, which CloudTrail and S3 server access logs share, so the
+  //    unique index keeps us from counting a request twice when both were
+  //    enabled. (Logs from before this have no `requestId`, until the next
+  //    `yarn build-db --rebuild`.)
+  `
+    ALTER TABLE logs ADD COLUMN source TEXT
+      CHECK(source IN ('cloudtrail', 's3-access', 'cloudfront'));
+    ALTER TABLE logs ADD COLUMN requestId TEXT;
+
+    UPDATE logs SET source = 'cloudtrail';
+
+    CREATE UNIQUE INDEX logs_requestId ON logs (requestId);
+  `,
+];
+
+async function migrate(db) {
+  const { user_version: currentVersion } = await db.get(`PRAGMA user_version`);
+
+  for (let i = currentVersion; i < MIGRATIONS.length; i++) {
+    const version = i + 1;
+    console.info(`[DB] Migrating schema to version ${version}`);
+    try {
+      await db.exec(`
+        BEGIN TRANSACTION;
+        ${MIGRATIONS[i]}
+        PRAGMA user_version = ${version};
+        COMMIT;
+      `);
+    } catch (err) {
+      await db.exec(`ROLLBACK`).catch(() => {});
+      throw err;
+    }
+  }
+}
+
+module.exports = { migrate };
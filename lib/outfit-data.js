@@ -0,0 +1,232 @@
+const fetch = require("node-fetch");
+const gql = require("graphql-tag");
+const { print: graphqlPrint } = require("graphql/language/printer");
+const LRUCache = require("lru-cache");
+
+const {
+  petAppearanceFragmentForGetVisibleLayers,
+  itemAppearanceFragmentForGetVisibleLayers,
+} = require("./getVisibleLayers");
+const { withTrace } = require("./tracing");
+
+const GRAPHQL_URL = "https://impress-2020.openneo.net/api/graphql";
+
+// Adapted from https://github.com/matchu/impress-2020/blob/f932498066d6a35a778db3cdf600de62be438c6e/api/outfitImage.js#L172
+// Changes are to request all the sizes, and to make it a fragment, so we can
+// request a batch of outfits at once!
+const OUTFIT_FRAGMENT = gql`
+  fragment OutfitForImage on Outfit {
+    petAppearance {
+      layers {
+        imageUrl600: imageUrl(size: SIZE_600)
+        imageUrl300: imageUrl(size: SIZE_300)
+        imageUrl150: imageUrl(size: SIZE_150)
+      }
+      ...PetAppearanceForGetVisibleLayers
+    }
+    itemAppearances {
+      layers {
+        imageUrl600: imageUrl(size: SIZE_600)
+        imageUrl300: imageUrl(size: SIZE_300)
+        imageUrl150: imageUrl(size: SIZE_150)
+      }
+      ...ItemAppearanceForGetVisibleLayers
+    }
+  }
+  ${petAppearanceFragmentForGetVisibleLayers}
+  ${itemAppearanceFragmentForGetVisibleLayers}
+`;
+const OUTFIT_FRAGMENT_STRING = graphqlPrint(OUTFIT_FRAGMENT);
+
+// Build a query for `numOutfits` outfits at once, with each one under an
+// alias, like `outfit0: outfit(id: $outfitId0) {...}`.
+function buildBatchQuery(numOutfits) {
+  const variables = [];
+  const fields = [];
+  for (let i = 0; i < numOutfits; i++) {
+    variables.push(`$outfitId${i}: ID!`);
+    fields.push(
+      `  outfit${i}: outfit(id: $outfitId${i}) {\n` +
+        `    ...OutfitForImage\n` +
+        `  }`
+    );
+  }
+  return (
+    `query ApiOutfitImages(${variables.join(", ")}) {\n` +
+    fields.join("\n") +
+    `\n}\n\n` +
+    OUTFIT_FRAGMENT_STRING
+  );
+}
+
+// Load the data for several outfits in one request. Returns a response for
+// each outfit, in the same order, shaped like a single-outfit query's:
+// `{data: {outfit}, errors}`.
+async function loadOutfitDataBatch(outfitIds) {
+  console.info(
+    `[GQL] Loading outfit data for ${outfitIds.length} outfits: ` +
+      outfitIds.join(", ")
+  );
+  const variables = {};
+  outfitIds.forEach((outfitId, i) => {
+    variables[`outfitId${i}`] = outfitId;
+  });
+  const response = await fetch(GRAPHQL_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      query: buildBatchQuery(outfitIds.length),
+      variables,
+    }),
+  }).then((res) => res.json());
+  return splitBatchResponse(outfitIds, response);
+}
+loadOutfitDataBatch = withTrace(
+  loadOutfitDataBatch,
+  (outfitIds) => ({ outfitIds }),
+  "4a. loadOutfitDataBatch"
+);
+
+function splitBatchResponse(outfitIds, { data, errors = [] }) {
+  // Errors for one outfit have a path that starts with its alias. Errors
+  // without a path are about the whole query, so every outfit gets them.
+  const errorsByAlias = new Map();
+  const sharedErrors = [];
+  for (const error of errors) {
+    const alias = error.path && error.path[0];
+    if (alias) {
+      errorsByAlias.set(alias, [...(errorsByAlias.get(alias) || []), error]);
+    } else {
+      sharedErrors.push(error);
+    }
+  }
+
+  const outfits = outfitIds.map((_, i) => (data ? data[`outfit${i}`] : null));
+  shareAppearances(outfits);
+
+  return outfitIds.map((_, i) => {
+    const outfitErrors = [
+      ...sharedErrors,
+      ...(errorsByAlias.get(`outfit${i}`) || []),
+    ];
+    return {
+      data: data ? { outfit: outfits[i] || null } : null,
+      ...(outfitErrors.length > 0 ? { errors: outfitErrors } : {}),
+    };
+  });
+}
+
+// Outfits in the same batch often use the same pet and item appearances,
+// and the response repeats them for each outfit. Point them all at one copy
+// of each appearance and layer, to save memory while we render.
+function shareAppearances(outfits) {
+  const appearancesById = new Map();
+  const layersById = new Map();
+  const share = (map, key, value) => {
+    if (!map.has(key)) {
+      map.set(key, value);
+    }
+    return map.get(key);
+  };
+  const shareAppearance = (appearance, typename) => {
+    if (!appearance) {
+      return appearance;
+    }
+    appearance.layers = appearance.layers.map((layer) =>
+      share(layersById, layer.id, layer)
+    );
+    return share(appearancesById, `${typename}:${appearance.id}`, appearance);
+  };
+
+  for (const outfit of outfits) {
+    if (!outfit) {
+      continue;
+    }
+    outfit.petAppearance = shareAppearance(
+      outfit.petAppearance,
+      "PetAppearance"
+    );
+    outfit.itemAppearances = outfit.itemAppearances.map((appearance) =>
+      shareAppearance(appearance, "ItemAppearance")
+    );
+  }
+}
+
+// Load the data for one outfit.
+async function loadOutfitData(outfitId) {
+  const [response] = await loadOutfitDataBatch([outfitId]);
+  return response;
+}
+
+// A loader that batches outfit data requests: when workers ask for outfits
+// at about the same time, we wait up to `batchDelayMs` to collect them, then
+// load up to `maxBatchSize` of them in one request. If `loadBatch` returns
+// an Error for an outfit, instead of a response, just that outfit fails.
+//
+// We also keep the last `cacheSize` outfits' promises, so workers asking for
+// the same outfit share one request, even while it's still loading. (In a
+// bucket walk, each outfit's keys are adjacent, so a small cache goes a long
+// way!) If a request fails, we forget it, so a retry will try again.
+function createOutfitDataLoader({
+  loadBatch = loadOutfitDataBatch,
+  maxBatchSize = 50,
+  batchDelayMs = 20,
+  cacheSize = 500,
+} = {}) {
+  const promisesCache = new LRUCache(cacheSize);
+  let pendingRequests = [];
+  let flushTimeout = null;
+
+  const flush = () => {
+    clearTimeout(flushTimeout);
+    flushTimeout = null;
+    const requests = pendingRequests;
+    pendingRequests = [];
+
+    loadBatch(requests.map((r) => r.outfitId)).then(
+      (responses) =>
+        requests.forEach((r, i) =>
+          responses[i] instanceof Error
+            ? r.reject(responses[i])
+            : r.resolve(responses[i])
+        ),
+      (error) => requests.forEach((r) => r.reject(error))
+    );
+  };
+
+  const load = (outfitId) => {
+    const cachedPromise = promisesCache.get(outfitId);
+    if (cachedPromise) {
+      return cachedPromise;
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      pendingRequests.push({ outfitId, resolve, reject });
+    });
+    promisesCache.set(outfitId, promise);
+    promise.catch(() => {
+      if (promisesCache.peek(outfitId) === promise) {
+        promisesCache.del(outfitId);
+      }
+    });
+
+    if (pendingRequests.length >= maxBatchSize) {
+      flush();
+    } else if (!flushTimeout) {
+      flushTimeout = setTimeout(flush, batchDelayMs);
+    }
+
+    return promise;
+  };
+
+  return { load };
+}
+
+module.exports = {
+  loadOutfitData,
+  loadOutfitDataBatch,
+  createOutfitDataLoader,
+  buildBatchQuery,
+};
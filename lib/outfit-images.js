@@ -1,12 +1,52 @@
 // Adapted from https://github.com/matchu/impress-2020/blob/da8cd8eda9e301c21f0320d7c95d605efeb355a0/src/server/outfit-images.js#L1
-// Only change is to import/export style!
+// Changes are to import/export style, to load layers through a `layerCache`
+// (see `./layer-cache.js`), if given, and to split rendering into loading
+// the layers (I/O) and compositing them (CPU), so the compositing can run
+// on a worker thread.
 const { createCanvas, loadImage } = require("canvas");
 
-async function renderOutfitImage(layerRefs, size) {
+async function renderOutfitImage(layerRefs, size, { layerCache = null } = {}) {
+  const layers = await loadLayers(layerRefs, { layerCache });
+  return await compositeLayers(layers, size);
+}
+
+// Load each layer's image data from the `layerCache`, as a Buffer. Without a
+// cache, we just pass the URL along, for canvas to load itself. Layers that
+// fail to load are null.
+async function loadLayers(layerRefs, { layerCache = null } = {}) {
+  return await Promise.all(
+    layerRefs.map((url) => loadLayerAndSkipOnFailure(url, layerCache))
+  );
+}
+
+async function loadLayerAndSkipOnFailure(url, layerCache) {
+  if (!url) {
+    console.warn(`Error loading layer, URL was nullish: ${url}`);
+    return null;
+  }
+  if (!layerCache) {
+    return url;
+  }
+
+  try {
+    return await layerCache.getLayer(url);
+  } catch (e) {
+    // If we're rendering from the cache only, a layer we haven't cached
+    // doesn't mean the outfit is broken! Let the caller decide what to do.
+    if (e.code === "LayerNotCached") {
+      throw e;
+    }
+    console.warn(`Error loading layer, skipping: ${e.message}. (${url})`);
+    return null;
+  }
+}
+
+// Draw the layers from `loadLayers`, in order, into one image.
+async function compositeLayers(layers, size) {
   const canvas = createCanvas(size, size);
   const ctx = canvas.getContext("2d");
 
-  const images = await Promise.all(layerRefs.map(loadImageAndSkipOnFailure));
+  const images = await Promise.all(layers.map(loadImageAndSkipOnFailure));
   const loadedImages = images.filter((image) => image);
   for (const image of loadedImages) {
     ctx.drawImage(image, 0, 0, size, size);
@@ -15,23 +55,26 @@ async function renderOutfitImage(layerRefs, size) {
   return {
     image: canvas.toBuffer(),
     status:
-      loadedImages.length === layerRefs.length ? "success" : "partial-failure",
+      loadedImages.length === layers.length ? "success" : "partial-failure",
   };
 }
 
-async function loadImageAndSkipOnFailure(url) {
-  if (!url) {
-    console.warn(`Error loading layer, URL was nullish: ${url}`);
+async function loadImageAndSkipOnFailure(layer) {
+  if (layer == null) {
     return null;
   }
 
   try {
-    const image = await loadImage(url);
+    const image = await loadImage(layer);
     return image;
   } catch (e) {
-    console.warn(`Error loading layer, skipping: ${e.message}. (${url})`);
+    const description =
+      typeof layer === "string" ? layer : `${layer.length} bytes`;
+    console.warn(
+      `Error loading layer, skipping: ${e.message}. (${description})`
+    );
     return null;
   }
 }
 
-module.exports = { renderOutfitImage };
+module.exports = { renderOutfitImage, loadLayers, compositeLayers };
@@ -0,0 +1,45 @@
+// Outfit images live at keys like `outfits/000/894/911/preview.png`: the
+// outfit ID, zero-padded to 9 digits, split into 3 folders.
+const OUTFIT_IMAGE_FILENAMES = [
+  "preview.png",
+  "medium_preview.png",
+  "small_preview.png",
+];
+
+function getOutfitImageBaseKey(outfitId) {
+  const pid = String(outfitId).padStart(9, "0");
+  return (
+    `outfits/${pid.substr(0, 3)}` +
+    `/${pid.substr(3, 3)}` +
+    `/${pid.substr(6, 3)}`
+  );
+}
+
+function getOutfitImageKeys(outfitId) {
+  const baseKey = getOutfitImageBaseKey(outfitId);
+  return OUTFIT_IMAGE_FILENAMES.map((filename) => `${baseKey}/${filename}`);
+}
+
+const S3_KEY_PATTERN =
+  /^outfits\/([0-9]{3})\/([0-9]{3})\/([0-9]{3})\/(small_preview|medium_preview|preview)\.png$/;
+const FILENAME_TO_SIZE_MAP = {
+  small_preview: 150,
+  medium_preview: 300,
+  preview: 600,
+};
+
+// The reverse of `getOutfitImageKeys`: get the outfit ID and image size from
+// an outfit image key, or null if it's not an outfit image key.
+function parseS3Key(key) {
+  const match = key.match(S3_KEY_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const outfitId = Number(match[1] + match[2] + match[3]);
+  const imageSize = FILENAME_TO_SIZE_MAP[match[4]];
+
+  return { outfitId, imageSize };
+}
+
+module.exports = { getOutfitImageBaseKey, getOutfitImageKeys, parseS3Key };
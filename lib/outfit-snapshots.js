@@ -0,0 +1,201 @@
+const PromisePool = require("es6-promise-pool");
+
+const { getArgValue } = require("./args");
+
+// Snapshots of outfits' GraphQL responses, in the `outfitSnapshots` table of
+// db.sqlite3, with when we fetched them. Outfits can change between runs, so
+// if a retry, dry run, or re-render loads the outfit again from the live
+// API, it might see different data than the first run did. Snapshots keep
+// them all looking at the same thing, and let us debug a run without the
+// live API.
+//
+// Snapshot modes:
+//   - "record": Use an outfit's snapshot if we have one. Otherwise, load it
+//     live, and save a snapshot for next time.
+//   - "refresh": Always load outfits live, and save new snapshots.
+//   - "only": Never load anything live. Outfits without a snapshot fail,
+//     with error code "OutfitNotSnapshotted".
+//   - "off": Always load outfits live, and don't save snapshots.
+const SNAPSHOT_MODES = ["record", "refresh", "only", "off"];
+
+// `db` is from `openDb`.
+function createSnapshotStore(db) {
+  return {
+    // Returns a Map of outfit ID strings to `{response, fetchedAt}`, for the
+    // given outfits that have snapshots.
+    getMany: async (outfitIds) => {
+      const rows = await db.all(
+        `SELECT outfitId, response, fetchedAt FROM outfitSnapshots
+          WHERE outfitId IN (${outfitIds.map(() => "?").join(", ")})`,
+        outfitIds.map(Number)
+      );
+      return new Map(
+        rows.map((row) => [
+          String(row.outfitId),
+          { response: JSON.parse(row.response), fetchedAt: row.fetchedAt },
+        ])
+      );
+    },
+
+    save: async (outfitId, response, fetchedAt) => {
+      await db.run(
+        `INSERT INTO outfitSnapshots (outfitId, response, fetchedAt)
+          VALUES (?, ?, ?)
+          ON CONFLICT (outfitId) DO UPDATE SET
+            response = excluded.response, fetchedAt = excluded.fetchedAt`,
+        Number(outfitId),
+        JSON.stringify(response),
+        fetchedAt
+      );
+    },
+  };
+}
+
+// Wrap a batch loader, like `loadOutfitDataBatch` from `./outfit-data.js`, to
+// read and save snapshots in the given `mode`. Each response gets a
+// `fetchedAt` time, from its snapshot or from now.
+//
+// Outfits that can't be loaded in "only" mode get an Error instead of a
+// response, which `createOutfitDataLoader` passes on to just that outfit.
+function withSnapshots(loadBatch, store, { mode = "record" } = {}) {
+  if (!SNAPSHOT_MODES.includes(mode)) {
+    throw new Error(
+      `Unexpected snapshot mode: ${mode}. ` +
+        `Expected one of: ${SNAPSHOT_MODES.join(", ")}`
+    );
+  }
+  if (mode === "off") {
+    return loadBatch;
+  }
+
+  return async (outfitIds) => {
+    const snapshots =
+      mode === "refresh" ? new Map() : await store.getMany(outfitIds);
+
+    const responses = outfitIds.map((outfitId) => {
+      const snapshot = snapshots.get(String(Number(outfitId)));
+      if (snapshot) {
+        return { ...snapshot.response, fetchedAt: snapshot.fetchedAt };
+      } else if (mode === "only") {
+        const error = new Error(`Outfit ${outfitId} has no snapshot`);
+        error.code = "OutfitNotSnapshotted";
+        return error;
+      } else {
+        return null;
+      }
+    });
+
+    const missingIndexes = outfitIds
+      .map((_, i) => i)
+      .filter((i) => responses[i] == null);
+    if (missingIndexes.length > 0) {
+      const fetchedAt = new Date().toISOString();
+      const liveResponses = await loadBatch(
+        missingIndexes.map((i) => outfitIds[i])
+      );
+      for (const [j, i] of missingIndexes.entries()) {
+        const response = liveResponses[j];
+        // Errors might be temporary, so we don't keep them around!
+        if (!response.errors || response.errors.length === 0) {
+          await store.save(outfitIds[i], response, fetchedAt);
+        }
+        responses[i] = { ...response, fetchedAt };
+      }
+    }
+
+    return responses;
+  };
+}
+
+// Save snapshots for `outfitIds`, in batches of `batchSize`, with up to
+// `numWorkers` batches loading at a time. Outfits that already have
+// snapshots are skipped, unless `refresh` is true. Returns counts of what
+// happened, like `{numSaved, numSkipped, numNotFound, numFailed}`.
+async function prefetchSnapshots(
+  store,
+  outfitIds,
+  {
+    loadBatch,
+    refresh = false,
+    batchSize = 50,
+    numWorkers = 4,
+    onBatch = () => {},
+  }
+) {
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Batch size must be a positive integer, got ${batchSize}`);
+  }
+  const counts = { numSaved: 0, numSkipped: 0, numNotFound: 0, numFailed: 0 };
+
+  const prefetchBatch = async (batch) => {
+    const snapshots = refresh ? new Map() : await store.getMany(batch);
+    const missingOutfitIds = batch.filter(
+      (outfitId) => !snapshots.has(String(Number(outfitId)))
+    );
+    counts.numSkipped += batch.length - missingOutfitIds.length;
+    if (missingOutfitIds.length === 0) {
+      return;
+    }
+
+    let responses;
+    try {
+      responses = await withSnapshots(loadBatch, store, { mode: "refresh" })(
+        missingOutfitIds
+      );
+    } catch (error) {
+      console.error(
+        `Error loading outfits ${missingOutfitIds.join(", ")}:`,
+        error
+      );
+      counts.numFailed += missingOutfitIds.length;
+      return;
+    }
+    for (const response of responses) {
+      if (response.errors && response.errors.length > 0) {
+        counts.numFailed++;
+      } else {
+        counts.numSaved++;
+        if (!response.data.outfit) {
+          counts.numNotFound++;
+        }
+      }
+    }
+  };
+
+  const batches = [];
+  for (let i = 0; i < outfitIds.length; i += batchSize) {
+    batches.push(outfitIds.slice(i, i + batchSize));
+  }
+  let batchIndex = 0;
+  const pool = new PromisePool(() => {
+    if (batchIndex >= batches.length) {
+      return null;
+    }
+    const batch = batches[batchIndex++];
+    return prefetchBatch(batch).then(() => onBatch(batch, counts));
+  }, numWorkers);
+  await pool.start();
+
+  return counts;
+}
+
+// Read the snapshot mode from `--snapshots=...` on the CLI (default:
+// "record").
+function getSnapshotModeFromArgs() {
+  const mode = getArgValue("snapshots", "record");
+  if (!SNAPSHOT_MODES.includes(mode)) {
+    throw new Error(
+      `Unexpected --snapshots=${mode}. ` +
+        `Expected one of: ${SNAPSHOT_MODES.join(", ")}`
+    );
+  }
+  return mode;
+}
+
+module.exports = {
+  createSnapshotStore,
+  withSnapshots,
+  prefetchSnapshots,
+  getSnapshotModeFromArgs,
+  SNAPSHOT_MODES,
+};
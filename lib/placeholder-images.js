@@ -0,0 +1,47 @@
+const { createCanvas } = require("canvas");
+
+// Where the placeholder points people, for info about where their outfit
+// images went, and how to get new URLs for them!
+const PLACEHOLDER_INSTRUCTIONS_URL = "impress.openneo.net";
+
+// We only ever need one placeholder per size, so we build each one once, and
+// keep the promise around for everyone else who asks.
+const PLACEHOLDER_IMAGE_PROMISES = new Map();
+
+async function getPlaceholderImage(size) {
+  if (!PLACEHOLDER_IMAGE_PROMISES.has(size)) {
+    PLACEHOLDER_IMAGE_PROMISES.set(size, renderPlaceholderImage(size));
+  }
+  return await PLACEHOLDER_IMAGE_PROMISES.get(size);
+}
+
+function renderPlaceholderImage(size) {
+  const canvas = createCanvas(size, size);
+  const ctx = canvas.getContext("2d");
+
+  // Keep it to two flat colors, so the PNG encoder can make it tiny!
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, size, size);
+
+  ctx.fillStyle = "#448844";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  // The text is laid out for the 600px image, then scaled down for the
+  // smaller sizes.
+  const scale = size / 600;
+  const lines = [
+    { text: "This outfit image has moved!", fontSize: 40, y: 230 },
+    { text: "For more info, and to find", fontSize: 32, y: 300 },
+    { text: "your outfits, visit:", fontSize: 32, y: 345 },
+    { text: PLACEHOLDER_INSTRUCTIONS_URL, fontSize: 40, y: 410 },
+  ];
+  for (const { text, fontSize, y } of lines) {
+    ctx.font = `bold ${Math.round(fontSize * scale)}px sans-serif`;
+    ctx.fillText(text, size / 2, y * scale, size * 0.9);
+  }
+
+  return canvas.toBuffer("image/png", { compressionLevel: 9 });
+}
+
+module.exports = { getPlaceholderImage, PLACEHOLDER_INSTRUCTIONS_URL };
@@ -0,0 +1,326 @@
+const fs = require("fs");
+const http = require("http");
+
+const { getArgValue } = require("./args");
+const { openDb } = require("./db");
+const { parseS3Key } = require("./outfit-keys");
+
+// Keep track of a bulk run's progress, for runs that take days. We:
+//   - Append a JSON event for every key we finish to `eventsPath`, one per
+//     line, like `{"time": ..., "event": "key", "key": ..., "outcome":
+//     "success", "durationMs": 1234, ...}`, plus whatever else the key's
+//     result says (per-phase durations, sizes, etc). Outcomes are "success",
+//     "no-op", or "failure". Failures say which `phase` failed, if the error
+//     has one.
+//   - Print a progress line every `intervalMs`, with throughput, bytes
+//     saved, failure rate, and an ETA.
+//   - Serve the same counters at `http://localhost:<metricsPort>/metrics`,
+//     in Prometheus's text format, if you give a `metricsPort`.
+//
+// The ETA comes from how far through the outfit IDs we are, from
+// `startOutfitId` to `lastOutfitId`. (Keys are in outfit ID order!) Without
+// a `lastOutfitId`, we can't estimate it.
+function createProgressReporter({
+  eventsPath = null,
+  intervalMs = 60000,
+  metricsPort = null,
+  startOutfitId = 0,
+  lastOutfitId = null,
+  now = Date.now,
+}) {
+  const startTime = now();
+  const counters = {
+    numSuccesses: 0,
+    numNoOps: 0,
+    numFailures: 0,
+    numSavedBytes: 0,
+    highestOutfitId: null,
+  };
+
+  const eventsStream = eventsPath
+    ? fs.createWriteStream(eventsPath, { flags: "a" })
+    : null;
+  const writeEvent = (event) => {
+    if (eventsStream) {
+      eventsStream.write(
+        JSON.stringify({ time: new Date(now()).toISOString(), ...event }) + "\n"
+      );
+    }
+  };
+
+  const recordOutfitId = (key) => {
+    const parsedKey = parseS3Key(key.replace(/\.bkup$/, ""));
+    if (
+      parsedKey &&
+      (counters.highestOutfitId == null ||
+        parsedKey.outfitId > counters.highestOutfitId)
+    ) {
+      counters.highestOutfitId = parsedKey.outfitId;
+    }
+  };
+
+  const getStats = () => {
+    const elapsedSeconds = Math.max((now() - startTime) / 1000, 0.001);
+    const numKeys =
+      counters.numSuccesses + counters.numNoOps + counters.numFailures;
+
+    let fractionDone = null;
+    if (lastOutfitId != null && counters.highestOutfitId != null) {
+      const range = Math.max(lastOutfitId - startOutfitId, 1);
+      fractionDone = Math.min(
+        Math.max((counters.highestOutfitId - startOutfitId) / range, 0),
+        1
+      );
+    }
+    const etaSeconds =
+      fractionDone > 0
+        ? (elapsedSeconds * (1 - fractionDone)) / fractionDone
+        : null;
+
+    return {
+      ...counters,
+      numKeys,
+      elapsedSeconds,
+      keysPerSecond: numKeys / elapsedSeconds,
+      failureRate: numKeys > 0 ? counters.numFailures / numKeys : 0,
+      fractionDone,
+      etaSeconds,
+    };
+  };
+
+  const logProgress = () => {
+    const stats = getStats();
+    console.info(
+      `[PROG] ${stats.numKeys} keys (${stats.keysPerSecond.toFixed(1)}/s), ` +
+        `${formatMebibytes(stats.numSavedBytes)} saved, ` +
+        `${(stats.failureRate * 100).toFixed(2)}% failed, ` +
+        (stats.fractionDone != null
+          ? `${(stats.fractionDone * 100).toFixed(1)}% through, ` +
+            `ETA ${formatDuration(stats.etaSeconds)}`
+          : `ETA unknown`)
+    );
+  };
+
+  let interval = null;
+  let server = null;
+
+  return {
+    // Call this when `key` finishes, with its result, like `{didMakeChanges,
+    // originalSize, newSize}`.
+    recordResult: (key, result, durationMs) => {
+      const outcome = result && result.didMakeChanges ? "success" : "no-op";
+      if (outcome === "success") {
+        counters.numSuccesses++;
+      } else {
+        counters.numNoOps++;
+      }
+      if (result && result.originalSize != null && result.newSize != null) {
+        counters.numSavedBytes += result.originalSize - result.newSize;
+      }
+      recordOutfitId(key);
+      writeEvent({ event: "key", ...result, key, outcome, durationMs });
+    },
+
+    // Call this when we give up on `key`.
+    recordFailure: (key, error, durationMs) => {
+      counters.numFailures++;
+      recordOutfitId(key);
+      writeEvent({
+        event: "key",
+        key,
+        outcome: "failure",
+        phase: error.phase || null,
+        durationMs,
+        error: error.message,
+        errorCode: error.code || null,
+      });
+    },
+
+    getStats,
+    logProgress,
+
+    start: async () => {
+      writeEvent({ event: "start", startOutfitId, lastOutfitId });
+      interval = setInterval(logProgress, intervalMs);
+      if (metricsPort != null) {
+        server = http.createServer((req, res) => {
+          if (req.url === "/metrics") {
+            res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+            res.end(formatMetrics(getStats()));
+          } else {
+            res.writeHead(404);
+            res.end();
+          }
+        });
+        // If the port is taken, fail here, instead of crashing the process
+        // with an uncaught error later.
+        try {
+          await new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(metricsPort, "127.0.0.1", () => {
+              server.off("error", reject);
+              resolve();
+            });
+          });
+        } catch (error) {
+          clearInterval(interval);
+          server = null;
+          throw new Error(
+            `Couldn't serve metrics on port ${metricsPort}: ${error.message}`
+          );
+        }
+        console.info(
+          `Serving metrics at http://localhost:${server.address().port}/metrics`
+        );
+      }
+    },
+
+    get metricsPort() {
+      return server ? server.address().port : null;
+    },
+
+    stop: async () => {
+      clearInterval(interval);
+      logProgress();
+      writeEvent({ event: "stop", ...getStats() });
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      if (eventsStream) {
+        await new Promise((resolve) => eventsStream.end(resolve));
+      }
+    },
+  };
+}
+
+// Set up a progress reporter from the CLI args:
+//   - `--events=path`: Where to append JSON events (default:
+//     `<command>.events.jsonl`, or `<command>.dry-run.events.jsonl`).
+//   - `--progress-interval=N`: Seconds between progress lines (default: 60).
+//   - `--metrics-port=N`: Serve metrics on this port.
+//   - `--last-outfit-id=N`: The last outfit ID in the bucket, for the ETA.
+//     By default, we use the highest one in the logs.
+async function createProgressReporterFromArgs(
+  command,
+  { startAfter, dryRun = false }
+) {
+  const intervalSeconds = Number(getArgValue("progress-interval", 60));
+  if (!(intervalSeconds > 0)) {
+    throw new Error(
+      `--progress-interval must be a positive number, but was: ` +
+        getArgValue("progress-interval")
+    );
+  }
+
+  const lastOutfitIdArg = getArgValue("last-outfit-id");
+  const lastOutfitIdFromArgs =
+    lastOutfitIdArg != null ? Number(lastOutfitIdArg) : null;
+  if (
+    lastOutfitIdFromArgs != null &&
+    !(Number.isInteger(lastOutfitIdFromArgs) && lastOutfitIdFromArgs > 0)
+  ) {
+    throw new Error(
+      `--last-outfit-id must be a positive integer, but was: ` + lastOutfitIdArg
+    );
+  }
+
+  const metricsPortArg = getArgValue("metrics-port");
+  const metricsPort = metricsPortArg != null ? Number(metricsPortArg) : null;
+  if (
+    metricsPort != null &&
+    !(Number.isInteger(metricsPort) && metricsPort >= 0 && metricsPort <= 65535)
+  ) {
+    throw new Error(
+      `--metrics-port must be an integer from 0 to 65535, but was: ` +
+        metricsPortArg
+    );
+  }
+
+  const lastOutfitId =
+    lastOutfitIdFromArgs != null
+      ? lastOutfitIdFromArgs
+      : await loadLastOutfitIdFromLogs();
+  const parsedStartKey = startAfter
+    ? parseS3Key(startAfter.replace(/\.bkup$/, ""))
+    : null;
+
+  return createProgressReporter({
+    eventsPath: getArgValue(
+      "events",
+      dryRun ? `${command}.dry-run.events.jsonl` : `${command}.events.jsonl`
+    ),
+    intervalMs: intervalSeconds * 1000,
+    metricsPort,
+    startOutfitId: parsedStartKey ? parsedStartKey.outfitId : 0,
+    lastOutfitId,
+  });
+}
+
+async function loadLastOutfitIdFromLogs() {
+  const db = await openDb();
+  try {
+    const { lastOutfitId } = await db.get(
+      `SELECT max(outfitId) AS lastOutfitId FROM logs`
+    );
+    return lastOutfitId;
+  } finally {
+    await db.close();
+  }
+}
+
+function formatMetrics(stats) {
+  const lines = [
+    `# HELP bulk_keys_total Keys we've finished, by outcome.`,
+    `# TYPE bulk_keys_total counter`,
+    `bulk_keys_total{outcome="success"} ${stats.numSuccesses}`,
+    `bulk_keys_total{outcome="no-op"} ${stats.numNoOps}`,
+    `bulk_keys_total{outcome="failure"} ${stats.numFailures}`,
+    `# HELP bulk_saved_bytes_total Bytes saved by compression so far.`,
+    `# TYPE bulk_saved_bytes_total counter`,
+    `bulk_saved_bytes_total ${stats.numSavedBytes}`,
+    `# HELP bulk_keys_per_second Average keys per second since the start.`,
+    `# TYPE bulk_keys_per_second gauge`,
+    `bulk_keys_per_second ${stats.keysPerSecond}`,
+    `# HELP bulk_elapsed_seconds Seconds since the start.`,
+    `# TYPE bulk_elapsed_seconds gauge`,
+    `bulk_elapsed_seconds ${stats.elapsedSeconds}`,
+  ];
+  if (stats.fractionDone != null) {
+    lines.push(
+      `# HELP bulk_fraction_done How far through the outfit IDs we are.`,
+      `# TYPE bulk_fraction_done gauge`,
+      `bulk_fraction_done ${stats.fractionDone}`
+    );
+  }
+  if (stats.etaSeconds != null) {
+    lines.push(
+      `# HELP bulk_eta_seconds Estimated seconds until we're done.`,
+      `# TYPE bulk_eta_seconds gauge`,
+      `bulk_eta_seconds ${stats.etaSeconds}`
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+function formatMebibytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MiB`;
+}
+
+function formatDuration(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  } else if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  } else {
+    return `${minutes}m`;
+  }
+}
+
+module.exports = {
+  createProgressReporter,
+  createProgressReporterFromArgs,
+  formatDuration,
+};
@@ -0,0 +1,25 @@
+// Turn a Referer header into the site it came from, like
+// "https://www.example.com/forum/thread?id=1" => "example.com". We use this to
+// group requests by embedding site, so the same site's pages all count
+// together. Returns null when there's no usable referrer.
+function getReferrerHost(referrer) {
+  // Access logs use "-" for a missing header.
+  if (referrer == null || referrer === "" || referrer === "-") {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(referrer);
+  } catch (err) {
+    return null;
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return null;
+  }
+
+  return url.hostname.toLowerCase().replace(/^www\./, "") || null;
+}
+
+module.exports = { getReferrerHost };
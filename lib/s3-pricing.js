@@ -0,0 +1,52 @@
+// Amazon S3 prices for us-east-1, as of mid-2021, in US dollars. See
+// https://aws.amazon.com/s3/pricing/ to update them.
+//
+// We only list the storage classes and request types our scripts use.
+const GB = 1024 * 1024 * 1024;
+
+const S3_PRICING = {
+  // Storage, per GB per month.
+  storagePerGbMonth: {
+    STANDARD: 0.023,
+    STANDARD_IA: 0.0125,
+    GLACIER: 0.004,
+    DEEP_ARCHIVE: 0.00099,
+  },
+
+  // STANDARD_IA bills every object as at least 128KB. Most of our images are
+  // smaller than that, so this matters a lot!
+  minBillableBytes: {
+    STANDARD_IA: 128 * 1024,
+  },
+
+  // GLACIER and DEEP_ARCHIVE add 40KB of index data per object: 32KB billed
+  // at the archive rate, and 8KB billed at the STANDARD rate.
+  archiveOverheadBytes: {
+    GLACIER: { archive: 32 * 1024, standard: 8 * 1024 },
+    DEEP_ARCHIVE: { archive: 32 * 1024, standard: 8 * 1024 },
+  },
+
+  // GET requests, per 1,000.
+  getPer1000: {
+    STANDARD: 0.0004,
+    STANDARD_IA: 0.001,
+  },
+
+  // PUT, COPY, and lifecycle transition requests, per 1,000.
+  putPer1000: {
+    STANDARD: 0.005,
+    STANDARD_IA: 0.01,
+    GLACIER: 0.05,
+    DEEP_ARCHIVE: 0.05,
+  },
+
+  // Retrieving data from STANDARD_IA, per GB, on top of the GET request.
+  retrievalPerGb: {
+    STANDARD_IA: 0.01,
+  },
+
+  // Data transfer out to the internet, per GB (for the first 10TB/month).
+  transferOutPerGb: 0.09,
+};
+
+module.exports = { S3_PRICING, GB };
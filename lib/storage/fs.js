@@ -0,0 +1,200 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// Storage backed by a local directory, for rehearsing against a copy of part
+// of the bucket. Each object is a file at its key, and S3's extra info that
+// we care about (tags, storage class, content type, Glacier restores) lives
+// in a sidecar file next to it, named `<key>.meta.json`.
+//
+// Like S3, archived (GLACIER) objects can't be read until they're restored.
+// Unlike S3, restores finish instantly!
+const META_SUFFIX = ".meta.json";
+const ARCHIVED_STORAGE_CLASSES = new Set(["GLACIER", "DEEP_ARCHIVE"]);
+
+function createFsStorage({ root }) {
+  const getPath = (key) => path.join(root, ...key.split("/"));
+
+  const readMeta = async (key) => {
+    try {
+      return JSON.parse(await fs.readFile(getPath(key) + META_SUFFIX, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return { tagging: {}, storageClass: "STANDARD", contentType: null };
+      } else {
+        throw err;
+      }
+    }
+  };
+
+  const writeMeta = async (key, meta) => {
+    await fs.writeFile(
+      getPath(key) + META_SUFFIX,
+      JSON.stringify(meta, null, 2) + "\n"
+    );
+  };
+
+  const exists = async (key) => {
+    try {
+      const stat = await fs.stat(getPath(key));
+      return stat.isFile();
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return false;
+      } else {
+        throw err;
+      }
+    }
+  };
+
+  const noSuchKeyError = (key) => {
+    const err = new Error(`The specified key does not exist: ${key}`);
+    err.code = "NoSuchKey";
+    return err;
+  };
+
+  const assertReadable = (key, meta) => {
+    if (
+      ARCHIVED_STORAGE_CLASSES.has(meta.storageClass) &&
+      (!meta.restore || meta.restore.ongoing)
+    ) {
+      const err = new Error(`Object is archived, restore it first: ${key}`);
+      err.code = "InvalidObjectState";
+      throw err;
+    }
+  };
+
+  const writeObject = async (key, body, meta) => {
+    await fs.mkdir(path.dirname(getPath(key)), { recursive: true });
+    await fs.writeFile(getPath(key), body);
+    await writeMeta(key, meta);
+  };
+
+  return {
+    description: `fs:${root}`,
+
+    // NOTE: This walks the whole directory for every page, which is fine for
+    //       the small copies we rehearse with, but wouldn't be for the real
+    //       bucket!
+    listKeys: async ({ prefix, startAfter = null, maxKeys = 1000 }) => {
+      const keys = [];
+      const walkDir = async (dirPath, keyPrefix) => {
+        let entries;
+        try {
+          entries = await fs.readdir(dirPath, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === "ENOENT") {
+            return;
+          } else {
+            throw err;
+          }
+        }
+        for (const entry of entries) {
+          const key = keyPrefix + entry.name;
+          if (entry.isDirectory()) {
+            await walkDir(path.join(dirPath, entry.name), key + "/");
+          } else if (!entry.name.endsWith(META_SUFFIX)) {
+            keys.push(key);
+          }
+        }
+      };
+      await walkDir(root, "");
+
+      const matchingKeys = keys
+        .filter((key) => key.startsWith(prefix || ""))
+        .filter((key) => startAfter == null || key > startAfter)
+        .sort()
+        .slice(0, maxKeys);
+
+      return await Promise.all(
+        matchingKeys.map(async (key) => {
+          const [stat, meta] = await Promise.all([
+            fs.stat(getPath(key)),
+            readMeta(key),
+          ]);
+          return { key, size: stat.size, storageClass: meta.storageClass };
+        })
+      );
+    },
+
+    getTagging: async (key) => {
+      if (!(await exists(key))) {
+        return null;
+      }
+      const meta = await readMeta(key);
+      return meta.tagging;
+    },
+
+    deleteTagging: async (key) => {
+      if (!(await exists(key))) {
+        throw noSuchKeyError(key);
+      }
+      const meta = await readMeta(key);
+      await writeMeta(key, { ...meta, tagging: {} });
+    },
+
+    getObjectInfo: async (key) => {
+      if (!(await exists(key))) {
+        return null;
+      }
+      const [stat, meta] = await Promise.all([
+        fs.stat(getPath(key)),
+        readMeta(key),
+      ]);
+      return {
+        size: stat.size,
+        contentType: meta.contentType,
+        storageClass: meta.storageClass,
+        restore: meta.restore || null,
+      };
+    },
+
+    getObject: async (key) => {
+      if (!(await exists(key))) {
+        throw noSuchKeyError(key);
+      }
+      assertReadable(key, await readMeta(key));
+      return await fs.readFile(getPath(key));
+    },
+
+    putObject: async (
+      key,
+      body,
+      { contentType, tagging = {}, storageClass = "STANDARD" }
+    ) => {
+      await writeObject(key, body, { tagging, storageClass, contentType });
+    },
+
+    copyObject: async (
+      sourceKey,
+      key,
+      {
+        contentType = undefined,
+        tagging = undefined,
+        storageClass = "STANDARD",
+      }
+    ) => {
+      if (!(await exists(sourceKey))) {
+        throw noSuchKeyError(sourceKey);
+      }
+      const sourceMeta = await readMeta(sourceKey);
+      assertReadable(sourceKey, sourceMeta);
+
+      const body = await fs.readFile(getPath(sourceKey));
+      await writeObject(key, body, {
+        tagging: tagging || sourceMeta.tagging,
+        storageClass,
+        contentType: contentType || sourceMeta.contentType,
+      });
+    },
+
+    restoreObject: async (key) => {
+      if (!(await exists(key))) {
+        throw noSuchKeyError(key);
+      }
+      const meta = await readMeta(key);
+      await writeMeta(key, { ...meta, restore: { ongoing: false } });
+    },
+  };
+}
+
+module.exports = { createFsStorage };
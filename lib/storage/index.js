@@ -0,0 +1,66 @@
+// All our scripts talk to the bucket through a "storage" object, so that we
+// can point them at something other than the real S3 bucket, to rehearse!
+//
+// A storage has these async methods:
+//   - listKeys({prefix, startAfter, maxKeys}): [{key, size, storageClass}]
+//   - getTagging(key): {[tagName]: value}, or null if the key doesn't exist
+//   - deleteTagging(key)
+//   - getObjectInfo(key): {size, contentType, storageClass, restore}, or null
+//     if the key doesn't exist. `restore` is null unless it's an archived
+//     object with a restore requested, then it's `{ongoing}`.
+//   - getObject(key): Buffer
+//   - putObject(key, body, {contentType, acl, tagging, storageClass})
+//   - copyObject(sourceKey, key, {contentType, acl, tagging, storageClass})
+//   - restoreObject(key, {days, tier})
+//
+// Choose a storage on the CLI with:
+//   - `--storage=s3` (the default): The real bucket. Use `--bucket=...` to
+//     choose another bucket, and `--endpoint=...` to use an S3-compatible
+//     server like MinIO instead of AWS.
+//   - `--storage=fs:path/to/dir`: A local directory, see `./fs.js`.
+//
+// Scripts with two storages, like copy-storage.js, take `--from-bucket`,
+// `--from-endpoint`, `--to-bucket`, and `--to-endpoint` too, so each side
+// can point somewhere different. (They fall back to `--bucket` and
+// `--endpoint`.)
+const { getArgValue } = require("../args");
+const { createFsStorage } = require("./fs");
+const { createS3Storage } = require("./s3");
+
+const DEFAULT_BUCKET = "openneo-uploads";
+
+function createStorage(
+  spec,
+  { bucket = DEFAULT_BUCKET, endpoint = null } = {}
+) {
+  if (spec === "s3") {
+    return createS3Storage({ bucket, endpoint });
+  } else if (spec.startsWith("fs:")) {
+    return createFsStorage({ root: spec.substr("fs:".length) });
+  } else {
+    throw new Error(
+      `Unexpected storage: ${spec}. Expected "s3" or "fs:path/to/dir".`
+    );
+  }
+}
+
+function createStorageFromArgs(argName = "storage") {
+  return createStorage(getArgValue(argName, "s3"), getStorageOptionsFromArgs());
+}
+
+// Read `{bucket, endpoint}` from the CLI. With a `side` like "from", we
+// prefer `--from-bucket` and `--from-endpoint`, if they're given.
+function getStorageOptionsFromArgs(side = null) {
+  const getSideArgValue = (name, defaultValue) =>
+    (side && getArgValue(`${side}-${name}`)) || getArgValue(name, defaultValue);
+  return {
+    bucket: getSideArgValue("bucket", DEFAULT_BUCKET),
+    endpoint: getSideArgValue("endpoint", null),
+  };
+}
+
+module.exports = {
+  createStorage,
+  createStorageFromArgs,
+  getStorageOptionsFromArgs,
+};
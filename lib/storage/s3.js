@@ -0,0 +1,157 @@
+const S3 = require("aws-sdk/clients/s3");
+
+const { formatTagging } = require("./tagging");
+
+// Storage backed by a real S3 bucket, or an S3-compatible server like MinIO,
+// if you pass an `endpoint`.
+function createS3Storage({ bucket, endpoint = null, region = "us-east-1" }) {
+  const s3 = new S3({
+    params: { Bucket: bucket },
+    region,
+    ...(endpoint
+      ? {
+          endpoint,
+          // S3-compatible servers usually don't support bucket subdomains.
+          s3ForcePathStyle: true,
+        }
+      : {}),
+  });
+
+  return {
+    description: endpoint ? `${endpoint}/${bucket}` : `s3://${bucket}`,
+
+    listKeys: async ({ prefix, startAfter = null, maxKeys = 1000 }) => {
+      const res = await s3
+        .listObjectsV2({
+          MaxKeys: maxKeys,
+          StartAfter: startAfter || undefined,
+          Prefix: prefix,
+        })
+        .promise();
+      return res.Contents.map((obj) => ({
+        key: obj.Key,
+        size: obj.Size,
+        storageClass: obj.StorageClass,
+      }));
+    },
+
+    getTagging: async (key) => {
+      try {
+        const tagResponse = await s3.getObjectTagging({ Key: key }).promise();
+        const tagging = {};
+        for (const tag of tagResponse.TagSet) {
+          tagging[tag.Key] = tag.Value;
+        }
+        return tagging;
+      } catch (err) {
+        if (err.code === "NoSuchKey") {
+          return null;
+        } else {
+          throw err;
+        }
+      }
+    },
+
+    deleteTagging: async (key) => {
+      await s3.deleteObjectTagging({ Key: key }).promise();
+    },
+
+    getObjectInfo: async (key) => {
+      let res;
+      try {
+        res = await s3.headObject({ Key: key }).promise();
+      } catch (err) {
+        if (err.code === "NotFound") {
+          return null;
+        } else {
+          throw err;
+        }
+      }
+
+      // S3 reports the status of Glacier restores in a header like:
+      // `ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"`
+      const restore =
+        res.Restore != null
+          ? { ongoing: res.Restore.includes(`ongoing-request="true"`) }
+          : null;
+
+      return {
+        size: res.ContentLength,
+        contentType: res.ContentType,
+        // NOTE: S3 leaves out the storage class header for STANDARD objects.
+        storageClass: res.StorageClass || "STANDARD",
+        restore,
+      };
+    },
+
+    getObject: async (key) => {
+      const res = await s3.getObject({ Key: key }).promise();
+      return res.Body;
+    },
+
+    putObject: async (
+      key,
+      body,
+      { contentType, acl = undefined, tagging = undefined, storageClass }
+    ) => {
+      await s3
+        .putObject({
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          ACL: acl,
+          Tagging: tagging ? formatTagging(tagging) : undefined,
+          StorageClass: storageClass,
+        })
+        .promise();
+    },
+
+    // Copy `sourceKey` to `key`, which can be the same key, to update its
+    // tags, storage class, etc in place. If you provide `tagging` or
+    // `contentType`, they replace the source's; otherwise they're copied.
+    copyObject: async (
+      sourceKey,
+      key,
+      {
+        contentType = undefined,
+        acl = undefined,
+        tagging = undefined,
+        storageClass,
+      }
+    ) => {
+      await s3
+        .copyObject({
+          Key: key,
+          CopySource: `/${bucket}/${sourceKey}`,
+          ACL: acl,
+          ContentType: contentType,
+          MetadataDirective: contentType ? "REPLACE" : undefined,
+          Tagging: tagging ? formatTagging(tagging) : undefined,
+          TaggingDirective: tagging ? "REPLACE" : undefined,
+          StorageClass: storageClass,
+        })
+        .promise();
+    },
+
+    restoreObject: async (key, { days, tier }) => {
+      try {
+        await s3
+          .restoreObject({
+            Key: key,
+            RestoreRequest: {
+              Days: days,
+              GlacierJobParameters: { Tier: tier },
+            },
+          })
+          .promise();
+      } catch (err) {
+        // This is fine, it's what we wanted anyway!
+        if (err.code !== "RestoreAlreadyInProgress") {
+          throw err;
+        }
+      }
+    },
+  };
+}
+
+module.exports = { createS3Storage };
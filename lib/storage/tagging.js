@@ -0,0 +1,10 @@
+// We pass tags around as plain objects, like
+// `{"DTI-Outfit-Image-Kind": "backup"}`, and S3 wants them as a URL query
+// string, like `DTI-Outfit-Image-Kind=backup`.
+function formatTagging(tagging) {
+  return Object.entries(tagging)
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    .join("&");
+}
+
+module.exports = { formatTagging };
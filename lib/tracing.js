@@ -0,0 +1,220 @@
+const fs = require("fs");
+const { performance } = require("perf_hooks");
+const { threadId } = require("worker_threads");
+
+const { getArgValue } = require("./args");
+
+// How many durations we keep per span name, to estimate percentiles. Past
+// this, we keep a random sample, so long runs don't run out of memory.
+const MAX_SAMPLES_PER_NAME = 10000;
+
+// Record how long things take, as "spans". Spans go to a trace file in
+// Chrome's trace event format, which you can open in Chrome's Performance
+// tab, or at https://ui.perfetto.dev. We also keep summary stats for each
+// span name, to print at the end of the run.
+//
+// Until you call `start`, tracing is off, and `trace` just calls the
+// function. That way, scripts can wrap things in spans all the time, and it
+// only costs anything when you ask for a trace.
+function createTracer({ now = () => performance.now() } = {}) {
+  let stream = null;
+  let isFirstEvent = true;
+  let nextSpanId = 0;
+  let statsByName = new Map();
+
+  const writeEvent = (event) => {
+    stream.write((isFirstEvent ? "\n" : ",\n") + JSON.stringify(event));
+    isFirstEvent = false;
+  };
+
+  const recordDuration = (name, durationMs, didFail) => {
+    let stats = statsByName.get(name);
+    if (!stats) {
+      stats = { count: 0, numErrors: 0, totalMs: 0, maxMs: 0, samples: [] };
+      statsByName.set(name, stats);
+    }
+    stats.count++;
+    stats.totalMs += durationMs;
+    stats.maxMs = Math.max(stats.maxMs, durationMs);
+    if (didFail) {
+      stats.numErrors++;
+    }
+
+    // Reservoir sampling: once we're full, each new duration replaces a
+    // random sample, with the odds that keep the sample uniform.
+    if (stats.samples.length < MAX_SAMPLES_PER_NAME) {
+      stats.samples.push(durationMs);
+    } else {
+      const index = Math.floor(Math.random() * stats.count);
+      if (index < MAX_SAMPLES_PER_NAME) {
+        stats.samples[index] = durationMs;
+      }
+    }
+  };
+
+  // Wrap an async block in a span! Like:
+  // `await trace("fetchThatOneWebpage", {url}, () => fetch(url))`
+  //
+  // `args` should be a small object of safe, serializable things, to show
+  // with the span in the trace.
+  const trace = async (name, args, fn) => {
+    if (!stream) {
+      return await fn();
+    }
+
+    // Spans overlap when we do things concurrently, so we write them as
+    // async events, each with its own ID, rather than as nested ones.
+    const id = nextSpanId++;
+    const startTime = now();
+    writeEvent({
+      name,
+      cat: "app",
+      ph: "b",
+      id,
+      ts: Math.round(startTime * 1000),
+      pid: process.pid,
+      tid: threadId,
+      args,
+    });
+
+    let error = null;
+    try {
+      return await fn();
+    } catch (err) {
+      error = err;
+      throw err;
+    } finally {
+      const endTime = now();
+      // We might have stopped while this span was still going!
+      if (stream) {
+        writeEvent({
+          name,
+          cat: "app",
+          ph: "e",
+          id,
+          ts: Math.round(endTime * 1000),
+          pid: process.pid,
+          tid: threadId,
+          args: error ? { error: error.message } : {},
+        });
+        recordDuration(name, endTime - startTime, error != null);
+      }
+    }
+  };
+
+  // Wrap an async function in a span, for every time you call it!
+  // `getTraceArgsFromFnArgs` turns its arguments into the span's `args`.
+  const withTrace =
+    (fn, getTraceArgsFromFnArgs, name = null) =>
+    (...args) =>
+      trace(name || fn.name, getTraceArgsFromFnArgs(...args), () =>
+        fn(...args)
+      );
+
+  return {
+    trace,
+    withTrace,
+
+    get isTracing() {
+      return stream != null;
+    },
+
+    // Start writing spans to the trace file at `path`. `processName` is how
+    // the trace viewer will label this process.
+    start: (path, { processName = null } = {}) => {
+      if (stream) {
+        throw new Error(`Already tracing`);
+      }
+      stream = fs.createWriteStream(path);
+      stream.write(`{"traceEvents":[`);
+      isFirstEvent = true;
+      statsByName = new Map();
+      if (processName) {
+        writeEvent({
+          name: "process_name",
+          ph: "M",
+          pid: process.pid,
+          args: { name: processName },
+        });
+      }
+    },
+
+    // Finish the trace file, and return summary stats for each span name.
+    stop: async () => {
+      if (!stream) {
+        return [];
+      }
+      const stoppingStream = stream;
+      stream = null;
+      await new Promise((resolve, reject) => {
+        stoppingStream.on("error", reject);
+        stoppingStream.end("\n]}\n", resolve);
+      });
+      return getSpanStats(statsByName);
+    },
+  };
+}
+
+function getSpanStats(statsByName) {
+  return [...statsByName.entries()]
+    .sort(([a], [b]) => a.localeCompare(b, "en", { numeric: true }))
+    .map(([name, { count, numErrors, totalMs, maxMs, samples }]) => {
+      const sortedSamples = [...samples].sort((a, b) => a - b);
+      return {
+        name,
+        count,
+        numErrors,
+        totalMs,
+        meanMs: totalMs / count,
+        p50Ms: getPercentile(sortedSamples, 0.5),
+        p95Ms: getPercentile(sortedSamples, 0.95),
+        maxMs,
+      };
+    });
+}
+
+function getPercentile(sortedValues, fraction) {
+  const index = Math.ceil(fraction * sortedValues.length) - 1;
+  return sortedValues[Math.max(index, 0)];
+}
+
+// Print `stop`'s summary stats, one line per span name.
+function logTraceSummary(spanStats) {
+  console.info(`Trace summary (ms):`);
+  for (const stats of spanStats) {
+    console.info(
+      `- ${stats.name}: ${stats.count} spans, ${stats.numErrors} errors, ` +
+        `mean ${stats.meanMs.toFixed(1)}, p50 ${stats.p50Ms.toFixed(1)}, ` +
+        `p95 ${stats.p95Ms.toFixed(1)}, max ${stats.maxMs.toFixed(1)}`
+    );
+  }
+}
+
+// Scripts share one tracer, so that spans from the modules they use end up
+// in the same trace file.
+const defaultTracer = createTracer();
+
+// Start tracing if we got `--trace=path` on the CLI.
+function startTracingFromArgs(processName) {
+  const tracePath = getArgValue("trace");
+  if (tracePath) {
+    defaultTracer.start(tracePath, { processName });
+    console.info(`Writing trace to ${tracePath}`);
+  }
+}
+
+// Stop tracing, if we started, and print the summary stats.
+async function stopTracing() {
+  if (defaultTracer.isTracing) {
+    logTraceSummary(await defaultTracer.stop());
+  }
+}
+
+module.exports = {
+  createTracer,
+  logTraceSummary,
+  trace: defaultTracer.trace,
+  withTrace: defaultTracer.withTrace,
+  startTracingFromArgs,
+  stopTracing,
+};
@@ -0,0 +1,202 @@
+// All-time request counts can't tell an image that was popular in 2019 and
+// is dead now from one that's still in steady use. So, we roll the logs up
+// into daily and weekly counts per outfit image, then compare each image's
+// recent traffic to the traffic just before it:
+//   - "rising": The recent window has a lot more requests than the one
+//     before it (or the image is new).
+//   - "steady": About the same.
+//   - "decaying": A lot fewer.
+//   - "stopped": No requests at all since the `stoppedAfter` date.
+//
+// By default, the recent window is the `windowDays` days up to and including
+// `asOf`, and the previous window is the `windowDays` days before that.
+const TRENDS = ["rising", "steady", "decaying", "stopped"];
+
+const DEFAULT_TREND_RULES = {
+  // The last day to count, as YYYY-MM-DD. If null, we use the latest day in
+  // the logs.
+  asOf: null,
+  // How many days are in the recent window, and in the previous window.
+  windowDays: 90,
+  // Images with no requests after this date (YYYY-MM-DD) are "stopped". If
+  // null, we use the start of the recent window.
+  stoppedAfter: null,
+  // Recent traffic at least this many times the previous traffic is
+  // "rising", and at most 1 / this many times is "decaying".
+  changeRatio: 2,
+  // If true, only requests from browsers count. See `lib/user-agents.js`.
+  humansOnly: false,
+};
+
+// Rebuild the `dailyUsage` and `weeklyUsage` tables from the logs.
+async function rollUpUsage(db) {
+  await db.run(`BEGIN TRANSACTION`);
+  try {
+    await db.exec(`
+      DELETE FROM dailyUsage;
+      INSERT INTO dailyUsage (outfitId, imageSize, day, requestCount, humanRequestCount)
+        SELECT
+          outfitId,
+          imageSize,
+          substr(eventTime, 1, 10) AS day,
+          count(*),
+          coalesce(sum(userAgentClass = 'browser'), 0)
+        FROM logs
+        GROUP BY outfitId, imageSize, day;
+
+      -- NOTE: "weekday 0" moves forward to the next Sunday (or stays put on a
+      --       Sunday), so 6 days before that is the Monday that starts the week.
+      DELETE FROM weeklyUsage;
+      INSERT INTO weeklyUsage (outfitId, imageSize, weekStart, requestCount, humanRequestCount)
+        SELECT
+          outfitId,
+          imageSize,
+          date(day, 'weekday 0', '-6 days') AS weekStart,
+          sum(requestCount),
+          sum(humanRequestCount)
+        FROM dailyUsage
+        GROUP BY outfitId, imageSize, weekStart;
+    `);
+    await db.run(`COMMIT`);
+  } catch (err) {
+    await db.run(`ROLLBACK`);
+    throw err;
+  }
+}
+
+// Rebuild the `usageTrends` table from `dailyUsage`, so call `rollUpUsage`
+// first! Returns the rules we used, with `asOf` and `stoppedAfter` filled in,
+// and the number of images with each trend.
+async function computeUsageTrends(db, rules = DEFAULT_TREND_RULES) {
+  rules = { ...DEFAULT_TREND_RULES, ...rules };
+  if (rules.asOf == null) {
+    const { latestDay } = await db.get(
+      `SELECT max(day) AS latestDay FROM dailyUsage`
+    );
+    rules.asOf = latestDay || new Date().toISOString().substr(0, 10);
+  }
+  const { recentStart, previousStart } = getTrendWindows(
+    rules.asOf,
+    rules.windowDays
+  );
+  if (rules.stoppedAfter == null) {
+    rules.stoppedAfter = recentStart;
+  }
+
+  const countColumn = rules.humansOnly ? "humanRequestCount" : "requestCount";
+  const counts = Object.fromEntries(TRENDS.map((t) => [t, 0]));
+  const computedAt = new Date().toISOString();
+
+  await db.run(`BEGIN TRANSACTION`);
+  try {
+    await db.run(`DELETE FROM usageTrends`);
+    const insertTrendStmt = db.prepare(`
+      INSERT INTO usageTrends (outfitId, imageSize, trend, recentRequestCount, previousRequestCount, firstSeenDay, lastSeenDay, asOf, computedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    // NOTE: The windows include their end day, but not their start day, and
+    //       days are YYYY-MM-DD strings, so we can compare them as strings.
+    const promises = [];
+    await db.each(
+      `
+        SELECT
+          outfitId,
+          imageSize,
+          sum(CASE WHEN day > ? AND day <= ? THEN ${countColumn} ELSE 0 END)
+            AS recentRequestCount,
+          sum(CASE WHEN day > ? AND day <= ? THEN ${countColumn} ELSE 0 END)
+            AS previousRequestCount,
+          min(day) AS firstSeenDay,
+          max(day) AS lastSeenDay
+        FROM dailyUsage
+        WHERE ${countColumn} > 0 AND day <= ?
+        GROUP BY outfitId, imageSize
+      `,
+      [recentStart, rules.asOf, previousStart, recentStart, rules.asOf],
+      (row) => {
+        const trend = classifyTrend(row, rules);
+        counts[trend]++;
+        promises.push(
+          insertTrendStmt.run([
+            row.outfitId,
+            row.imageSize,
+            trend,
+            row.recentRequestCount,
+            row.previousRequestCount,
+            row.firstSeenDay,
+            row.lastSeenDay,
+            rules.asOf,
+            computedAt,
+          ])
+        );
+      }
+    );
+    await Promise.all(promises);
+    await insertTrendStmt.finalize();
+    await db.run(`COMMIT`);
+  } catch (err) {
+    await db.run(`ROLLBACK`);
+    throw err;
+  }
+
+  return { rules, counts };
+}
+
+function classifyTrend(
+  { recentRequestCount, previousRequestCount, lastSeenDay },
+  rules
+) {
+  if (lastSeenDay == null || lastSeenDay <= rules.stoppedAfter) {
+    return "stopped";
+  }
+
+  if (
+    recentRequestCount > 0 &&
+    recentRequestCount >= previousRequestCount * rules.changeRatio
+  ) {
+    return "rising";
+  }
+
+  if (recentRequestCount * rules.changeRatio <= previousRequestCount) {
+    return "decaying";
+  }
+
+  return "steady";
+}
+
+// The exclusive start days of the recent and previous windows, as YYYY-MM-DD.
+function getTrendWindows(asOf, windowDays) {
+  return {
+    recentStart: addDays(asOf, -windowDays),
+    previousStart: addDays(asOf, -2 * windowDays),
+  };
+}
+
+// The Monday starts of the `numWeeks` weeks up to and including the week of
+// `asOf`, oldest first, matching `weeklyUsage.weekStart`.
+function getRecentWeekStarts(asOf, numWeeks) {
+  const daysSinceMonday = (new Date(asOf + "T00:00:00Z").getUTCDay() + 6) % 7;
+  const lastWeekStart = addDays(asOf, -daysSinceMonday);
+  const weekStarts = [];
+  for (let i = numWeeks - 1; i >= 0; i--) {
+    weekStarts.push(addDays(lastWeekStart, -7 * i));
+  }
+  return weekStarts;
+}
+
+function addDays(day, numDays) {
+  const date = new Date(day + "T00:00:00Z");
+  date.setUTCDate(date.getUTCDate() + numDays);
+  return date.toISOString().substr(0, 10);
+}
+
+module.exports = {
+  TRENDS,
+  DEFAULT_TREND_RULES,
+  rollUpUsage,
+  computeUsageTrends,
+  classifyTrend,
+  getTrendWindows,
+  getRecentWeekStarts,
+};
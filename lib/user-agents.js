@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+
+// What kind of client made a request, so usage queries can leave out
+// non-human traffic:
+//   - "browser": A person looking at a page, probably!
+//   - "crawler": Search engines, archivers, and other bots.
+//   - "link-preview": Sites and chat apps building previews for a link.
+//   - "tool": Uptime checkers, HTTP libraries, scripts, etc.
+//
+// Which is which is up to the rules in `user-agent-rules.json`: each rule
+// has a class and a regex pattern, and the first rule that matches wins.
+// User agents that match no rules (including empty ones) count as tools,
+// because browsers always send *something* recognizable.
+//
+// After changing the rules, run `yarn build-db --reclassify` to apply them to
+// the logs we've already ingested.
+const USER_AGENT_CLASSES = ["browser", "crawler", "link-preview", "tool"];
+const DEFAULT_USER_AGENT_CLASS = "tool";
+
+const RULES_PATH = path.join(__dirname, "..", "user-agent-rules.json");
+
+function loadUserAgentRules(rulesPath = RULES_PATH) {
+  const rules = JSON.parse(fs.readFileSync(rulesPath, "utf8"));
+  return rules.map((rule, index) => {
+    if (!USER_AGENT_CLASSES.includes(rule.class)) {
+      throw new Error(
+        `User agent rule ${index} in ${rulesPath} has unexpected class ` +
+          `${JSON.stringify(rule.class)}. Expected one of: ` +
+          USER_AGENT_CLASSES.join(", ")
+      );
+    }
+    return { class: rule.class, pattern: new RegExp(rule.pattern) };
+  });
+}
+
+function classifyUserAgent(userAgent, rules) {
+  if (userAgent) {
+    for (const rule of rules) {
+      if (rule.pattern.test(userAgent)) {
+        return rule.class;
+      }
+    }
+  }
+  return DEFAULT_USER_AGENT_CLASS;
+}
+
+module.exports = {
+  USER_AGENT_CLASSES,
+  loadUserAgentRules,
+  classifyUserAgent,
+};
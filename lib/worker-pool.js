@@ -0,0 +1,164 @@
+const os = require("os");
+const { Worker, parentPort } = require("worker_threads");
+
+// A pool of worker threads, for CPU-bound work that would otherwise block
+// the main thread's event loop, and make its I/O time out. Each thread runs
+// the module at `workerPath`, which should call `serveWorkerTasks` with the
+// functions it offers. Then, `pool.run(name, args)` calls one of them on the
+// next free thread, and resolves to its result.
+//
+// Each thread runs one task at a time, and the rest wait in line. Threads
+// start when they're first needed. If a thread crashes, its task fails,
+// and we start a new thread for the next one.
+function createWorkerPool(workerPath, { size = os.cpus().length } = {}) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`Worker pool size must be a positive integer, got ${size}`);
+  }
+
+  const idleWorkers = [];
+  const allWorkers = new Set();
+  const queue = [];
+  let nextTaskId = 0;
+  let isClosed = false;
+
+  const startWorker = () => {
+    const worker = new Worker(workerPath);
+    allWorkers.add(worker);
+    worker.currentTask = null;
+
+    worker.on("message", ({ id, result, error }) => {
+      const task = worker.currentTask;
+      if (!task || task.id !== id) {
+        return;
+      }
+      worker.currentTask = null;
+      if (error) {
+        task.reject(deserializeError(error));
+      } else {
+        task.resolve(restoreBuffers(result));
+      }
+      idleWorkers.push(worker);
+      runNextTask();
+    });
+
+    const handleCrash = (error) => {
+      if (!allWorkers.has(worker)) {
+        return;
+      }
+      allWorkers.delete(worker);
+      const index = idleWorkers.indexOf(worker);
+      if (index >= 0) {
+        idleWorkers.splice(index, 1);
+      }
+      if (worker.currentTask) {
+        worker.currentTask.reject(error);
+        worker.currentTask = null;
+      }
+      runNextTask();
+    };
+    worker.on("error", handleCrash);
+    worker.on("exit", (code) =>
+      handleCrash(new Error(`Worker thread exited with code ${code}`))
+    );
+
+    return worker;
+  };
+
+  const runNextTask = () => {
+    if (isClosed || queue.length === 0) {
+      return;
+    }
+    let worker = idleWorkers.pop();
+    if (!worker) {
+      if (allWorkers.size >= size) {
+        return; // Every thread is busy. We'll try again when one finishes!
+      }
+      worker = startWorker();
+    }
+
+    const task = queue.shift();
+    worker.currentTask = task;
+    worker.postMessage({ id: task.id, name: task.name, args: task.args });
+  };
+
+  return {
+    run: (name, args = []) =>
+      new Promise((resolve, reject) => {
+        if (isClosed) {
+          reject(new Error(`Worker pool is closed`));
+          return;
+        }
+        queue.push({ id: nextTaskId++, name, args, resolve, reject });
+        runNextTask();
+      }),
+
+    // Stop all the threads. Tasks still waiting in line fail.
+    close: async () => {
+      isClosed = true;
+      for (const task of queue.splice(0)) {
+        task.reject(new Error(`Worker pool is closed`));
+      }
+      const workers = [...allWorkers];
+      allWorkers.clear();
+      await Promise.all(workers.map((worker) => worker.terminate()));
+    },
+  };
+}
+
+// Call this from a worker thread's module, with an object of the functions
+// it offers to the pool, by name.
+function serveWorkerTasks(tasks) {
+  if (!parentPort) {
+    throw new Error(`serveWorkerTasks must be called from a worker thread`);
+  }
+  parentPort.on("message", async ({ id, name, args }) => {
+    try {
+      if (!tasks[name]) {
+        throw new Error(`Unknown worker task: ${name}`);
+      }
+      const result = await tasks[name](...restoreBuffers(args));
+      parentPort.postMessage({ id, result });
+    } catch (error) {
+      parentPort.postMessage({ id, error: serializeError(error) });
+    }
+  });
+}
+
+// Errors lose their `code` on the way between threads, so we send the
+// important parts ourselves.
+function serializeError(error) {
+  return {
+    message: error.message,
+    code: error.code || null,
+    stack: error.stack,
+  };
+}
+
+function deserializeError({ message, code, stack }) {
+  const error = new Error(message);
+  if (code) {
+    error.code = code;
+  }
+  error.stack = stack;
+  return error;
+}
+
+// Buffers arrive from other threads as plain Uint8Arrays, so we turn them
+// back into Buffers, including inside arrays and objects.
+function restoreBuffers(value) {
+  if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  } else if (Array.isArray(value)) {
+    return value.map(restoreBuffers);
+  } else if (value && typeof value === "object" && !Buffer.isBuffer(value)) {
+    const restored = {};
+    for (const [key, innerValue] of Object.entries(value)) {
+      restored[key] = restoreBuffers(innerValue);
+    }
+    return restored;
+  } else {
+    return value;
+  }
+}
+
+module.exports = { createWorkerPool, serveWorkerTasks };
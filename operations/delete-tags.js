@@ -0,0 +1,35 @@
+const { skipRecordingChange } = require("../lib/ledger");
+
+// Delete every tag from outfit images and their backups.
+//
+// Only objects that actually had tags count as changes, and go in the
+// ledger; deleting no tags doesn't change anything!
+
+const description = "Delete every tag from outfit images and their backups";
+
+function filterKey(key) {
+  return key.endsWith(".png") || key.endsWith(".png.bkup");
+}
+
+async function run(storage, key, { ledger, dryRun }) {
+  const tagging = await storage.getTagging(key);
+  const hasTags = tagging != null && Object.keys(tagging).length > 0;
+  if (!hasTags) {
+    return { key, didMakeChanges: false };
+  }
+  if (dryRun) {
+    console.info(`[DRY, ${key}] Would delete tags: ${JSON.stringify(tagging)}`);
+    return { key, didMakeChanges: true };
+  }
+
+  const recordChange = ledger
+    ? ledger.beginChange(storage, key, tagging)
+    : skipRecordingChange;
+  await recordChange.beforeWrite();
+  await storage.deleteTagging(key);
+  await recordChange("delete-tags", {});
+  console.info(`[${key}] Successfully deleted tags`);
+  return { key, didMakeChanges: true };
+}
+
+module.exports = { description, filterKey, run };
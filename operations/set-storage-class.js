@@ -0,0 +1,71 @@
+const { getArgValue } = require("../lib/args");
+const { skipRecordingChange } = require("../lib/ledger");
+
+// Move outfit images (not their backups) to another storage class, given
+// with `--storage-class=...`, like `--storage-class=STANDARD_IA`. Images
+// already in that class are no-ops.
+//
+// NOTE: Backups are in GLACIER, so they can't be copied without restoring
+//       them first. That's why we leave them out!
+
+const STORAGE_CLASSES = ["STANDARD", "STANDARD_IA", "GLACIER"];
+
+const description =
+  "Move outfit images to the storage class given with --storage-class";
+
+function filterKey(key) {
+  return key.endsWith(".png");
+}
+
+function getStorageClass() {
+  const storageClass = getArgValue("storage-class");
+  if (!STORAGE_CLASSES.includes(storageClass)) {
+    throw new Error(
+      `set-storage-class needs --storage-class to be one of: ` +
+        STORAGE_CLASSES.join(", ")
+    );
+  }
+  return storageClass;
+}
+
+// Check the CLI args before we start walking the bucket.
+function validate() {
+  getStorageClass();
+}
+
+async function run(storage, key, { ledger, dryRun }) {
+  const storageClass = getStorageClass();
+
+  const info = await storage.getObjectInfo(key);
+  if (!info) {
+    throw new Error(`Image not found`);
+  }
+  if (info.storageClass === storageClass) {
+    return { key, didMakeChanges: false };
+  }
+  if (dryRun) {
+    console.info(
+      `[DRY, ${key}] Would move from ${info.storageClass} to ${storageClass}`
+    );
+    return { key, didMakeChanges: true };
+  }
+
+  const tagging = await storage.getTagging(key);
+  const recordChange = ledger
+    ? ledger.beginChange(storage, key, tagging, { previousInfo: info })
+    : skipRecordingChange;
+
+  // To change the storage class, copy the object over itself. Copying
+  // keeps the tags, but not the ACL, so we set that again.
+  await storage.copyObject(key, key, { acl: "public-read", storageClass });
+  await recordChange("set-storage-class", {
+    newTag: tagging ? tagging["DTI-Outfit-Image-Kind"] || null : null,
+    newStorageClass: storageClass,
+  });
+  console.info(
+    `[MOVE, ${key}] Moved from ${info.storageClass} to ${storageClass}`
+  );
+  return { key, didMakeChanges: true };
+}
+
+module.exports = { description, filterKey, validate, run };
@@ -0,0 +1,119 @@
+const { hasFlag, getArgValue, getArgValues } = require("./lib/args");
+const { openDb } = require("./lib/db");
+const {
+  DISPOSITIONS,
+  DEFAULT_RULES,
+  classifyDisposition,
+} = require("./lib/dispositions");
+
+async function main() {
+  const rules = readRulesFromArgs();
+  console.info(`Rules:`, rules);
+
+  const db = await openDb();
+
+  // We re-plan everything from scratch each time, so that the table always
+  // reflects exactly one set of rules.
+  await db.run(`BEGIN TRANSACTION`);
+  await db.run(`DELETE FROM dispositions`);
+
+  const insertDispositionStmt = db.prepare(`
+    INSERT INTO dispositions (outfitId, imageSize, disposition, reason, requestCount, lastSeenAt, plannedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const plannedAt = new Date().toISOString();
+  const counts = Object.fromEntries(DISPOSITIONS.map((d) => [d, 0]));
+  const promises = [];
+
+  // One `?` param per host, for the `IN (...)` clauses.
+  const denyHostParams = rules.denyHosts.map(() => "?").join(", ");
+  const allowHostParams = rules.allowHosts.map(() => "?").join(", ");
+  const userAgentCondition = rules.humansOnly
+    ? `userAgentClass = 'browser'`
+    : `1`;
+  await db.each(
+    `
+      SELECT
+        outfitId,
+        imageSize,
+        sum(CASE WHEN host IN (${denyHostParams}) THEN 0 ELSE 1 END)
+          AS requestCount,
+        max(CASE WHEN host IN (${denyHostParams}) THEN NULL ELSE eventTime END)
+          AS lastSeenAt,
+        sum(CASE WHEN host IN (${allowHostParams}) THEN 1 ELSE 0 END)
+          AS allowedHostRequestCount
+      FROM logs
+      WHERE ${userAgentCondition}
+      GROUP BY outfitId, imageSize
+    `,
+    [...rules.denyHosts, ...rules.denyHosts, ...rules.allowHosts],
+    (row) => {
+      const { disposition, reason } = classifyDisposition(row, rules);
+      counts[disposition]++;
+      promises.push(
+        insertDispositionStmt.run([
+          row.outfitId,
+          row.imageSize,
+          disposition,
+          reason,
+          row.requestCount,
+          row.lastSeenAt,
+          plannedAt,
+        ])
+      );
+    }
+  );
+
+  await Promise.all(promises);
+  await insertDispositionStmt.finalize();
+  await db.run(`COMMIT`);
+  await db.close();
+
+  console.info(`Done!`);
+  console.info(`Summary:`);
+  for (const disposition of DISPOSITIONS) {
+    console.info(`- ${counts[disposition]} ${disposition}`);
+  }
+  console.info(
+    `(Outfit images that never appear in the logs aren't listed, and get ` +
+      `placeholders.)`
+  );
+}
+
+function readRulesFromArgs() {
+  const rules = {
+    minRequestCount: Number(
+      getArgValue("min-requests", DEFAULT_RULES.minRequestCount)
+    ),
+    lastSeenAfter: getArgValue("last-seen-after", DEFAULT_RULES.lastSeenAfter),
+    allowHosts: getArgValues("allow-host"),
+    denyHosts: getArgValues("deny-host"),
+    humansOnly: hasFlag("humans-only"),
+  };
+
+  if (!Number.isInteger(rules.minRequestCount) || rules.minRequestCount < 0) {
+    throw new Error(
+      `--min-requests must be a non-negative integer, but was: ` +
+        getArgValue("min-requests")
+    );
+  }
+  if (
+    rules.lastSeenAfter != null &&
+    !rules.lastSeenAfter.match(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/)
+  ) {
+    throw new Error(
+      `--last-seen-after must be a date like YYYY-MM-DD, but was: ` +
+        rules.lastSeenAfter
+    );
+  }
+
+  return rules;
+}
+
+main()
+  .then((responseCode = 0) => process.exit(responseCode))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
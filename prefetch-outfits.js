@@ -0,0 +1,91 @@
+const fs = require("fs").promises;
+
+const { hasFlag, getArgValue, getPositionalArgs } = require("./lib/args");
+const { openDb } = require("./lib/db");
+const { loadOutfitDataBatch } = require("./lib/outfit-data");
+const {
+  createSnapshotStore,
+  prefetchSnapshots,
+} = require("./lib/outfit-snapshots");
+
+// Save snapshots of outfits' data from the live API ahead of time, so later
+// runs can use `--snapshots=only` to work entirely from them. (See
+// `lib/outfit-snapshots.js`.) Give outfit IDs and ranges on the CLI, or in a
+// file with one per line:
+//
+//     yarn prefetch-outfits 894911 1000-1999
+//     yarn prefetch-outfits --file=outfit-ids.txt
+//
+// Outfits that already have snapshots are skipped. Pass `--refresh` to load
+// them again, and `--batch-size=N` to load N outfits per request (default:
+// 50).
+async function main() {
+  const specs = [...getPositionalArgs()];
+  const filePath = getArgValue("file");
+  if (filePath) {
+    const lines = (await fs.readFile(filePath, "utf8")).split("\n");
+    specs.push(...lines.map((line) => line.trim()).filter((line) => line));
+  }
+  if (specs.length === 0) {
+    throw new Error(
+      `prefetch-outfits must receive outfit IDs or ranges on the CLI, ` +
+        `or a --file=... parameter`
+    );
+  }
+  const outfitIds = parseOutfitIdSpecs(specs);
+  const batchSize = Number(getArgValue("batch-size", 50));
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(
+      `--batch-size must be a positive integer, but was: ` +
+        getArgValue("batch-size")
+    );
+  }
+  console.info(`Prefetching ${outfitIds.length} outfits`);
+
+  const db = await openDb();
+  let numDone = 0;
+  const counts = await prefetchSnapshots(createSnapshotStore(db), outfitIds, {
+    loadBatch: loadOutfitDataBatch,
+    refresh: hasFlag("refresh"),
+    batchSize,
+    onBatch: (batch) => {
+      numDone += batch.length;
+      console.info(`[SNAP] ${numDone} of ${outfitIds.length} outfits done`);
+    },
+  });
+  await db.close();
+
+  console.info(`Done!`);
+  console.info(`- ${counts.numSaved} snapshots saved`);
+  console.info(`  - ${counts.numNotFound} of them for outfits not found`);
+  console.info(`- ${counts.numSkipped} outfits already had snapshots`);
+  console.info(`- ${counts.numFailed} outfits failed to load`);
+  return counts.numFailed > 0 ? 1 : 0;
+}
+
+// Turn specs like "894911" and "1000-1999" into a list of outfit IDs.
+function parseOutfitIdSpecs(specs) {
+  const outfitIds = [];
+  for (const spec of specs) {
+    const match = spec.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(
+        `Unexpected outfit ID or range: ${JSON.stringify(spec)}. ` +
+          `Expected something like "894911" or "1000-1999".`
+      );
+    }
+    const start = Number(match[1]);
+    const end = match[2] != null ? Number(match[2]) : start;
+    for (let outfitId = start; outfitId <= end; outfitId++) {
+      outfitIds.push(String(outfitId));
+    }
+  }
+  return outfitIds;
+}
+
+main()
+  .then((responseCode = 0) => process.exit(responseCode))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,117 @@
+const { hasFlag, getArgValue, getArgValues } = require("./lib/args");
+const { createCsvWriter } = require("./lib/csv");
+const { openDb } = require("./lib/db");
+const { LEDGER_ACTIONS, queryLedger, listLedgerRuns } = require("./lib/ledger");
+
+const LEDGER_CSV_COLUMNS = [
+  "id",
+  "runId",
+  "command",
+  "key",
+  "outfitId",
+  "imageSize",
+  "action",
+  "previousTag",
+  "previousStorageClass",
+  "newTag",
+  "newStorageClass",
+  "originalSize",
+  "newSize",
+  "compressedPercent",
+  "createdAt",
+];
+
+// Look up what our scripts did to the bucket, from the ledger. For example:
+//
+//     yarn query-ledger --outfit=894911
+//     yarn query-ledger --run=backup-all-2021-06-01T12:34:56.789Z --action=compress
+//     yarn query-ledger --runs
+//
+// Options:
+//   - `--runs`: List the runs, with how many of each action they took.
+//   - `--run=ID`, `--outfit=ID`, `--key=...`: Only show these changes.
+//   - `--action=...`: Only show these actions. Can be repeated.
+//   - `--limit=N`: Show at most N changes (default: 100).
+//   - `--csv=path`: Write the changes to a CSV file, instead of printing.
+async function main() {
+  const db = await openDb();
+
+  if (hasFlag("runs")) {
+    const runs = await listLedgerRuns(db);
+    await db.close();
+
+    console.info(`Runs (count: ${runs.length}):`);
+    for (const run of runs) {
+      const actionSummary = Object.entries(run.actionCounts)
+        .map(([action, count]) => `${count} ${action}`)
+        .join(", ");
+      console.info(
+        `- ${run.runId} (${run.startedAt} to ${run.endedAt}): ${actionSummary}`
+      );
+    }
+    return;
+  }
+
+  const actions = getArgValues("action");
+  for (const action of actions) {
+    if (!LEDGER_ACTIONS.includes(action)) {
+      throw new Error(
+        `--action must be one of ${LEDGER_ACTIONS.join(", ")}, but was: ` +
+          action
+      );
+    }
+  }
+
+  const csvPath = getArgValue("csv");
+  const rows = await queryLedger(db, {
+    runId: getArgValue("run"),
+    outfitId: getArgValue("outfit"),
+    key: getArgValue("key"),
+    actions,
+    // CSVs are for getting *everything*, so we only limit them if asked.
+    limit: getArgValue("limit", csvPath ? null : 100),
+  });
+  await db.close();
+
+  if (csvPath) {
+    const csvWriter = createCsvWriter(csvPath, LEDGER_CSV_COLUMNS);
+    for (const row of rows) {
+      csvWriter.writeRow(row);
+    }
+    await csvWriter.close();
+    console.info(`Wrote ${rows.length} changes to ${csvPath}`);
+    return;
+  }
+
+  console.info(`Changes (count: ${rows.length}):`);
+  for (const row of rows) {
+    console.info(
+      `[${row.createdAt}, ${row.key}] ${row.action}: ` +
+        `${formatState(row.previousTag, row.previousStorageClass)} -> ` +
+        `${formatState(row.newTag, row.newStorageClass)}` +
+        formatSizes(row) +
+        ` (${row.runId})`
+    );
+  }
+}
+
+function formatState(tag, storageClass) {
+  return `${tag || "untagged"}/${storageClass || "?"}`;
+}
+
+function formatSizes({ originalSize, newSize, compressedPercent }) {
+  if (newSize == null) {
+    return ``;
+  }
+  return (
+    `, ${originalSize == null ? "?" : originalSize} -> ${newSize} bytes` +
+    (compressedPercent != null ? ` (${compressedPercent}% of original)` : ``)
+  );
+}
+
+main()
+  .then((responseCode = 0) => process.exit(responseCode))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,66 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const { hasFlag, getArgValue } = require("./lib/args");
+const { createCsvWriter } = require("./lib/csv");
+const { openDb } = require("./lib/db");
+const {
+  loadEmbeddingSites,
+  getEmbeddingSiteCsvColumns,
+  getEmbeddingSiteCsvRow,
+  renderEmbeddingSitesHtml,
+} = require("./lib/embedding-sites");
+
+// Report which sites are still embedding our outfit images, one row per
+// site, so we know who to reach out to before their images become
+// placeholders. Writes `embedding-sites.csv` and `embedding-sites.html` to
+// `--out-dir` (default `reports`).
+//
+// Use `--min-requests=N` to leave out sites with fewer than N requests, and
+// `--humans-only` to count only requests from browsers.
+async function main() {
+  const outDir = getArgValue("out-dir", "reports");
+  const minRequestCount = Number(getArgValue("min-requests", 1));
+  if (!Number.isInteger(minRequestCount) || minRequestCount < 0) {
+    throw new Error(
+      `--min-requests must be a non-negative integer, but was: ` +
+        getArgValue("min-requests")
+    );
+  }
+
+  const db = await openDb();
+  const report = await loadEmbeddingSites(db, {
+    minRequestCount,
+    humansOnly: hasFlag("humans-only"),
+  });
+  await db.close();
+
+  await fs.mkdir(outDir, { recursive: true });
+
+  const csvPath = path.join(outDir, "embedding-sites.csv");
+  const csvWriter = createCsvWriter(
+    csvPath,
+    getEmbeddingSiteCsvColumns(report.months)
+  );
+  for (const site of report.sites) {
+    csvWriter.writeRow(getEmbeddingSiteCsvRow(site, report.months));
+  }
+  await csvWriter.close();
+
+  const htmlPath = path.join(outDir, "embedding-sites.html");
+  await fs.writeFile(
+    htmlPath,
+    renderEmbeddingSitesHtml(report, { generatedAt: new Date().toISOString() })
+  );
+
+  console.info(`Done! ${report.sites.length} sites.`);
+  console.info(`- ${csvPath}`);
+  console.info(`- ${htmlPath}`);
+}
+
+main()
+  .then((responseCode = 0) => process.exit(responseCode))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,107 @@
+const { hasFlag, getArgValue } = require("./lib/args");
+const { openDb } = require("./lib/db");
+const { TRENDS, getRecentWeekStarts } = require("./lib/usage-trends");
+
+const SPARK_CHARS = "▁▂▃▄▅▆▇█";
+
+// Print the outfit images with a given trend, from `yarn rollup-usage`,
+// with a sparkline of their weekly requests. For example:
+//
+//     yarn report-usage-trends --trend=decaying --limit=50
+//
+// Options:
+//   - `--trend=...`: rising, steady, decaying, or stopped (default: all).
+//   - `--limit=N`: How many images to show per trend (default: 20).
+//   - `--weeks=N`: How many weeks of history to chart (default: 26).
+//   - `--humans-only`: Chart only requests from browsers. (This doesn't
+//     change the trends themselves; for that, pass it to rollup-usage!)
+async function main() {
+  const trend = getArgValue("trend");
+  const limit = Number(getArgValue("limit", 20));
+  const numWeeks = Number(getArgValue("weeks", 26));
+  const countColumn = hasFlag("humans-only")
+    ? "humanRequestCount"
+    : "requestCount";
+  if (trend != null && !TRENDS.includes(trend)) {
+    throw new Error(
+      `--trend must be one of ${TRENDS.join(", ")}, but was: ${trend}`
+    );
+  }
+
+  const db = await openDb();
+
+  const summary = await db.get(
+    `SELECT max(asOf) AS asOf, max(computedAt) AS computedAt FROM usageTrends`
+  );
+  if (summary.asOf == null) {
+    throw new Error(`No trends found, run \`yarn rollup-usage\` first`);
+  }
+  console.info(`Trends as of ${summary.asOf} (computed ${summary.computedAt})`);
+
+  // Chart the weeks leading up to the trends' `asOf` date.
+  const weekStarts = getRecentWeekStarts(summary.asOf, numWeeks);
+
+  for (const t of trend ? [trend] : TRENDS) {
+    const { count } = await db.get(
+      `SELECT count(*) AS count FROM usageTrends WHERE trend = ?`,
+      [t]
+    );
+    console.info(``);
+    console.info(`== ${t} (${count} images) ==`);
+
+    // Show the images with the most at stake first: the most recent
+    // requests, or for stopped images, the most requests before they
+    // stopped.
+    const rows = await db.all(
+      `
+        SELECT * FROM usageTrends WHERE trend = ?
+          ORDER BY recentRequestCount DESC, previousRequestCount DESC
+          LIMIT ?
+      `,
+      [t, limit]
+    );
+    for (const row of rows) {
+      const weeklyRows = await db.all(
+        `
+          SELECT weekStart, ${countColumn} AS requestCount FROM weeklyUsage
+            WHERE outfitId = ? AND imageSize = ? AND weekStart >= ?
+        `,
+        [row.outfitId, row.imageSize, weekStarts[0]]
+      );
+      const countsByWeek = new Map(
+        weeklyRows.map((r) => [r.weekStart, r.requestCount])
+      );
+      const sparkline = renderSparkline(
+        weekStarts.map((w) => countsByWeek.get(w) || 0)
+      );
+
+      console.info(
+        `[${row.outfitId}, ${row.imageSize}] ${sparkline} ` +
+          `${row.previousRequestCount} -> ${row.recentRequestCount} requests ` +
+          `(seen ${row.firstSeenDay} to ${row.lastSeenDay})`
+      );
+    }
+  }
+
+  await db.close();
+}
+
+function renderSparkline(counts) {
+  const max = Math.max(0, ...counts);
+  return counts
+    .map((count) => {
+      if (count === 0) {
+        return " ";
+      }
+      const index = Math.ceil((count / max) * SPARK_CHARS.length) - 1;
+      return SPARK_CHARS[index];
+    })
+    .join("");
+}
+
+main()
+  .then((responseCode = 0) => process.exit(responseCode))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,239 @@
+const PromisePool = require("es6-promise-pool");
+
+const {
+  hasFlag,
+  getArgValue,
+  getArgValues,
+  getPositionalArgs,
+} = require("./lib/args");
+const { openDb } = require("./lib/db");
+const { createLedger } = require("./lib/ledger");
+const { getOutfitImageKeys } = require("./lib/outfit-keys");
+const { createStorageFromArgs } = require("./lib/storage");
+
+const NUM_WORKERS = 10;
+
+const force = hasFlag("force");
+
+// How long Glacier should keep the temporary restored copy of the backup
+// around. We only need it long enough to copy it over the original!
+const RESTORE_DAYS = 2;
+
+// "Expedited" is fastest (minutes) but priciest, "Standard" takes a few
+// hours, and "Bulk" is cheapest but can take half a day.
+const restoreTier = getArgValue("tier", "Standard");
+const pollMinutes = Number(getArgValue("poll-minutes", 15));
+if (!(pollMinutes > 0)) {
+  throw new Error(
+    `--poll-minutes must be a positive number, but was: ` +
+      getArgValue("poll-minutes")
+  );
+}
+const pollIntervalMs = pollMinutes * 60 * 1000;
+
+async function main() {
+  const storage = createStorageFromArgs();
+
+  const keys = await getKeysToRestore(storage);
+  if (keys.length === 0) {
+    throw new Error(
+      `restore-image must receive an outfitId, --keys=..., or --prefix=... ` +
+        `parameter on the CLI, matching at least one key`
+    );
+  }
+
+  const db = await openDb();
+  const ledger = createLedger(db, {
+    command: "restore-image",
+    runId: getArgValue("run-id"),
+  });
+
+  console.info(`Restoring ${keys.length} keys from their backups`);
+  console.info(
+    `Restored originals will be public-read, whatever their ACL was before. ` +
+      `(We don't keep the original ACL anywhere.)`
+  );
+  console.info(`Recording changes in the ledger, run ID: ${ledger.runId}`);
+
+  // First, ask Glacier to restore all the backups we're going to need, so
+  // that they can all be in progress at the same time.
+  const pendingKeys = new Set();
+  const failures = [];
+  await runInPool(keys, async (key) => {
+    try {
+      const isReady = await requestBackupRestoreIfNotAlreadyDone(storage, key);
+      if (isReady) {
+        await restoreOriginalIfNotAlreadyDone(storage, key, ledger);
+      } else {
+        pendingKeys.add(key);
+      }
+    } catch (error) {
+      console.error(`[ERRR, ${key}]`, error);
+      failures.push({ key, error });
+    }
+  });
+
+  // Then, poll until the backups are readable, and copy each one over its
+  // original as soon as it's ready.
+  while (pendingKeys.size > 0) {
+    console.info(
+      `Waiting for ${pendingKeys.size} Glacier restores, checking again in ` +
+        `${Math.round(pollIntervalMs / 1000 / 60)} minutes`
+    );
+    await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+
+    await runInPool([...pendingKeys], async (key) => {
+      try {
+        const backupInfo = await loadBackupInfo(storage, key);
+        if (isBackupReadable(backupInfo)) {
+          pendingKeys.delete(key);
+          await restoreOriginalIfNotAlreadyDone(storage, key, ledger);
+        }
+      } catch (error) {
+        console.error(`[ERRR, ${key}]`, error);
+        pendingKeys.delete(key);
+        failures.push({ key, error });
+      }
+    });
+  }
+
+  await ledger.close();
+  await db.close();
+
+  console.info(`Done!`);
+  console.info(`Failed keys (count: ${failures.length}):`);
+  for (const { key, error } of failures) {
+    console.info(`- ${key} (${error.message})`);
+  }
+  return failures.length > 0 ? 1 : 0;
+}
+
+async function getKeysToRestore(storage) {
+  const [outfitId] = getPositionalArgs();
+  if (outfitId) {
+    return getOutfitImageKeys(outfitId);
+  }
+
+  const keys = getArgValues("keys");
+  if (keys.length > 0) {
+    return keys;
+  }
+
+  // For a prefix, we look for the backups, rather than the originals: those
+  // are the ones we can actually restore from!
+  const prefix = getArgValue("prefix");
+  if (prefix) {
+    const backupKeys = await listKeysWithPrefix(storage, prefix);
+    return backupKeys
+      .filter((key) => key.endsWith(".png.bkup"))
+      .map((key) => key.replace(/\.bkup$/, ""));
+  }
+
+  return [];
+}
+
+async function listKeysWithPrefix(storage, prefix) {
+  const keys = [];
+  let lastKey = null;
+  while (true) {
+    const objects = await storage.listKeys({ prefix, startAfter: lastKey });
+    if (objects.length === 0) {
+      return keys;
+    }
+    keys.push(...objects.map((obj) => obj.key));
+    lastKey = keys[keys.length - 1];
+  }
+}
+
+async function runInPool(items, fn) {
+  let index = 0;
+  const producer = () => (index < items.length ? fn(items[index++]) : null);
+  const pool = new PromisePool(producer, NUM_WORKERS);
+  await pool.start();
+}
+
+async function loadBackupInfo(storage, key) {
+  const backupInfo = await storage.getObjectInfo(key + ".bkup");
+  if (!backupInfo) {
+    throw new Error(`Backup not found`);
+  }
+  return backupInfo;
+}
+
+// Glacier objects can only be read once they've been restored. Objects in
+// other storage classes are always readable.
+function isBackupReadable(backupInfo) {
+  const isArchived =
+    backupInfo.storageClass === "GLACIER" ||
+    backupInfo.storageClass === "DEEP_ARCHIVE";
+  if (!isArchived) {
+    return true;
+  }
+
+  return backupInfo.restore != null && !backupInfo.restore.ongoing;
+}
+
+// Returns whether the backup is already readable.
+async function requestBackupRestoreIfNotAlreadyDone(storage, key) {
+  const backupInfo = await loadBackupInfo(storage, key);
+  if (isBackupReadable(backupInfo)) {
+    return true;
+  }
+
+  if (backupInfo.restore != null) {
+    console.info(`[RSTR, ${key}] Backup restore already in progress`);
+    return false;
+  }
+
+  // NOTE: If a restore is already in progress, this is a no-op.
+  await storage.restoreObject(key + ".bkup", {
+    days: RESTORE_DAYS,
+    tier: restoreTier,
+  });
+
+  console.info(`[RSTR, ${key}] Requested backup restore (${restoreTier})`);
+
+  // Some restores finish right away (especially when rehearsing locally!),
+  // so check once more before we start waiting.
+  return isBackupReadable(await loadBackupInfo(storage, key));
+}
+
+async function restoreOriginalIfNotAlreadyDone(storage, key, ledger) {
+  const tagging = await storage.getTagging(key);
+  if (!force && tagging && tagging["DTI-Outfit-Image-Kind"] === "restored") {
+    console.info(`[RSTR, ${key}] Original is already restored, skipping`);
+    return false;
+  }
+
+  const backupInfo = await loadBackupInfo(storage, key);
+  const recordChange = ledger.beginChange(storage, key, tagging);
+  await recordChange.beforeWrite();
+
+  await storage.copyObject(key + ".bkup", key, {
+    // The originals were always public (that's the whole point!), but the
+    // backups aren't, so we set the ACL explicitly instead of copying it.
+    // (We don't keep the original's ACL anywhere, so restores are always
+    // public-read. See the README.)
+    acl: "public-read",
+    contentType: backupInfo.contentType || "image/png",
+    tagging: { "DTI-Outfit-Image-Kind": "restored" },
+    // We ran the numbers, and our request counts aren't even close to high enough
+    // for STANDARD to be better for us!
+    storageClass: "STANDARD_IA",
+  });
+
+  await recordChange("restore", {
+    newTag: "restored",
+    newStorageClass: "STANDARD_IA",
+    newSize: backupInfo.size,
+  });
+  console.info(`[RSTR, ${key}] Restored original from ${key}.bkup`);
+  return true;
+}
+
+main()
+  .then((responseCode = 0) => process.exit(responseCode))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
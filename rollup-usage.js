@@ -0,0 +1,91 @@
+const { hasFlag, getArgValue } = require("./lib/args");
+const { openDb } = require("./lib/db");
+const {
+  TRENDS,
+  DEFAULT_TREND_RULES,
+  rollUpUsage,
+  computeUsageTrends,
+} = require("./lib/usage-trends");
+
+// Roll the logs up into the `dailyUsage` and `weeklyUsage` tables, then
+// flag each outfit image's trend in `usageTrends`. Run this after
+// `yarn build-db`, then see `yarn report-usage-trends` for the details.
+//
+// Options:
+//   - `--as-of=YYYY-MM-DD`: The last day to count (default: the latest day
+//     in the logs).
+//   - `--window-days=N`: Compare the last N days to the N days before that
+//     (default: 90).
+//   - `--stopped-after=YYYY-MM-DD`: Images with no requests after this date
+//     are "stopped" (default: the start of the last N days).
+//   - `--change-ratio=N`: How much traffic has to change to count as rising
+//     or decaying (default: 2, meaning double or half).
+//   - `--humans-only`: Only count requests from browsers.
+async function main() {
+  const rules = readRulesFromArgs();
+
+  const db = await openDb();
+
+  console.info(`Rolling up daily and weekly usage`);
+  await rollUpUsage(db);
+
+  console.info(`Computing trends`);
+  const { rules: finalRules, counts } = await computeUsageTrends(db, rules);
+  await db.close();
+
+  console.info(`Rules:`, finalRules);
+  console.info(`Done!`);
+  console.info(`Summary:`);
+  for (const trend of TRENDS) {
+    console.info(`- ${counts[trend]} ${trend}`);
+  }
+}
+
+function readRulesFromArgs() {
+  const rules = {
+    asOf: getArgValue("as-of", DEFAULT_TREND_RULES.asOf),
+    windowDays: Number(
+      getArgValue("window-days", DEFAULT_TREND_RULES.windowDays)
+    ),
+    stoppedAfter: getArgValue(
+      "stopped-after",
+      DEFAULT_TREND_RULES.stoppedAfter
+    ),
+    changeRatio: Number(
+      getArgValue("change-ratio", DEFAULT_TREND_RULES.changeRatio)
+    ),
+    humansOnly: hasFlag("humans-only"),
+  };
+
+  for (const name of ["asOf", "stoppedAfter"]) {
+    if (
+      rules[name] != null &&
+      !rules[name].match(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/)
+    ) {
+      throw new Error(
+        `Dates must be like YYYY-MM-DD, but ${name} was: ${rules[name]}`
+      );
+    }
+  }
+  if (!Number.isInteger(rules.windowDays) || rules.windowDays < 1) {
+    throw new Error(
+      `--window-days must be a positive integer, but was: ` +
+        getArgValue("window-days")
+    );
+  }
+  if (!(rules.changeRatio > 1)) {
+    throw new Error(
+      `--change-ratio must be a number greater than 1, but was: ` +
+        getArgValue("change-ratio")
+    );
+  }
+
+  return rules;
+}
+
+main()
+  .then((responseCode = 0) => process.exit(responseCode))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+
+const { hasFlag, getArgValue, getPositionalArgs } = require("./lib/args");
+const { runBulkOperation, logBulkSummary } = require("./lib/bulk-runner");
+const { loadCheckpoint, watchForInterrupt } = require("./lib/checkpoint");
+const { openDb } = require("./lib/db");
+const { createLedger } = require("./lib/ledger");
+const { createProgressReporterFromArgs } = require("./lib/progress");
+const { createStorageFromArgs } = require("./lib/storage");
+
+const OPERATIONS_DIR = path.join(__dirname, "operations");
+
+// Run an operation from `operations/` on every matching key in the bucket,
+// with the same paging, concurrency, retries, checkpoints, and ledger as
+// backup-all. For example:
+//
+//     yarn run-operation set-storage-class --storage-class=STANDARD_IA
+//
+// Each operation is a module in `operations/` that exports:
+//   - `description`: What it does, for `--list`.
+//   - `filterKey(key)`: Whether to run on this key.
+//   - `run(storage, key, {ledger, dryRun})`: Do the thing to one key, and
+//     return a result like `{key, didMakeChanges}`. It should be safe to
+//     run twice on the same key, and skip writes in dry-run mode.
+//   - `validate()` (optional): Throw if the CLI args are wrong, before we
+//     start walking the bucket.
+//
+// Options:
+//   - `--list`: List the operations, and exit.
+//   - A key after the operation name: Start after this key.
+//   - `--dry-run`, `--retry-failures`, `--restart`, `--state=path`,
+//     `--run-id=...`: Like backup-all.
+//   - `--prefix=...`: Which keys to walk (default: `outfits/`).
+//   - `--concurrency=N`: How many keys to work on at a time (default: 30).
+//   - `--events=path`, `--progress-interval=N`, `--metrics-port=N`,
+//     `--last-outfit-id=N`: Progress reporting, see `lib/progress.js`.
+async function main() {
+  if (hasFlag("list")) {
+    for (const name of listOperationNames()) {
+      console.info(`- ${name}: ${loadOperation(name).description}`);
+    }
+    return 0;
+  }
+
+  const [operationName, startAfterArg] = getPositionalArgs();
+  if (!operationName) {
+    throw new Error(
+      `run-operation must receive an operation name on the CLI. Try --list!`
+    );
+  }
+  const operation = loadOperation(operationName);
+  if (operation.validate) {
+    operation.validate();
+  }
+
+  const numWorkers = Number(getArgValue("concurrency", 30));
+  if (!Number.isInteger(numWorkers) || numWorkers < 1) {
+    throw new Error(
+      `--concurrency must be a positive integer, but was: ` +
+        getArgValue("concurrency")
+    );
+  }
+
+  const dryRun = hasFlag("dry-run");
+  const storage = createStorageFromArgs();
+
+  // We keep dry runs' progress separate, so they don't make a real run skip
+  // keys it never actually touched!
+  const checkpoint = await loadCheckpoint(
+    getArgValue(
+      "state",
+      dryRun
+        ? `${operationName}.dry-run.state.json`
+        : `${operationName}.state.json`
+    )
+  );
+  const isStopping = watchForInterrupt();
+
+  // Record our changes in the ledger. (Dry runs don't change anything!)
+  const db = dryRun ? null : await openDb();
+  const ledger = db
+    ? createLedger(db, {
+        command: operationName,
+        runId: getArgValue("run-id"),
+      })
+    : null;
+  if (ledger) {
+    console.info(`Recording changes in the ledger, run ID: ${ledger.runId}`);
+  }
+
+  // Start after the key given on the CLI, if any. Otherwise, resume from
+  // the checkpoint, unless we've been asked to restart from the beginning.
+  const startAfter =
+    startAfterArg || (hasFlag("restart") ? null : checkpoint.lastCompletedKey);
+
+  const progress = await createProgressReporterFromArgs(operationName, {
+    startAfter,
+    dryRun,
+  });
+  await progress.start();
+
+  const summary = await runBulkOperation(storage, {
+    filterKey: operation.filterKey,
+    runKey: (key) => operation.run(storage, key, { ledger, dryRun }),
+    checkpoint,
+    isStopping,
+    startAfter,
+    retryFailures: hasFlag("retry-failures"),
+    prefix: getArgValue("prefix", "outfits/"),
+    numWorkers,
+    progress,
+  });
+  await progress.stop();
+
+  if (ledger) {
+    await ledger.close();
+    await db.close();
+  }
+
+  logBulkSummary(summary, {
+    checkpoint,
+    isStopping,
+    dryRun,
+    keysLabel: `matching keys (${operationName}!)`,
+    extraLines: [
+      `- ${summary.numKeys - summary.numMatchingKeys} other keys (skipped!)`,
+    ],
+  });
+
+  if (summary.didGiveUp) {
+    return 1;
+  }
+  return isStopping() ? 130 : 0;
+}
+
+function listOperationNames() {
+  return fs
+    .readdirSync(OPERATIONS_DIR)
+    .filter((filename) => filename.endsWith(".js"))
+    .map((filename) => filename.replace(/\.js$/, ""))
+    .sort();
+}
+
+function loadOperation(name) {
+  if (!listOperationNames().includes(name)) {
+    throw new Error(
+      `Unknown operation ${JSON.stringify(name)}. Expected one of: ` +
+        listOperationNames().join(", ")
+    );
+  }
+  return require(path.join(OPERATIONS_DIR, name));
+}
+
+main()
+  .then((responseCode = 0) => process.exit(responseCode))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,34 @@
+// The real canvas package needs native libraries, so tests use this stand-in
+// instead. "Rendering" produces a buffer of a size the test controls, and
+// layer URLs containing "broken" fail to load.
+let renderedSize = 1000;
+
+const createCanvas = jest.fn((width, height) => {
+  const drawnImages = [];
+  return {
+    width,
+    height,
+    drawnImages,
+    getContext: () => ({
+      drawImage: (image) => drawnImages.push(image),
+      fillRect: () => {},
+      fillText: () => {},
+    }),
+    toBuffer: () => Buffer.alloc(renderedSize),
+  };
+});
+
+const loadImage = jest.fn(async (src) => {
+  if (String(src).includes("broken")) {
+    throw new Error(`Simulated error loading ${src}`);
+  }
+  return { src };
+});
+
+module.exports = {
+  createCanvas,
+  loadImage,
+  __setRenderedSize: (size) => {
+    renderedSize = size;
+  },
+};
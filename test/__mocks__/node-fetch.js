@@ -0,0 +1,40 @@
+const fs = require("fs");
+const path = require("path");
+
+// Tests never hit the network. GraphQL requests for a batch of outfits get
+// the recorded outfit in `test/fixtures/outfit-<id>.json` for each one, or
+// null if there isn't one (like the real API does for outfits that don't
+// exist). Other requests are for layer images: their "image data" is just
+// a PNG signature and the URL, and URLs containing "broken" are 404s.
+const fetch = jest.fn(async (url, { body } = {}) => {
+  if (body == null) {
+    const isBroken = url.includes("broken");
+    return {
+      ok: !isBroken,
+      status: isBroken ? 404 : 200,
+      buffer: async () =>
+        Buffer.concat([
+          Buffer.from("89504e470d0a1a0a", "hex"),
+          Buffer.from(url),
+        ]),
+    };
+  }
+
+  const { variables } = JSON.parse(body);
+  const data = {};
+  for (const [name, outfitId] of Object.entries(variables)) {
+    const alias = name.replace(/^outfitId/, "outfit");
+    const fixturePath = path.join(
+      __dirname,
+      "..",
+      "fixtures",
+      `outfit-${outfitId}.json`
+    );
+    data[alias] = fs.existsSync(fixturePath)
+      ? JSON.parse(fs.readFileSync(fixturePath, "utf8")).data.outfit
+      : null;
+  }
+  return { json: async () => ({ data }) };
+});
+
+module.exports = fetch;
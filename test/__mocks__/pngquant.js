@@ -0,0 +1,37 @@
+const stream = require("stream");
+
+// The real pngquant runs a binary, so tests use this stand-in instead. It
+// swallows its input, and outputs a buffer of a size the test controls. The
+// size can also be a function of the pngquant args, and if it's null, the
+// stand-in fails, like pngquant does when it can't reach the minimum quality.
+let compressedSize = 400;
+
+class PngQuant extends stream.Transform {
+  constructor(args) {
+    super();
+    this.args = args;
+  }
+
+  _transform(chunk, encoding, callback) {
+    callback();
+  }
+
+  _flush(callback) {
+    const size =
+      typeof compressedSize === "function"
+        ? compressedSize(this.args)
+        : compressedSize;
+    if (size == null) {
+      callback(new Error("Simulated pngquant quality failure"));
+      return;
+    }
+    this.push(Buffer.alloc(size));
+    callback();
+  }
+}
+
+PngQuant.__setCompressedSize = (size) => {
+  compressedSize = size;
+};
+
+module.exports = PngQuant;
@@ -0,0 +1,64 @@
+const { createAdaptiveLimiter } = require("../lib/adaptive-limiter");
+
+describe("createAdaptiveLimiter", () => {
+  let time;
+  let onChange;
+
+  beforeEach(() => {
+    time = 0;
+    onChange = jest.fn();
+  });
+
+  function createLimiter(options = {}) {
+    return createAdaptiveLimiter({
+      max: 16,
+      now: () => time,
+      onChange,
+      ...options,
+    });
+  }
+
+  it("starts at the max", () => {
+    expect(createLimiter().limit).toBe(16);
+  });
+
+  it("halves the limit when throttled, once per cooldown", () => {
+    const limiter = createLimiter({ min: 3 });
+
+    limiter.recordThrottle();
+    limiter.recordThrottle();
+    expect(limiter.limit).toBe(8);
+
+    time += 1000;
+    limiter.recordThrottle();
+    expect(limiter.limit).toBe(4);
+
+    time += 1000;
+    limiter.recordThrottle();
+    expect(limiter.limit).toBe(3);
+    expect(onChange.mock.calls).toEqual([
+      [8, "throttled"],
+      [4, "throttled"],
+      [3, "throttled"],
+    ]);
+  });
+
+  it("raises the limit by one after a limit's worth of successes", () => {
+    const limiter = createLimiter();
+    limiter.recordThrottle();
+    expect(limiter.limit).toBe(8);
+
+    for (let i = 0; i < 7; i++) {
+      limiter.recordSuccess();
+    }
+    expect(limiter.limit).toBe(8);
+    limiter.recordSuccess();
+    expect(limiter.limit).toBe(9);
+
+    for (let i = 0; i < 1000; i++) {
+      limiter.recordSuccess();
+    }
+    expect(limiter.limit).toBe(16);
+    expect(onChange).toHaveBeenLastCalledWith(16, "recovered");
+  });
+});
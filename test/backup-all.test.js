@@ -0,0 +1,233 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { createMemoryStorage } = require("./helpers/memory-storage");
+
+// We test backup-all's bookkeeping here, not the backups themselves (that's
+// `backup-image.test.js`), so we swap in a fake `backupImage`.
+jest.mock("../backup-image", () => ({
+  ...jest.requireActual("../backup-image"),
+  backupImage: jest.fn(),
+}));
+const { backupImage } = require("../backup-image");
+const { backupAll } = require("../backup-all");
+const { loadCheckpoint } = require("../lib/checkpoint");
+
+const FAST_RETRIES = { retries: 1, minTimeout: 0, maxTimeout: 0 };
+
+function imageKey(outfitId, filename = "preview.png") {
+  const pid = String(outfitId).padStart(9, "0");
+  return `outfits/${pid.substr(0, 3)}/${pid.substr(3, 3)}/${pid.substr(
+    6,
+    3
+  )}/${filename}`;
+}
+
+// 1,500 image keys, 500 backup keys, and 1 other key: enough for 3 pages.
+function createBucket() {
+  const objects = {};
+  for (let outfitId = 1; outfitId <= 500; outfitId++) {
+    objects[imageKey(outfitId, "preview.png")] = {};
+    objects[imageKey(outfitId, "preview.png.bkup")] = {};
+    objects[imageKey(outfitId, "medium_preview.png")] = {};
+    objects[imageKey(outfitId, "small_preview.png")] = {};
+  }
+  objects["outfits/README.txt"] = {};
+  return createMemoryStorage(objects);
+}
+
+let checkpointPath;
+let checkpoint;
+
+beforeEach(async () => {
+  jest.spyOn(console, "info").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "backup-all-test-"));
+  checkpointPath = path.join(dir, "state.json");
+  checkpoint = await loadCheckpoint(checkpointPath);
+
+  backupImage.mockReset();
+  backupImage.mockImplementation(async (storage, key) => ({
+    key,
+    didMakeChanges: true,
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("backupAll", () => {
+  it("pages through every key, and backs up the image keys", async () => {
+    const storage = createBucket();
+
+    const summary = await backupAll(storage, {
+      checkpoint,
+      keyRetryOptions: FAST_RETRIES,
+    });
+
+    expect(summary).toMatchObject({
+      numKeys: 2001,
+      numImageKeys: 1500,
+      numImageBackupKeys: 500,
+      numImageKeyNoOps: 0,
+      backupFailures: [],
+      didGiveUp: false,
+    });
+    expect(backupImage).toHaveBeenCalledTimes(1500);
+
+    const savedCheckpoint = await loadCheckpoint(checkpointPath);
+    expect(savedCheckpoint.lastCompletedKey).toBe("outfits/README.txt");
+  });
+
+  it("counts no-ops and failures, and saves failures to the checkpoint", async () => {
+    const storage = createBucket();
+    const failingKey = imageKey(2, "medium_preview.png");
+    backupImage.mockImplementation(async (storage, key) => {
+      if (key === failingKey) {
+        throw new Error("Simulated failure");
+      }
+      return { key, didMakeChanges: !key.endsWith("small_preview.png") };
+    });
+
+    const summary = await backupAll(storage, {
+      checkpoint,
+      keyRetryOptions: FAST_RETRIES,
+    });
+
+    expect(summary.numImageKeyNoOps).toBe(500);
+    expect(summary.backupFailures).toEqual([
+      { key: failingKey, error: expect.any(Error), errorClass: "transient" },
+    ]);
+    // It tried once, then retried once, then gave up.
+    expect(
+      backupImage.mock.calls.filter(([, key]) => key === failingKey)
+    ).toHaveLength(2);
+
+    const savedCheckpoint = await loadCheckpoint(checkpointPath);
+    expect(savedCheckpoint.failedKeys).toEqual([failingKey]);
+    expect(savedCheckpoint.getFailure(failingKey).message).toBe(
+      "Simulated failure"
+    );
+  });
+
+  it("retries only the failed keys with retryFailures", async () => {
+    const storage = createBucket();
+    const failingKey = imageKey(2, "medium_preview.png");
+    checkpoint.recordFailure(failingKey, new Error("Simulated failure"));
+
+    const summary = await backupAll(storage, {
+      checkpoint,
+      retryFailures: true,
+      keyRetryOptions: FAST_RETRIES,
+    });
+
+    expect(backupImage).toHaveBeenCalledTimes(1);
+    expect(backupImage).toHaveBeenCalledWith(
+      storage,
+      failingKey,
+      expect.any(Function),
+      expect.anything()
+    );
+    expect(summary.backupFailures).toEqual([]);
+
+    const savedCheckpoint = await loadCheckpoint(checkpointPath);
+    expect(savedCheckpoint.failedKeys).toEqual([]);
+  });
+
+  it("starts after the given key", async () => {
+    const storage = createBucket();
+
+    const summary = await backupAll(storage, {
+      checkpoint,
+      startAfter: imageKey(400, "small_preview.png"),
+      keyRetryOptions: FAST_RETRIES,
+    });
+
+    expect(summary.numImageKeys).toBe(300);
+    expect(backupImage).not.toHaveBeenCalledWith(
+      storage,
+      imageKey(400, "preview.png"),
+      expect.any(Function),
+      expect.anything()
+    );
+  });
+
+  it("stops early without skipping unfinished keys next time", async () => {
+    const storage = createBucket();
+    let numCalls = 0;
+    const isStopping = () => numCalls >= 10;
+    backupImage.mockImplementation(async (storage, key) => {
+      numCalls++;
+      return { key, didMakeChanges: true };
+    });
+
+    await backupAll(storage, {
+      checkpoint,
+      isStopping,
+      keyRetryOptions: FAST_RETRIES,
+    });
+
+    expect(backupImage.mock.calls.length).toBeLessThan(1500);
+
+    // We stopped partway through the first page, so the checkpoint stays at
+    // the start.
+    const savedCheckpoint = await loadCheckpoint(checkpointPath);
+    expect(savedCheckpoint.lastCompletedKey).toBe(null);
+  });
+
+  it("compresses every image by default", async () => {
+    const storage = createMemoryStorage({ [imageKey(1)]: {} });
+
+    await backupAll(storage, { checkpoint, keyRetryOptions: FAST_RETRIES });
+
+    expect(backupImage).toHaveBeenCalledWith(
+      storage,
+      imageKey(1),
+      expect.any(Function),
+      expect.objectContaining({ mode: "compress" })
+    );
+  });
+
+  it("follows the planned dispositions, if given", async () => {
+    const storage = createMemoryStorage({
+      [imageKey(1)]: {},
+      [imageKey(2)]: {},
+      [imageKey(2, "small_preview.png")]: {},
+      [imageKey(3)]: {},
+    });
+    const dispositions = new Map([
+      ["1/600", "compress"],
+      ["2/600", "leave-alone"],
+      ["2/150", "placeholder"],
+    ]);
+    const onResult = jest.fn();
+
+    const summary = await backupAll(storage, {
+      checkpoint,
+      keyRetryOptions: FAST_RETRIES,
+      dispositions,
+      onResult,
+    });
+
+    const modes = Object.fromEntries(
+      backupImage.mock.calls.map(([, key, , { mode }]) => [key, mode])
+    );
+    expect(modes).toEqual({
+      [imageKey(1)]: "compress",
+      [imageKey(2, "small_preview.png")]: "placeholder",
+      // Outfit 3 isn't in the plan at all, so it's a placeholder too.
+      [imageKey(3)]: "placeholder",
+    });
+    expect(summary.numImageKeyNoOps).toBe(1);
+    expect(onResult).toHaveBeenCalledWith(
+      expect.objectContaining({
+        key: imageKey(2),
+        backup: "skipped-leave-alone",
+        didMakeChanges: false,
+      })
+    );
+  });
+});
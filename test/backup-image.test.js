@@ -0,0 +1,709 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { openDb } = require("../lib/db");
+const { createLedger, queryLedger } = require("../lib/ledger");
+const { createMemoryStorage } = require("./helpers/memory-storage");
+
+// Our stand-in canvas doesn't draw real PNGs, so we stand in for the pixel
+// diff, too. By default, the re-render matches the original; tests can
+// change that with `imageDiff.compareImages.mockReturnValue`.
+jest.mock("../lib/image-diff", () => ({
+  compareImages: jest.fn(() => ({
+    mismatchRatio: 0,
+    diffImage: Buffer.from("diff image data"),
+    reason: null,
+  })),
+}));
+
+const KEY = "outfits/000/894/911/preview.png";
+const BACKUP_KEY = KEY + ".bkup";
+const ORIGINAL_BODY = Buffer.from("original image data");
+
+// backup-image.js reads flags like `--force` from the CLI when it loads, so
+// we load a fresh copy of it (and its mocks) for each set of CLI args.
+//
+// Unless a test asks for the layer cache, we turn it off, so layers go
+// straight to our stand-in canvas's `loadImage`. And we render on the main
+// thread, because our stand-ins don't exist in worker threads!
+function loadBackupImage(args = []) {
+  const originalArgv = process.argv;
+  const layerCacheArgs = args.some((arg) => arg.startsWith("--layer-cache"))
+    ? []
+    : ["--no-layer-cache"];
+  // Test args come first, so they win over these defaults.
+  process.argv = [
+    "node",
+    "backup-image.js",
+    ...args,
+    "--threads=0",
+    ...layerCacheArgs,
+  ];
+  try {
+    let modules;
+    jest.isolateModules(() => {
+      modules = {
+        ...require("../backup-image"),
+        canvas: require("canvas"),
+        PngQuant: require("pngquant"),
+        imageDiff: require("../lib/image-diff"),
+        fetch: require("node-fetch"),
+      };
+    });
+    return modules;
+  } finally {
+    process.argv = originalArgv;
+  }
+}
+
+function createStorageWithOriginal(tagging = {}, otherObjects = {}) {
+  return createMemoryStorage({
+    [KEY]: { body: ORIGINAL_BODY, tagging },
+    ...otherObjects,
+  });
+}
+
+beforeEach(() => {
+  jest.spyOn(console, "info").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("backupImage", () => {
+  it("backs up and compresses an untagged image", async () => {
+    const { backupImage, loadOutfitData, canvas } = loadBackupImage();
+    const storage = createStorageWithOriginal();
+
+    const result = await backupImage(storage, KEY, () =>
+      loadOutfitData("894911")
+    );
+
+    expect(result).toMatchObject({
+      backup: "saved",
+      replacement: "compressed",
+      originalSize: 1000,
+      newSize: 400,
+      didMakeChanges: true,
+    });
+
+    const backup = storage.objects.get(BACKUP_KEY);
+    expect(backup.body).toEqual(ORIGINAL_BODY);
+    expect(backup.tagging).toEqual({ "DTI-Outfit-Image-Kind": "backup" });
+    expect(backup.storageClass).toBe("GLACIER");
+
+    const original = storage.objects.get(KEY);
+    expect(original.body.length).toBe(400);
+    expect(original.tagging).toEqual({
+      "DTI-Outfit-Image-Kind": "compressed",
+      "DTI-Outfit-Image-Source": "rerender",
+      "DTI-Outfit-Image-Compression": "pngquant:40-80",
+    });
+    expect(original.storageClass).toBe("STANDARD_IA");
+
+    // The layers should be drawn from back to front, at the 600px size.
+    const renderedCanvas = canvas.createCanvas.mock.results[0].value;
+    expect(renderedCanvas.width).toBe(600);
+    expect(renderedCanvas.drawnImages.map((image) => image.src)).toEqual([
+      expect.stringContaining("/16064/600x600.png"),
+      expect.stringContaining("/7941/600x600.png"),
+      expect.stringContaining("/5995/600x600.png"),
+    ]);
+  });
+
+  it("is a no-op for an image that's already backed up and compressed", async () => {
+    const { backupImage, loadOutfitData } = loadBackupImage();
+    const storage = createStorageWithOriginal(
+      { "DTI-Outfit-Image-Kind": "compressed" },
+      { [BACKUP_KEY]: { tagging: { "DTI-Outfit-Image-Kind": "backup" } } }
+    );
+
+    const result = await backupImage(storage, KEY, () =>
+      loadOutfitData("894911")
+    );
+
+    expect(result).toMatchObject({
+      backup: "already-exists",
+      replacement: "skipped-already-compressed",
+      didMakeChanges: false,
+    });
+    expect(storage.writes).toEqual([]);
+  });
+
+  it("skips images that previously failed to compress", async () => {
+    const { backupImage, loadOutfitData } = loadBackupImage();
+    const storage = createStorageWithOriginal(
+      { "DTI-Outfit-Image-Kind": "compression-failed" },
+      { [BACKUP_KEY]: { tagging: { "DTI-Outfit-Image-Kind": "backup" } } }
+    );
+
+    const result = await backupImage(storage, KEY, () =>
+      loadOutfitData("894911")
+    );
+
+    expect(result.replacement).toBe("skipped-compression-failed");
+    expect(storage.writes).toEqual([]);
+  });
+
+  it("retries images that failed to compress with --retry-compression-failed", async () => {
+    const { backupImage, loadOutfitData } = loadBackupImage([
+      "--retry-compression-failed",
+    ]);
+    const storage = createStorageWithOriginal(
+      { "DTI-Outfit-Image-Kind": "compression-failed" },
+      { [BACKUP_KEY]: { tagging: { "DTI-Outfit-Image-Kind": "backup" } } }
+    );
+
+    const result = await backupImage(storage, KEY, () =>
+      loadOutfitData("894911")
+    );
+
+    expect(result).toMatchObject({
+      backup: "already-exists",
+      replacement: "compressed",
+      strategy: "pngquant:40-80",
+    });
+  });
+
+  it("skips images and backups with unexpected kinds", async () => {
+    const { backupImage, loadOutfitData } = loadBackupImage();
+    const storage = createStorageWithOriginal(
+      { "DTI-Outfit-Image-Kind": "mystery" },
+      { [BACKUP_KEY]: { tagging: { "DTI-Outfit-Image-Kind": "mystery" } } }
+    );
+
+    const result = await backupImage(storage, KEY, () =>
+      loadOutfitData("894911")
+    );
+
+    expect(result).toMatchObject({
+      backup: "skipped-unexpected-tag",
+      replacement: "skipped-unexpected-tag",
+      didMakeChanges: false,
+    });
+    expect(storage.writes).toEqual([]);
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining("unexpected DTI-Outfit-Image-Kind: mystery")
+    );
+  });
+
+  it("marks the image as compression-failed if compressing makes it bigger", async () => {
+    const { backupImage, loadOutfitData, PngQuant } = loadBackupImage();
+    PngQuant.__setCompressedSize(1500);
+    const storage = createStorageWithOriginal();
+
+    const result = await backupImage(storage, KEY, () =>
+      loadOutfitData("894911")
+    );
+
+    expect(result).toMatchObject({
+      backup: "saved",
+      replacement: "compression-failed",
+      didMakeChanges: true,
+    });
+
+    // The original's data stays the same, but it's tagged and moved.
+    const original = storage.objects.get(KEY);
+    expect(original.body).toEqual(ORIGINAL_BODY);
+    expect(original.tagging).toEqual({
+      "DTI-Outfit-Image-Kind": "compression-failed",
+      "DTI-Outfit-Image-Source": "rerender",
+    });
+    expect(original.storageClass).toBe("STANDARD_IA");
+  });
+
+  it("rejects a --threads that isn't a whole number", () => {
+    expect(() => loadBackupImage(["--threads=abc"])).toThrow(
+      "--threads must be a non-negative integer, but was: abc"
+    );
+    expect(() => loadBackupImage(["--threads=-1"])).toThrow(
+      "--threads must be a non-negative integer"
+    );
+  });
+
+  describe("when the re-render doesn't match the original", () => {
+    let diffDir;
+    beforeEach(async () => {
+      diffDir = await fs.mkdtemp(path.join(os.tmpdir(), "render-mismatches-"));
+    });
+
+    it("tags the original and saves the diff, instead of replacing it", async () => {
+      const { backupImage, loadOutfitData, imageDiff } = loadBackupImage([
+        `--diff-dir=${diffDir}`,
+      ]);
+      imageDiff.compareImages.mockReturnValue({
+        mismatchRatio: 0.25,
+        diffImage: Buffer.from("diff image data"),
+        reason: null,
+      });
+      const storage = createStorageWithOriginal();
+      const recordChange = Object.assign(jest.fn(), {
+        beforeWrite: jest.fn(async () => {}),
+      });
+      const ledger = { beginChange: jest.fn(() => recordChange) };
+
+      const result = await backupImage(
+        storage,
+        KEY,
+        () => loadOutfitData("894911"),
+        { ledger }
+      );
+
+      expect(result).toMatchObject({
+        backup: "saved",
+        replacement: "render-mismatch",
+        mismatchRatio: 0.25,
+        didMakeChanges: true,
+      });
+      expect(imageDiff.compareImages).toHaveBeenCalledWith(
+        ORIGINAL_BODY,
+        Buffer.alloc(1000)
+      );
+
+      // The original's data stays the same, but it's tagged and moved.
+      const original = storage.objects.get(KEY);
+      expect(original.body).toEqual(ORIGINAL_BODY);
+      expect(original.tagging).toEqual({
+        "DTI-Outfit-Image-Kind": "render-mismatch",
+      });
+      expect(original.storageClass).toBe("STANDARD_IA");
+      expect(recordChange).toHaveBeenLastCalledWith("render-mismatch", {
+        newTag: "render-mismatch",
+        newStorageClass: "STANDARD_IA",
+      });
+
+      const basePath = path.join(diffDir, "outfits/000/894/911/preview");
+      expect(await fs.readFile(basePath + ".diff.png")).toEqual(
+        Buffer.from("diff image data")
+      );
+      expect(await fs.readFile(basePath + ".rendered.png")).toEqual(
+        Buffer.alloc(1000)
+      );
+    });
+
+    it("accepts small differences, up to --max-mismatch", async () => {
+      const { backupImage, loadOutfitData, imageDiff } = loadBackupImage([
+        `--diff-dir=${diffDir}`,
+        "--max-mismatch=0.3",
+      ]);
+      imageDiff.compareImages.mockReturnValue({
+        mismatchRatio: 0.25,
+        diffImage: Buffer.from("diff image data"),
+        reason: null,
+      });
+      const storage = createStorageWithOriginal();
+
+      const result = await backupImage(storage, KEY, () =>
+        loadOutfitData("894911")
+      );
+
+      expect(result.replacement).toBe("compressed");
+      expect(await fs.readdir(diffDir)).toEqual([]);
+    });
+
+    it("rejects a --max-mismatch that isn't a ratio", () => {
+      expect(() => loadBackupImage(["--max-mismatch=5%"])).toThrow(
+        "--max-mismatch must be a number from 0 to 1, but was: 5%"
+      );
+      expect(() => loadBackupImage(["--max-mismatch=5"])).toThrow(
+        "--max-mismatch must be a number from 0 to 1"
+      );
+    });
+
+    it("replaces it anyway with --skip-verify", async () => {
+      const { backupImage, loadOutfitData, imageDiff } = loadBackupImage([
+        "--skip-verify",
+      ]);
+      const storage = createStorageWithOriginal();
+
+      const result = await backupImage(storage, KEY, () =>
+        loadOutfitData("894911")
+      );
+
+      expect(result.replacement).toBe("compressed");
+      expect(imageDiff.compareImages).not.toHaveBeenCalled();
+    });
+
+    it("skips images that previously didn't match", async () => {
+      const { backupImage, loadOutfitData, imageDiff } = loadBackupImage();
+      const storage = createStorageWithOriginal(
+        { "DTI-Outfit-Image-Kind": "render-mismatch" },
+        { [BACKUP_KEY]: { tagging: { "DTI-Outfit-Image-Kind": "backup" } } }
+      );
+
+      const result = await backupImage(storage, KEY, () =>
+        loadOutfitData("894911")
+      );
+
+      expect(result.replacement).toBe("skipped-render-mismatch");
+      expect(imageDiff.compareImages).not.toHaveBeenCalled();
+      expect(storage.writes).toEqual([]);
+    });
+  });
+
+  it("re-processes already-compressed images with --force", async () => {
+    const { backupImage, loadOutfitData } = loadBackupImage(["--force"]);
+    const storage = createStorageWithOriginal(
+      { "DTI-Outfit-Image-Kind": "compressed" },
+      { [BACKUP_KEY]: { tagging: { "DTI-Outfit-Image-Kind": "backup" } } }
+    );
+
+    const result = await backupImage(storage, KEY, () =>
+      loadOutfitData("894911")
+    );
+
+    expect(result).toMatchObject({
+      backup: "saved",
+      replacement: "compressed",
+      didMakeChanges: true,
+    });
+    expect(storage.writes.map((w) => w.method)).toEqual([
+      "copyObject",
+      "putObject",
+    ]);
+  });
+
+  it("fails if the image doesn't exist", async () => {
+    const { backupImage, loadOutfitData } = loadBackupImage();
+    const storage = createMemoryStorage();
+
+    await expect(
+      backupImage(storage, KEY, () => loadOutfitData("894911"))
+    ).rejects.toThrow("Image not found");
+    expect(storage.writes).toEqual([]);
+  });
+
+  describe("when the outfit can't be re-rendered", () => {
+    it("compresses the stored original if the outfit isn't found", async () => {
+      const { backupImage, loadOutfitData, PngQuant, imageDiff } =
+        loadBackupImage();
+      PngQuant.__setCompressedSize(10);
+      const storage = createStorageWithOriginal();
+
+      const result = await backupImage(storage, KEY, () => loadOutfitData("1"));
+
+      expect(result).toMatchObject({
+        backup: "saved",
+        replacement: "compressed",
+        source: "original",
+        originalSize: ORIGINAL_BODY.length,
+        newSize: 10,
+      });
+      expect(storage.objects.get(KEY).body.length).toBe(10);
+      expect(storage.objects.get(KEY).tagging).toEqual({
+        "DTI-Outfit-Image-Kind": "compressed",
+        "DTI-Outfit-Image-Source": "original",
+        "DTI-Outfit-Image-Compression": "pngquant:40-80",
+      });
+      expect(storage.objects.get(BACKUP_KEY).body).toEqual(ORIGINAL_BODY);
+
+      // There's no re-render to check against the original.
+      expect(imageDiff.compareImages).not.toHaveBeenCalled();
+    });
+
+    it("compresses the stored original if a layer fails to load", async () => {
+      const { backupImage, canvas, PngQuant } = loadBackupImage();
+      PngQuant.__setCompressedSize(10);
+      const storage = createStorageWithOriginal();
+
+      const outfitData = require("./fixtures/outfit-894911.json");
+      const brokenOutfitData = JSON.parse(JSON.stringify(outfitData));
+      brokenOutfitData.data.outfit.petAppearance.layers[0].imageUrl600 =
+        "https://example.com/broken.png";
+
+      const result = await backupImage(
+        storage,
+        KEY,
+        async () => brokenOutfitData
+      );
+
+      expect(canvas.loadImage).toHaveBeenCalledWith(
+        "https://example.com/broken.png"
+      );
+      expect(result).toMatchObject({
+        replacement: "compressed",
+        source: "original",
+      });
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining("partial-failure")
+      );
+    });
+
+    it("still tags the source if compressing the original fails", async () => {
+      const { backupImage, loadOutfitData } = loadBackupImage();
+      const storage = createStorageWithOriginal();
+
+      const result = await backupImage(storage, KEY, () => loadOutfitData("1"));
+
+      expect(result.replacement).toBe("compression-failed");
+      expect(storage.objects.get(KEY).body).toEqual(ORIGINAL_BODY);
+      expect(storage.objects.get(KEY).tagging).toEqual({
+        "DTI-Outfit-Image-Kind": "compression-failed",
+        "DTI-Outfit-Image-Source": "original",
+      });
+    });
+
+    it("leaves the original alone if the GraphQL query fails", async () => {
+      const { backupImage } = loadBackupImage();
+      const storage = createStorageWithOriginal();
+
+      await expect(
+        backupImage(storage, KEY, async () => ({
+          errors: [{ message: "Simulated server error" }],
+        }))
+      ).rejects.toThrow("Simulated server error");
+      expect(storage.objects.get(KEY).body).toEqual(ORIGINAL_BODY);
+      expect(storage.objects.get(KEY).tagging).toEqual({});
+    });
+  });
+
+  describe("in placeholder mode", () => {
+    it("replaces the image with a placeholder, after backing it up", async () => {
+      const { backupImage } = loadBackupImage();
+      const storage = createStorageWithOriginal();
+      const getOutfitData = jest.fn();
+
+      const result = await backupImage(storage, KEY, getOutfitData, {
+        mode: "placeholder",
+      });
+
+      expect(result).toMatchObject({
+        backup: "saved",
+        replacement: "placeholder",
+        didMakeChanges: true,
+      });
+      expect(getOutfitData).not.toHaveBeenCalled();
+      expect(storage.objects.get(BACKUP_KEY).body).toEqual(ORIGINAL_BODY);
+      expect(storage.objects.get(KEY).tagging).toEqual({
+        "DTI-Outfit-Image-Kind": "placeholder",
+      });
+    });
+
+    it("replaces images that didn't match their re-render", async () => {
+      const { backupImage } = loadBackupImage();
+      const storage = createStorageWithOriginal(
+        { "DTI-Outfit-Image-Kind": "render-mismatch" },
+        { [BACKUP_KEY]: { tagging: { "DTI-Outfit-Image-Kind": "backup" } } }
+      );
+
+      const result = await backupImage(storage, KEY, jest.fn(), {
+        mode: "placeholder",
+      });
+
+      expect(result.replacement).toBe("placeholder");
+    });
+
+    it("refuses to replace the image if the backup is missing", async () => {
+      const { backupImage } = loadBackupImage();
+      const storage = createStorageWithOriginal(
+        {},
+        { [BACKUP_KEY]: { tagging: { "DTI-Outfit-Image-Kind": "mystery" } } }
+      );
+
+      await expect(
+        backupImage(storage, KEY, jest.fn(), { mode: "placeholder" })
+      ).rejects.toThrow("no backup found");
+      expect(storage.objects.get(KEY).body).toEqual(ORIGINAL_BODY);
+    });
+
+    it("never overwrites the backup when re-run with --force", async () => {
+      const { backupImage } = loadBackupImage(["--force"]);
+      const storage = createMemoryStorage({
+        [KEY]: {
+          body: Buffer.from("placeholder image data"),
+          tagging: { "DTI-Outfit-Image-Kind": "placeholder" },
+        },
+        [BACKUP_KEY]: {
+          body: ORIGINAL_BODY,
+          tagging: { "DTI-Outfit-Image-Kind": "backup" },
+        },
+      });
+
+      const result = await backupImage(storage, KEY, jest.fn(), {
+        mode: "placeholder",
+      });
+
+      expect(result.backup).toBe("skipped-original-is-placeholder");
+      expect(storage.objects.get(BACKUP_KEY).body).toEqual(ORIGINAL_BODY);
+      expect(storage.writes.map((w) => w.method)).not.toContain("copyObject");
+    });
+
+    it("keeps an existing backup with --force, even if the original isn't a placeholder yet", async () => {
+      const { backupImage } = loadBackupImage(["--force"]);
+      const storage = createStorageWithOriginal(
+        { "DTI-Outfit-Image-Kind": "compressed" },
+        {
+          [BACKUP_KEY]: {
+            body: Buffer.from("the real original"),
+            tagging: { "DTI-Outfit-Image-Kind": "backup" },
+          },
+        }
+      );
+
+      const result = await backupImage(storage, KEY, jest.fn(), {
+        mode: "placeholder",
+      });
+
+      expect(result).toMatchObject({
+        backup: "already-exists",
+        replacement: "placeholder",
+      });
+      expect(storage.objects.get(BACKUP_KEY).body).toEqual(
+        Buffer.from("the real original")
+      );
+    });
+  });
+
+  describe("with a ledger", () => {
+    let db;
+    let ledger;
+    beforeEach(async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ledger-test-"));
+      db = await openDb(path.join(dir, "db.sqlite3"));
+      ledger = createLedger(db, { command: "test", runId: "run-1" });
+    });
+    afterEach(async () => {
+      await db.close();
+    });
+
+    it("records its changes, with the backup under its own key", async () => {
+      const { backupImage, loadOutfitData } = loadBackupImage();
+      const storage = createStorageWithOriginal();
+
+      await backupImage(storage, KEY, () => loadOutfitData("894911"), {
+        ledger,
+      });
+      await ledger.close();
+
+      expect(await queryLedger(db)).toEqual([
+        expect.objectContaining({
+          key: BACKUP_KEY,
+          outfitId: 894911,
+          action: "backup",
+          previousTag: null,
+          previousStorageClass: null,
+          newTag: "backup",
+          newStorageClass: "GLACIER",
+        }),
+        expect.objectContaining({
+          key: KEY,
+          outfitId: 894911,
+          action: "compress",
+          previousTag: null,
+          previousStorageClass: "STANDARD",
+          newTag: "compressed",
+          newStorageClass: "STANDARD_IA",
+          originalSize: ORIGINAL_BODY.length,
+          newSize: 400,
+        }),
+      ]);
+    });
+
+    it("doesn't look up anything extra for keys it doesn't change", async () => {
+      const { backupImage, loadOutfitData } = loadBackupImage();
+      const storage = createStorageWithOriginal(
+        { "DTI-Outfit-Image-Kind": "compressed" },
+        { [BACKUP_KEY]: { tagging: { "DTI-Outfit-Image-Kind": "backup" } } }
+      );
+      jest.spyOn(storage, "getObjectInfo");
+
+      await backupImage(storage, KEY, () => loadOutfitData("894911"), {
+        ledger,
+      });
+      await ledger.close();
+
+      expect(storage.getObjectInfo).not.toHaveBeenCalled();
+      expect(await queryLedger(db)).toEqual([]);
+    });
+  });
+
+  describe("with --dry-run", () => {
+    it("reports what would happen, without writing anything", async () => {
+      const { backupImage, loadOutfitData } = loadBackupImage(["--dry-run"]);
+      const storage = createStorageWithOriginal();
+
+      const result = await backupImage(storage, KEY, () =>
+        loadOutfitData("894911")
+      );
+
+      expect(result).toMatchObject({
+        backup: "saved",
+        replacement: "compressed",
+        originalSize: 1000,
+        newSize: 400,
+      });
+      expect(storage.writes).toEqual([]);
+    });
+
+    it("doesn't record anything in the ledger", async () => {
+      const { backupImage, loadOutfitData } = loadBackupImage(["--dry-run"]);
+      const storage = createStorageWithOriginal();
+      const ledger = { beginChange: jest.fn() };
+
+      await backupImage(storage, KEY, () => loadOutfitData("894911"), {
+        ledger,
+      });
+
+      expect(ledger.beginChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("with the layer cache", () => {
+    let layerCacheDir;
+
+    beforeEach(async () => {
+      layerCacheDir = await fs.mkdtemp(
+        path.join(os.tmpdir(), "backup-image-layer-cache-")
+      );
+    });
+
+    const getLayerRequests = (fetch) =>
+      fetch.mock.calls.filter(([, options]) => !options);
+
+    it("downloads each layer once", async () => {
+      const { backupImage, loadOutfitData, canvas, fetch } = loadBackupImage([
+        `--layer-cache=${layerCacheDir}`,
+      ]);
+
+      await backupImage(createStorageWithOriginal(), KEY, () =>
+        loadOutfitData("894911")
+      );
+      const numLayers = getLayerRequests(fetch).length;
+      expect(numLayers).toBeGreaterThan(0);
+      expect(canvas.loadImage).toHaveBeenCalledWith(expect.any(Buffer));
+
+      await backupImage(createStorageWithOriginal(), KEY, () =>
+        loadOutfitData("894911")
+      );
+      expect(getLayerRequests(fetch).length).toBe(numLayers);
+    });
+
+    it("rejects a --layer-cache-size that isn't a number", () => {
+      expect(() =>
+        loadBackupImage([
+          `--layer-cache=${layerCacheDir}`,
+          "--layer-cache-size=2GB",
+        ])
+      ).toThrow(
+        "--layer-cache-size must be a positive number of MiB, but was: 2GB"
+      );
+    });
+
+    it("with --layer-cache-only, fails instead of downloading", async () => {
+      const { backupImage, loadOutfitData, fetch } = loadBackupImage([
+        `--layer-cache=${layerCacheDir}`,
+        "--layer-cache-only",
+      ]);
+      const storage = createStorageWithOriginal();
+
+      await expect(
+        backupImage(storage, KEY, () => loadOutfitData("894911"))
+      ).rejects.toMatchObject({ code: "LayerNotCached" });
+      expect(getLayerRequests(fetch)).toEqual([]);
+      expect(storage.objects.get(KEY).body).toEqual(ORIGINAL_BODY);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { runBulkOperation } = require("../lib/bulk-runner");
+const { loadCheckpoint } = require("../lib/checkpoint");
+const { createMemoryStorage } = require("./helpers/memory-storage");
+
+const FAST_RETRIES = { retries: 1, minTimeout: 0, maxTimeout: 0 };
+
+// 1,200 keys, so we get 2 pages: even keys are "a" keys, odd are "b" keys.
+function createBucket() {
+  const objects = {};
+  for (let i = 0; i < 1200; i++) {
+    const suffix = i % 2 === 0 ? "a" : "b";
+    objects[`outfits/${String(i).padStart(4, "0")}.${suffix}`] = {};
+  }
+  return createMemoryStorage(objects);
+}
+
+let checkpoint;
+
+beforeEach(async () => {
+  jest.spyOn(console, "info").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "bulk-runner-test-"));
+  checkpoint = await loadCheckpoint(path.join(dir, "state.json"));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("runBulkOperation", () => {
+  it("runs on matching keys, and counts successes, no-ops, and failures", async () => {
+    const storage = createBucket();
+    const runKey = jest.fn(async (key) => {
+      if (key === "outfits/0010.a") {
+        throw new Error("Simulated failure");
+      }
+      return { key, didMakeChanges: !key.startsWith("outfits/00") };
+    });
+    const onPage = jest.fn();
+    const progress = { recordResult: jest.fn(), recordFailure: jest.fn() };
+
+    const summary = await runBulkOperation(storage, {
+      filterKey: (key) => key.endsWith(".a"),
+      runKey,
+      checkpoint,
+      keyRetryOptions: FAST_RETRIES,
+      onPage,
+      progress,
+    });
+
+    expect(summary).toEqual({
+      numKeys: 1200,
+      numMatchingKeys: 600,
+      // outfits/0000.a to outfits/0098.a, except the one that failed.
+      numNoOps: 49,
+      numThrottles: 0,
+      failures: [
+        {
+          key: "outfits/0010.a",
+          error: expect.any(Error),
+          errorClass: "transient",
+        },
+      ],
+      didGiveUp: false,
+    });
+    expect(onPage).toHaveBeenCalledTimes(2);
+    expect(progress.recordResult).toHaveBeenCalledTimes(599);
+    expect(progress.recordFailure).toHaveBeenCalledWith(
+      "outfits/0010.a",
+      expect.any(Error),
+      expect.any(Number)
+    );
+    expect(runKey).not.toHaveBeenCalledWith("outfits/0001.b");
+
+    // It tried once, then retried once, then gave up.
+    expect(
+      runKey.mock.calls.filter(([key]) => key === "outfits/0010.a")
+    ).toHaveLength(2);
+    expect(checkpoint.failedKeys).toEqual(["outfits/0010.a"]);
+    expect(checkpoint.lastCompletedKey).toBe("outfits/1199.b");
+  });
+
+  it("gives up if it can't list the bucket", async () => {
+    const storage = createBucket();
+    storage.listKeys = jest.fn(async () => {
+      throw new Error("Simulated listing failure");
+    });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    const summary = await runBulkOperation(storage, {
+      filterKey: () => true,
+      runKey: jest.fn(),
+      checkpoint,
+      listRetryOptions: FAST_RETRIES,
+    });
+
+    expect(summary.didGiveUp).toBe(true);
+  });
+
+  it("passes on errors from outside runKey, once running keys finish", async () => {
+    const storage = createBucket();
+    const runKey = jest.fn(async (key) => ({ key, didMakeChanges: true }));
+    const onResult = jest.fn(() => {
+      throw new Error("Disk full");
+    });
+
+    await expect(
+      runBulkOperation(storage, {
+        filterKey: (key) => key < "outfits/0100",
+        runKey,
+        checkpoint,
+        onResult,
+        numWorkers: 4,
+      })
+    ).rejects.toThrow("Disk full");
+    // We stopped starting new keys after the first error.
+    expect(runKey).toHaveBeenCalledTimes(4);
+  });
+
+  it("doesn't retry errors that can never succeed", async () => {
+    const storage = createBucket();
+    const runKey = jest.fn(async (key) => {
+      const error = new Error("Access Denied");
+      error.code = "AccessDenied";
+      throw error;
+    });
+
+    const summary = await runBulkOperation(storage, {
+      filterKey: (key) => key === "outfits/0000.a",
+      runKey,
+      checkpoint,
+      keyRetryOptions: { retries: 5, minTimeout: 0, maxTimeout: 0 },
+    });
+
+    expect(runKey).toHaveBeenCalledTimes(1);
+    expect(summary.failures).toEqual([
+      {
+        key: "outfits/0000.a",
+        error: expect.any(Error),
+        errorClass: "permanent",
+      },
+    ]);
+  });
+
+  it("works on fewer keys at a time when throttled", async () => {
+    const storage = createBucket();
+    let numRunning = 0;
+    const numRunningAtStart = [];
+    let numThrottlesLeft = 3;
+    const runKey = jest.fn(async (key) => {
+      numRunningAtStart.push(++numRunning);
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      numRunning--;
+      if (numThrottlesLeft > 0) {
+        numThrottlesLeft--;
+        const error = new Error("Please reduce your request rate.");
+        error.code = "SlowDown";
+        error.statusCode = 503;
+        throw error;
+      }
+      return { key, didMakeChanges: true };
+    });
+
+    const summary = await runBulkOperation(storage, {
+      filterKey: (key) => key < "outfits/0100",
+      runKey,
+      checkpoint,
+      numWorkers: 8,
+      keyRetryOptions: FAST_RETRIES,
+    });
+
+    // The throttles cut us down from 8 keys at a time to 4, just once,
+    // because they all came in the same burst…
+    expect(summary.numThrottles).toBe(3);
+    expect(summary.failures).toEqual([]);
+    expect(Math.max(...numRunningAtStart)).toBe(8);
+    expect(console.info).toHaveBeenCalledWith(
+      "[RATE] Throttled! Working on 4 keys at a time"
+    );
+    expect(console.info).not.toHaveBeenCalledWith(
+      "[RATE] Throttled! Working on 2 keys at a time"
+    );
+    // …and then, once things were going well, we worked back up to 8.
+    expect(console.info).toHaveBeenCalledWith(
+      "[RATE] Recovering, working on 8 keys at a time"
+    );
+  });
+});
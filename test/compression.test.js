@@ -0,0 +1,122 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const PngQuant = require("pngquant");
+const { PNG } = require("pngjs");
+
+const {
+  compressImage,
+  loadCompressionStrategies,
+} = require("../lib/compression");
+
+const STRATEGIES = [
+  {
+    name: "pngquant",
+    kind: "lossy",
+    quality: { 150: "60-85", 600: "40-80" },
+  },
+  { name: "lossless", kind: "lossless", quality: null },
+];
+
+// A real PNG, saved without any compression, so re-encoding it losslessly
+// has room to shrink it.
+function createUncompressedImage() {
+  const png = new PNG({ width: 20, height: 20 });
+  png.data.fill(128);
+  return PNG.sync.write(png, { deflateLevel: 0 });
+}
+
+afterEach(() => {
+  PngQuant.__setCompressedSize(400);
+});
+
+describe("compressImage", () => {
+  it("keeps the smallest result, and says which strategy won", async () => {
+    const image = createUncompressedImage();
+
+    PngQuant.__setCompressedSize(10);
+    expect(
+      await compressImage(image, { imageSize: 600, strategies: STRATEGIES })
+    ).toEqual({ image: Buffer.alloc(10), strategy: "pngquant:40-80" });
+
+    PngQuant.__setCompressedSize(image.length);
+    const result = await compressImage(image, {
+      imageSize: 600,
+      strategies: STRATEGIES,
+    });
+    expect(result.strategy).toBe("lossless");
+    expect(result.image.length).toBeLessThan(image.length);
+  });
+
+  it("uses the quality range for the image's size", async () => {
+    const qualities = [];
+    PngQuant.__setCompressedSize((args) => {
+      qualities.push(args[2]);
+      return 10;
+    });
+
+    await compressImage(createUncompressedImage(), {
+      imageSize: 150,
+      strategies: STRATEGIES,
+    });
+    expect(qualities).toEqual(["60-85"]);
+  });
+
+  it("skips lossy strategies with no quality range for the size", async () => {
+    PngQuant.__setCompressedSize(1);
+
+    const result = await compressImage(createUncompressedImage(), {
+      imageSize: 300,
+      strategies: STRATEGIES,
+    });
+    expect(result.strategy).toBe("lossless");
+  });
+
+  it("falls back to lossless if quantizing can't reach the quality floor", async () => {
+    PngQuant.__setCompressedSize(null);
+
+    const result = await compressImage(createUncompressedImage(), {
+      imageSize: 600,
+      strategies: STRATEGIES,
+    });
+    expect(result.strategy).toBe("lossless");
+
+    // It's the same image, pixel for pixel!
+    const original = PNG.sync.read(createUncompressedImage());
+    const reencoded = PNG.sync.read(result.image);
+    expect(reencoded.data).toEqual(original.data);
+  });
+
+  it("throws if every strategy fails", async () => {
+    PngQuant.__setCompressedSize(null);
+
+    await expect(
+      compressImage(Buffer.from("not a png"), {
+        imageSize: 600,
+        strategies: STRATEGIES,
+      })
+    ).rejects.toThrow("Simulated pngquant quality failure");
+  });
+});
+
+describe("loadCompressionStrategies", () => {
+  it("loads the strategies we ship with", () => {
+    const strategies = loadCompressionStrategies();
+    expect(strategies.map((s) => s.kind)).toEqual(["lossy", "lossless"]);
+    expect(strategies[0].quality).toMatchObject({ 600: "40-80" });
+  });
+
+  it("rejects unexpected kinds", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "compression-"));
+    const strategiesPath = path.join(dir, "strategies.json");
+    await fs.writeFile(
+      strategiesPath,
+      JSON.stringify([{ name: "zopfli", kind: "magic" }])
+    );
+
+    expect(() => loadCompressionStrategies(strategiesPath)).toThrow(
+      'unexpected kind "magic"'
+    );
+  });
+});
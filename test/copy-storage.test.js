@@ -0,0 +1,102 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { copyStorage } = require("../copy-storage");
+const { createStorage, getStorageOptionsFromArgs } = require("../lib/storage");
+const { createMemoryStorage } = require("./helpers/memory-storage");
+
+const KEY = "outfits/000/894/911/preview.png";
+
+let originalArgv;
+
+beforeEach(() => {
+  jest.spyOn(console, "info").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  originalArgv = process.argv;
+});
+
+afterEach(() => {
+  process.argv = originalArgv;
+  jest.restoreAllMocks();
+});
+
+describe("getStorageOptionsFromArgs", () => {
+  it("gives each side its own bucket and endpoint", () => {
+    process.argv = [
+      "node",
+      "copy-storage.js",
+      "--from=s3",
+      "--to=s3",
+      "--to-bucket=rehearsal",
+      "--to-endpoint=http://localhost:9000",
+    ];
+
+    const fromStorage = createStorage("s3", getStorageOptionsFromArgs("from"));
+    const toStorage = createStorage("s3", getStorageOptionsFromArgs("to"));
+    expect(fromStorage.description).toBe("s3://openneo-uploads");
+    expect(toStorage.description).toBe("http://localhost:9000/rehearsal");
+  });
+
+  it("falls back to --bucket and --endpoint", () => {
+    process.argv = [
+      "node",
+      "copy-storage.js",
+      "--bucket=other",
+      "--endpoint=http://localhost:9000",
+      "--from-bucket=source",
+    ];
+
+    expect(getStorageOptionsFromArgs("from")).toEqual({
+      bucket: "source",
+      endpoint: "http://localhost:9000",
+    });
+    expect(getStorageOptionsFromArgs("to")).toEqual({
+      bucket: "other",
+      endpoint: "http://localhost:9000",
+    });
+  });
+});
+
+describe("copyStorage", () => {
+  it("copies objects into a differently configured storage", async () => {
+    const fromStorage = createMemoryStorage({
+      [KEY]: {
+        body: Buffer.from("image"),
+        tagging: { "DTI-Outfit-Image-Kind": "compressed" },
+        storageClass: "STANDARD_IA",
+      },
+      [KEY + ".bkup"]: { body: Buffer.from("backup") },
+      "other/README.txt": {},
+    });
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "copy-storage-test-"));
+    const toStorage = createStorage(`fs:${dir}`);
+
+    const counts = await copyStorage(fromStorage, toStorage, {
+      prefix: "outfits/",
+    });
+
+    expect(counts).toEqual({ numCopied: 2, numSkipped: 0 });
+    expect(await toStorage.getObject(KEY)).toEqual(Buffer.from("image"));
+    expect(await toStorage.getTagging(KEY)).toEqual({
+      "DTI-Outfit-Image-Kind": "compressed",
+    });
+    expect((await toStorage.getObjectInfo(KEY)).storageClass).toBe(
+      "STANDARD_IA"
+    );
+    expect(await toStorage.getObjectInfo("other/README.txt")).toBe(null);
+  });
+
+  it("stops after the limit", async () => {
+    const fromStorage = createMemoryStorage({
+      [KEY]: {},
+      [KEY + ".bkup"]: {},
+    });
+    const toStorage = createMemoryStorage();
+
+    const counts = await copyStorage(fromStorage, toStorage, { limit: 1 });
+
+    expect(counts).toEqual({ numCopied: 1, numSkipped: 0 });
+    expect([...toStorage.objects.keys()]).toEqual([KEY]);
+  });
+});
@@ -0,0 +1,151 @@
+const {
+  estimateMonthlyCost,
+  planImageObjects,
+  createCostBreakdown,
+} = require("../lib/cost-estimate");
+const { S3_PRICING, GB } = require("../lib/s3-pricing");
+
+const PLAN_OPTIONS = { compressionRatio: 0.5, placeholderSize: 5000 };
+
+describe("estimateMonthlyCost", () => {
+  it("charges for storage, requests, and transfer", () => {
+    const cost = estimateMonthlyCost({
+      size: GB,
+      storageClass: "STANDARD",
+      monthlyRequests: 1000,
+    });
+
+    expect(cost.storage).toBeCloseTo(0.023);
+    expect(cost.requests).toBeCloseTo(0.0004);
+    expect(cost.transfer).toBeCloseTo(90);
+    expect(cost.total).toBeCloseTo(0.023 + 0.0004 + 90);
+  });
+
+  it("bills small STANDARD_IA objects as 128KB", () => {
+    const cost = estimateMonthlyCost({
+      size: 1024,
+      storageClass: "STANDARD_IA",
+      monthlyRequests: 0,
+    });
+
+    expect(cost.storage).toBeCloseTo(((128 * 1024) / GB) * 0.0125, 12);
+  });
+
+  it("adds GLACIER's per-object overhead", () => {
+    const cost = estimateMonthlyCost({ size: 0, storageClass: "GLACIER" });
+
+    expect(cost.storage).toBeCloseTo(
+      ((32 * 1024) / GB) * 0.004 + ((8 * 1024) / GB) * 0.023,
+      12
+    );
+  });
+});
+
+describe("planImageObjects", () => {
+  const original = { size: 100000, storageClass: "STANDARD" };
+
+  it("compresses the original into STANDARD_IA, and backs it up", () => {
+    const { today, after, oneTimeCost } = planImageObjects(
+      { original, backup: null, disposition: "compress", monthlyRequests: 10 },
+      PLAN_OPTIONS
+    );
+
+    expect(today).toEqual([{ ...original, monthlyRequests: 10 }]);
+    expect(after).toEqual([
+      { size: 50000, storageClass: "STANDARD_IA", monthlyRequests: 10 },
+      { size: 100000, storageClass: "GLACIER", monthlyRequests: 0 },
+    ]);
+    expect(oneTimeCost).toBeCloseTo(
+      (S3_PRICING.putPer1000.GLACIER +
+        S3_PRICING.getPer1000.STANDARD +
+        S3_PRICING.putPer1000.STANDARD_IA) /
+        1000,
+      12
+    );
+  });
+
+  it("replaces the original with a placeholder", () => {
+    const { after } = planImageObjects(
+      {
+        original,
+        backup: null,
+        disposition: "placeholder",
+        monthlyRequests: 0,
+      },
+      PLAN_OPTIONS
+    );
+
+    expect(after[0]).toEqual({
+      size: 5000,
+      storageClass: "STANDARD_IA",
+      monthlyRequests: 0,
+    });
+  });
+
+  it("doesn't re-compress images that were already backed up and moved", () => {
+    const compressedOriginal = { size: 40000, storageClass: "STANDARD_IA" };
+    const backup = { size: 100000, storageClass: "GLACIER" };
+
+    const { today, after, oneTimeCost } = planImageObjects(
+      {
+        original: compressedOriginal,
+        backup,
+        disposition: "compress",
+        monthlyRequests: 0,
+      },
+      PLAN_OPTIONS
+    );
+
+    expect(after).toEqual(today);
+    expect(oneTimeCost).toBe(0);
+  });
+
+  it("leaves leave-alone images as they are, without backing them up", () => {
+    const { today, after, oneTimeCost } = planImageObjects(
+      {
+        original,
+        backup: null,
+        disposition: "leave-alone",
+        monthlyRequests: 5,
+      },
+      PLAN_OPTIONS
+    );
+
+    expect(after).toEqual(today);
+    expect(after).toHaveLength(1);
+    expect(oneTimeCost).toBe(0);
+  });
+});
+
+describe("createCostBreakdown", () => {
+  it("adds up images by image size and disposition", () => {
+    const breakdown = createCostBreakdown();
+    const original = { size: 100000, storageClass: "STANDARD" };
+    const plan = (disposition) =>
+      planImageObjects(
+        { original, backup: null, disposition, monthlyRequests: 0 },
+        PLAN_OPTIONS
+      );
+
+    breakdown.add(600, "compress", plan("compress"));
+    breakdown.add(600, "compress", plan("compress"));
+    breakdown.add(150, "placeholder", plan("placeholder"));
+
+    expect(breakdown.rows()).toEqual([
+      expect.objectContaining({
+        imageSize: 150,
+        disposition: "placeholder",
+        numImages: 1,
+        todayBytes: 100000,
+        afterBytes: 105000,
+      }),
+      expect.objectContaining({
+        imageSize: 600,
+        disposition: "compress",
+        numImages: 2,
+        todayBytes: 200000,
+        afterBytes: 300000,
+      }),
+    ]);
+  });
+});
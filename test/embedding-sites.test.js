@@ -0,0 +1,215 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const util = require("util");
+const zlib = require("zlib");
+const gzip = util.promisify(zlib.gzip);
+
+const { ingestLogFiles } = require("../build-db");
+
+const { openDb } = require("../lib/db");
+const {
+  loadEmbeddingSites,
+  getEmbeddingSiteCsvColumns,
+  getEmbeddingSiteCsvRow,
+  renderEmbeddingSitesHtml,
+} = require("../lib/embedding-sites");
+const { getReferrerHost } = require("../lib/referrers");
+const { loadUserAgentRules } = require("../lib/user-agents");
+
+let dir;
+let db;
+
+beforeEach(async () => {
+  jest.spyOn(console, "info").mockImplementation(() => {});
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "embedding-sites-"));
+  db = await openDb(path.join(dir, "db.sqlite3"));
+});
+
+afterEach(async () => {
+  await db.close();
+  jest.restoreAllMocks();
+});
+
+async function insertLog(eventId, eventTime, outfitId, imageSize, referrer) {
+  await db.run(
+    `
+      INSERT INTO logs (eventId, eventTime, outfitId, imageSize, host, referrer, referrerHost)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      eventId,
+      eventTime,
+      outfitId,
+      imageSize,
+      "openneo-uploads.s3.amazonaws.com",
+      referrer,
+      getReferrerHost(referrer),
+    ]
+  );
+}
+
+describe("getReferrerHost", () => {
+  it("returns the referrer's hostname, without www", () => {
+    expect(getReferrerHost("https://www.Example.com/forum?id=1")).toBe(
+      "example.com"
+    );
+    expect(getReferrerHost("http://pets.example.com/")).toBe(
+      "pets.example.com"
+    );
+  });
+
+  it("returns null for missing or unusable referrers", () => {
+    expect(getReferrerHost(null)).toBe(null);
+    expect(getReferrerHost("-")).toBe(null);
+    expect(getReferrerHost("not a url")).toBe(null);
+    expect(getReferrerHost("android-app://com.example")).toBe(null);
+  });
+});
+
+describe("loadEmbeddingSites", () => {
+  it("groups requests by site, with sizes, outfits, and months", async () => {
+    await insertLog("1", "2021-04-01T00:00:00Z", 1, 600, "https://a.com/x");
+    await insertLog("2", "2021-05-01T00:00:00Z", 1, 150, "https://www.a.com/y");
+    await insertLog("3", "2021-05-02T00:00:00Z", 2, 600, "https://a.com/z");
+    await insertLog("4", "2021-05-03T00:00:00Z", 3, 300, "-");
+
+    const report = await loadEmbeddingSites(db);
+
+    expect(report.months).toEqual(["2021-04", "2021-05"]);
+    expect(report.sites).toEqual([
+      {
+        site: "a.com",
+        host: "openneo-uploads.s3.amazonaws.com",
+        requestCount: 3,
+        numOutfits: 2,
+        requests150: 1,
+        requests300: 0,
+        requests600: 2,
+        firstSeenAt: "2021-04-01T00:00:00Z",
+        lastSeenAt: "2021-05-02T00:00:00Z",
+        requestsByMonth: { "2021-04": 1, "2021-05": 2 },
+      },
+      expect.objectContaining({ site: "(no referrer)", requestCount: 1 }),
+    ]);
+
+    expect(getEmbeddingSiteCsvColumns(report.months)).toContain("2021-04");
+    expect(
+      getEmbeddingSiteCsvRow(report.sites[1], report.months)
+    ).toMatchObject({ "2021-04": 0, "2021-05": 1 });
+  });
+
+  it("leaves out sites with fewer than minRequestCount requests", async () => {
+    await insertLog("1", "2021-04-01T00:00:00Z", 1, 600, "https://a.com/");
+    await insertLog("2", "2021-04-01T00:00:00Z", 1, 600, "https://a.com/");
+    await insertLog("3", "2021-04-01T00:00:00Z", 1, 600, "https://b.com/");
+
+    const report = await loadEmbeddingSites(db, { minRequestCount: 2 });
+
+    expect(report.sites.map((s) => s.site)).toEqual(["a.com"]);
+  });
+});
+
+describe("loadEmbeddingSites, after build-db", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  // An S3 server access log line, for a GET of the outfit image at `key`.
+  const accessLogLine = (requestId, key, referrer) =>
+    `79a59df900b949e55d96a1e698fbacedfd6e09d98eacf8f8d5218e7cd47ef2be ` +
+    `impress-outfit-images [01/Jun/2021:12:34:56 +0000] 192.0.2.3 - ` +
+    `${requestId} REST.GET.OBJECT ${key} "GET /${key} HTTP/1.1" 200 - ` +
+    `1234 1234 7 6 "${referrer}" "Mozilla/5.0 (Windows NT 10.0)" - ` +
+    `s9lzHYrFp76ZVxRcpX9+5cjAnEH2ROuNkd2BHfIa6UkFVdtjf5mKR3/eTPFvsiP/XV/VLi31234= ` +
+    `SigV4 ECDHE-RSA-AES128-GCM-SHA256 AuthHeader ` +
+    `impress-outfit-images.s3.amazonaws.com TLSv1.2 - -`;
+
+  it("names the sites from the referrers in the logs", async () => {
+    const logsPath = path.join(dir, "logs");
+    await fs.mkdir(path.join(logsPath, "cloudtrail"), { recursive: true });
+    await fs.mkdir(path.join(logsPath, "s3-access"), { recursive: true });
+
+    // CloudTrail saw request A too, but without a referrer.
+    await fs.writeFile(
+      path.join(logsPath, "cloudtrail", "2021-06-01.json.gz"),
+      await gzip(
+        JSON.stringify({
+          Records: [
+            {
+              eventID: "event-A",
+              requestID: "REQUESTA",
+              eventName: "GetObject",
+              eventTime: "2021-06-01T12:34:56Z",
+              requestParameters: {
+                key: "outfits/000/000/001/preview.png",
+                Host: "impress-outfit-images.s3.amazonaws.com",
+              },
+              sourceIPAddress: "192.0.2.3",
+              userAgent: "Mozilla/5.0 (Windows NT 10.0)",
+              awsRegion: "us-east-1",
+            },
+          ],
+        })
+      )
+    );
+    await fs.writeFile(
+      path.join(logsPath, "s3-access", "2021-06-01-12-34-56-0123456789ABCDEF"),
+      [
+        accessLogLine(
+          "REQUESTA",
+          "outfits/000/000/001/preview.png",
+          "https://www.a.com/forum"
+        ),
+        accessLogLine(
+          "REQUESTB",
+          "outfits/000/000/002/small_preview.png",
+          "https://a.com/profile"
+        ),
+        accessLogLine("REQUESTC", "outfits/000/000/002/preview.png", "-"),
+      ].join("\n")
+    );
+
+    await ingestLogFiles(db, logsPath, loadUserAgentRules());
+    const report = await loadEmbeddingSites(db);
+
+    expect(report.sites).toEqual([
+      expect.objectContaining({
+        site: "a.com",
+        requestCount: 2,
+        numOutfits: 2,
+        requests150: 1,
+        requests600: 1,
+      }),
+      expect.objectContaining({ site: "(no referrer)", requestCount: 1 }),
+    ]);
+  });
+});
+
+describe("renderEmbeddingSitesHtml", () => {
+  it("escapes site names", () => {
+    const html = renderEmbeddingSitesHtml(
+      {
+        sites: [
+          {
+            site: "<script>.com",
+            host: "h",
+            requestCount: 1,
+            numOutfits: 1,
+            requests150: 0,
+            requests300: 0,
+            requests600: 1,
+            firstSeenAt: "2021-04-01",
+            lastSeenAt: "2021-04-01",
+            requestsByMonth: { "2021-04": 1 },
+          },
+        ],
+        months: ["2021-04"],
+      },
+      { generatedAt: "2021-06-01" }
+    );
+
+    expect(html).toContain("&lt;script&gt;.com");
+    expect(html).not.toContain("<script>");
+  });
+});
@@ -0,0 +1,35 @@
+const { classifyError } = require("../lib/errors");
+
+function errorWith(props) {
+  return Object.assign(new Error("Simulated error"), props);
+}
+
+describe("classifyError", () => {
+  it("recognizes throttling", () => {
+    expect(
+      classifyError(errorWith({ code: "SlowDown", statusCode: 503 }))
+    ).toBe("throttled");
+    expect(classifyError(errorWith({ code: "Throttling" }))).toBe("throttled");
+    expect(classifyError(errorWith({ statusCode: 429 }))).toBe("throttled");
+  });
+
+  it("recognizes errors that retrying won't fix", () => {
+    expect(
+      classifyError(errorWith({ code: "AccessDenied", statusCode: 403 }))
+    ).toBe("permanent");
+    expect(classifyError(errorWith({ code: "NoSuchKey" }))).toBe("permanent");
+    expect(classifyError(errorWith({ code: "LayerNotCached" }))).toBe(
+      "permanent"
+    );
+    expect(classifyError(errorWith({ statusCode: 400 }))).toBe("permanent");
+  });
+
+  it("retries everything else", () => {
+    expect(classifyError(new Error("Timeout"))).toBe("transient");
+    expect(classifyError(errorWith({ code: "ECONNRESET" }))).toBe("transient");
+    expect(
+      classifyError(errorWith({ code: "InternalError", statusCode: 500 }))
+    ).toBe("transient");
+    expect(classifyError(errorWith({ statusCode: 408 }))).toBe("transient");
+  });
+});
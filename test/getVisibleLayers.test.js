@@ -0,0 +1,78 @@
+const { getVisibleLayers } = require("../lib/getVisibleLayers");
+
+function layer(id, zoneId, depth, bodyId = "0") {
+  return { id, bodyId, zone: { id: zoneId, depth } };
+}
+
+function petAppearance({ layers, restrictedZones = [], pose = "HAPPY_FEM" }) {
+  return { id: "pet", pose, layers, restrictedZones };
+}
+
+function itemAppearance({ layers, restrictedZones = [] }) {
+  return { id: "item", layers, restrictedZones };
+}
+
+const ids = (layers) => layers.map((l) => l.id);
+
+describe("getVisibleLayers", () => {
+  it("returns no layers without a pet appearance", () => {
+    expect(getVisibleLayers(null, [])).toEqual([]);
+  });
+
+  it("sorts pet and item layers by zone depth", () => {
+    const pet = petAppearance({
+      layers: [layer("body", "15", 18), layer("head", "34", 7)],
+    });
+    const item = itemAppearance({ layers: [layer("hat", "26", 3)] });
+
+    const layers = getVisibleLayers(pet, [item, null]);
+
+    expect(ids(layers)).toEqual(["hat", "head", "body"]);
+    expect(layers.map((l) => l.source)).toEqual(["item", "pet", "pet"]);
+  });
+
+  it("hides pet layers in zones that items restrict", () => {
+    const pet = petAppearance({
+      layers: [layer("body", "15", 18), layer("ruff", "30", 10)],
+    });
+    const item = itemAppearance({
+      layers: [layer("hat", "26", 3)],
+      restrictedZones: [{ id: "30" }],
+    });
+
+    expect(ids(getVisibleLayers(pet, [item]))).toEqual(["hat", "body"]);
+  });
+
+  it("hides pet layers in zones the pet restricts itself", () => {
+    const pet = petAppearance({
+      layers: [layer("body", "15", 18), layer("horn", "40", 5)],
+      restrictedZones: [{ id: "40" }],
+    });
+
+    expect(ids(getVisibleLayers(pet, []))).toEqual(["body"]);
+  });
+
+  it("hides body-specific item layers in zones the pet occupies", () => {
+    const pet = petAppearance({ layers: [layer("static", "40", 5)] });
+    const item = itemAppearance({
+      layers: [
+        layer("specific", "40", 5, "93"),
+        layer("universal", "40", 5, "0"),
+      ],
+    });
+
+    expect(ids(getVisibleLayers(pet, [item]))).toEqual(["static", "universal"]);
+  });
+
+  it("hides all body-specific item layers on unconverted pets", () => {
+    const pet = petAppearance({
+      layers: [layer("body", "15", 18)],
+      pose: "UNCONVERTED",
+    });
+    const item = itemAppearance({
+      layers: [layer("umbrella", "49", 2, "93"), layer("bg", "3", 1, "0")],
+    });
+
+    expect(ids(getVisibleLayers(pet, [item]))).toEqual(["bg", "body"]);
+  });
+});
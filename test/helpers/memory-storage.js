@@ -0,0 +1,129 @@
+// An in-memory fake of the storage interface in `lib/storage`, for tests.
+// Seed it with objects, then check `storage.objects` and `storage.writes` to
+// see what the code under test did.
+function createMemoryStorage(initialObjects = {}) {
+  const objects = new Map();
+  for (const [key, object] of Object.entries(initialObjects)) {
+    objects.set(key, {
+      body: Buffer.alloc(0),
+      contentType: "image/png",
+      tagging: {},
+      storageClass: "STANDARD",
+      ...object,
+    });
+  }
+
+  const writes = [];
+  const failures = new Map();
+
+  const noSuchKeyError = (key) => {
+    const err = new Error(`The specified key does not exist: ${key}`);
+    err.code = "NoSuchKey";
+    return err;
+  };
+
+  // Let tests make specific calls fail, like `failOn("getTagging", key)`.
+  const maybeFail = (method, key) => {
+    const error = failures.get(`${method}:${key}`);
+    if (error) {
+      throw error;
+    }
+  };
+
+  return {
+    description: "memory",
+    objects,
+    writes,
+
+    failOn: (method, key, error = new Error(`Simulated ${method} failure`)) => {
+      failures.set(`${method}:${key}`, error);
+    },
+
+    listKeys: async ({ prefix, startAfter = null, maxKeys = 1000 }) => {
+      return [...objects.keys()]
+        .filter((key) => key.startsWith(prefix || ""))
+        .filter((key) => startAfter == null || key > startAfter)
+        .sort()
+        .slice(0, maxKeys)
+        .map((key) => ({
+          key,
+          size: objects.get(key).body.length,
+          storageClass: objects.get(key).storageClass,
+        }));
+    },
+
+    getTagging: async (key) => {
+      maybeFail("getTagging", key);
+      const object = objects.get(key);
+      return object ? { ...object.tagging } : null;
+    },
+
+    deleteTagging: async (key) => {
+      maybeFail("deleteTagging", key);
+      if (!objects.has(key)) {
+        throw noSuchKeyError(key);
+      }
+      writes.push({ method: "deleteTagging", key });
+      objects.get(key).tagging = {};
+    },
+
+    getObjectInfo: async (key) => {
+      maybeFail("getObjectInfo", key);
+      const object = objects.get(key);
+      if (!object) {
+        return null;
+      }
+      return {
+        size: object.body.length,
+        contentType: object.contentType,
+        storageClass: object.storageClass,
+        restore: object.restore || null,
+      };
+    },
+
+    getObject: async (key) => {
+      maybeFail("getObject", key);
+      if (!objects.has(key)) {
+        throw noSuchKeyError(key);
+      }
+      return objects.get(key).body;
+    },
+
+    putObject: async (key, body, options) => {
+      maybeFail("putObject", key);
+      writes.push({ method: "putObject", key, body, ...options });
+      objects.set(key, {
+        body,
+        contentType: options.contentType,
+        tagging: options.tagging || {},
+        storageClass: options.storageClass || "STANDARD",
+      });
+    },
+
+    copyObject: async (sourceKey, key, options) => {
+      maybeFail("copyObject", key);
+      if (!objects.has(sourceKey)) {
+        throw noSuchKeyError(sourceKey);
+      }
+      writes.push({ method: "copyObject", sourceKey, key, ...options });
+      const source = objects.get(sourceKey);
+      objects.set(key, {
+        body: source.body,
+        contentType: options.contentType || source.contentType,
+        tagging: options.tagging || source.tagging,
+        storageClass: options.storageClass || "STANDARD",
+      });
+    },
+
+    restoreObject: async (key) => {
+      maybeFail("restoreObject", key);
+      if (!objects.has(key)) {
+        throw noSuchKeyError(key);
+      }
+      writes.push({ method: "restoreObject", key });
+      objects.get(key).restore = { ongoing: false };
+    },
+  };
+}
+
+module.exports = { createMemoryStorage };
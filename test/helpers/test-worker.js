@@ -0,0 +1,20 @@
+// A worker thread for testing `lib/worker-pool.js`.
+const { threadId } = require("worker_threads");
+
+const { serveWorkerTasks } = require("../../lib/worker-pool");
+
+serveWorkerTasks({
+  add: (a, b) => a + b,
+  fail: (code) => {
+    const error = new Error("Task failed");
+    error.code = code;
+    throw error;
+  },
+  reverseBuffer: (buffer) => ({
+    isBuffer: Buffer.isBuffer(buffer),
+    reversed: Buffer.from(buffer).reverse(),
+  }),
+  wait: (ms) =>
+    new Promise((resolve) => setTimeout(() => resolve(threadId), ms)),
+  crash: () => process.exit(1),
+});
@@ -0,0 +1,62 @@
+const { PNG } = require("pngjs");
+
+const { compareImages } = require("../lib/image-diff");
+
+// Make a 10x10 PNG, filled with `color`, except for the first `numChanged`
+// pixels, which are `changedColor`.
+function createImage(color, { numChanged = 0, changedColor = null } = {}) {
+  const png = new PNG({ width: 10, height: 10 });
+  for (let i = 0; i < 100; i++) {
+    const [r, g, b, a] = i < numChanged ? changedColor : color;
+    png.data[i * 4] = r;
+    png.data[i * 4 + 1] = g;
+    png.data[i * 4 + 2] = b;
+    png.data[i * 4 + 3] = a;
+  }
+  return PNG.sync.write(png);
+}
+
+const BLUE = [0, 0, 255, 255];
+const NEARLY_BLUE = [2, 2, 253, 255];
+const RED = [255, 0, 0, 255];
+
+describe("compareImages", () => {
+  it("matches identical images", () => {
+    const result = compareImages(createImage(BLUE), createImage(BLUE));
+    expect(result.mismatchRatio).toBe(0);
+    expect(result.reason).toBe(null);
+  });
+
+  it("forgives tiny color changes, like from compression", () => {
+    const result = compareImages(createImage(BLUE), createImage(NEARLY_BLUE));
+    expect(result.mismatchRatio).toBe(0);
+  });
+
+  it("counts the pixels that changed, and draws a diff", () => {
+    const result = compareImages(
+      createImage(BLUE),
+      createImage(BLUE, { numChanged: 25, changedColor: RED })
+    );
+    expect(result.mismatchRatio).toBe(0.25);
+
+    const diff = PNG.sync.read(result.diffImage);
+    expect(diff.width).toBe(10);
+    expect(diff.height).toBe(10);
+  });
+
+  it("counts everything as changed if the size changed", () => {
+    const smallImage = PNG.sync.write(new PNG({ width: 5, height: 5 }));
+    const result = compareImages(createImage(BLUE), smallImage);
+    expect(result).toEqual({
+      mismatchRatio: 1,
+      diffImage: null,
+      reason: "size changed from 10x10 to 5x5",
+    });
+  });
+
+  it("counts everything as changed if an image isn't a PNG", () => {
+    const result = compareImages(Buffer.from("not a png"), createImage(BLUE));
+    expect(result.mismatchRatio).toBe(1);
+    expect(result.reason).toMatch(/could not read PNG/);
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { createLayerCache } = require("../lib/layer-cache");
+
+const URL_A = "https://images.example.com/a.png";
+const URL_B = "https://images.example.com/b.png";
+const URL_C = "https://images.example.com/c.png";
+
+// A 100-byte "layer", that starts like a PNG, then is filled with `letter`.
+const PNG_SIGNATURE = Buffer.from("89504e470d0a1a0a", "hex");
+function layerData(letter) {
+  return Buffer.concat([PNG_SIGNATURE, Buffer.alloc(92, letter)]);
+}
+
+let dir;
+let fetchLayer;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "layer-cache-"));
+  // Each layer is filled with its URL's last letter.
+  fetchLayer = jest.fn(async (url) => layerData(url.substr(-5, 1)));
+});
+
+async function listCachedFiles() {
+  const files = [];
+  for (const subdir of await fs.readdir(dir)) {
+    files.push(...(await fs.readdir(path.join(dir, subdir))));
+  }
+  return files;
+}
+
+describe("createLayerCache", () => {
+  it("downloads each layer once, and saves it by its URL's hash", async () => {
+    const cache = createLayerCache({ dir, fetchLayer });
+
+    const [first, second] = await Promise.all([
+      cache.getLayer(URL_A),
+      cache.getLayer(URL_A),
+    ]);
+    const third = await cache.getLayer(URL_A);
+
+    expect(first).toEqual(layerData("a"));
+    expect(second).toEqual(first);
+    expect(third).toEqual(first);
+    expect(fetchLayer).toHaveBeenCalledTimes(1);
+    expect(await listCachedFiles()).toEqual([
+      expect.stringMatching(/^[0-9a-f]{64}$/),
+    ]);
+    expect(cache.getStats()).toEqual({
+      numHits: 1,
+      numDownloads: 1,
+      numLayers: 1,
+      numBytes: 100,
+    });
+  });
+
+  it("keeps layers across runs", async () => {
+    await createLayerCache({ dir, fetchLayer }).getLayer(URL_A);
+
+    const nextCache = createLayerCache({ dir, fetchLayer });
+    expect(await nextCache.getLayer(URL_A)).toEqual(layerData("a"));
+    expect(fetchLayer).toHaveBeenCalledTimes(1);
+  });
+
+  it("evicts the least recently used layers past the size limit", async () => {
+    const cache = createLayerCache({ dir, fetchLayer, maxBytes: 200 });
+
+    await cache.getLayer(URL_A);
+    await cache.getLayer(URL_B);
+    await cache.getLayer(URL_A);
+    await cache.getLayer(URL_C); // Evicts B, which we used least recently.
+    expect(cache.getStats()).toMatchObject({ numLayers: 2, numBytes: 200 });
+    expect(await listCachedFiles()).toHaveLength(2);
+
+    await cache.getLayer(URL_A);
+    await cache.getLayer(URL_C);
+    expect(fetchLayer).toHaveBeenCalledTimes(3);
+    await cache.getLayer(URL_B);
+    expect(fetchLayer).toHaveBeenCalledTimes(4);
+  });
+
+  it("doesn't cache failed downloads", async () => {
+    fetchLayer.mockRejectedValueOnce(new Error("Network is down"));
+    const cache = createLayerCache({ dir, fetchLayer });
+
+    await expect(cache.getLayer(URL_A)).rejects.toThrow("Network is down");
+    await expect(cache.getLayer(URL_A)).resolves.toEqual(layerData("a"));
+  });
+
+  it("doesn't cache layers that aren't PNGs", async () => {
+    fetchLayer
+      .mockResolvedValueOnce(Buffer.from("<html>Service Unavailable</html>"))
+      .mockResolvedValueOnce(Buffer.alloc(0));
+    const cache = createLayerCache({ dir, fetchLayer });
+
+    await expect(cache.getLayer(URL_A)).rejects.toThrow("not a PNG image");
+    await expect(cache.getLayer(URL_A)).rejects.toThrow("not a PNG image");
+    expect(await listCachedFiles()).toEqual([]);
+
+    await expect(cache.getLayer(URL_A)).resolves.toEqual(layerData("a"));
+  });
+
+  it("in cache-only mode, never downloads", async () => {
+    await createLayerCache({ dir, fetchLayer }).getLayer(URL_A);
+
+    const cache = createLayerCache({ dir, fetchLayer, cacheOnly: true });
+    expect(await cache.getLayer(URL_A)).toEqual(layerData("a"));
+    await expect(cache.getLayer(URL_B)).rejects.toMatchObject({
+      code: "LayerNotCached",
+    });
+    expect(fetchLayer).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects size limits that would never evict anything", () => {
+    for (const maxBytes of [0, -1, NaN]) {
+      expect(() => createLayerCache({ dir, fetchLayer, maxBytes })).toThrow(
+        "Layer cache size must be a positive number"
+      );
+    }
+  });
+});
@@ -0,0 +1,183 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { openDb } = require("../lib/db");
+const { createLedger, queryLedger, listLedgerRuns } = require("../lib/ledger");
+const { createMemoryStorage } = require("./helpers/memory-storage");
+
+const KEY = "outfits/000/894/911/preview.png";
+
+let db;
+
+beforeEach(async () => {
+  jest.spyOn(console, "info").mockImplementation(() => {});
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ledger-"));
+  db = await openDb(path.join(dir, "db.sqlite3"));
+});
+
+afterEach(async () => {
+  await db.close();
+  jest.restoreAllMocks();
+});
+
+describe("createLedger", () => {
+  it("records changes with the object's state from before", async () => {
+    const storage = createMemoryStorage({
+      [KEY]: {
+        body: Buffer.alloc(1000),
+        tagging: {},
+        storageClass: "STANDARD",
+      },
+    });
+    const ledger = createLedger(db, { command: "test", runId: "run-1" });
+
+    const recordChange = ledger.beginChange(storage, KEY, {});
+    await recordChange.beforeWrite();
+    await recordChange("compression-failed", {
+      newTag: "compression-failed",
+      newStorageClass: "STANDARD_IA",
+    });
+    await recordChange("compress", {
+      newTag: "compressed",
+      newStorageClass: "STANDARD_IA",
+      newSize: 400,
+    });
+    await ledger.close();
+
+    expect(await queryLedger(db)).toEqual([
+      expect.objectContaining({
+        runId: "run-1",
+        command: "test",
+        key: KEY,
+        outfitId: 894911,
+        imageSize: 600,
+        action: "compression-failed",
+        previousTag: null,
+        previousStorageClass: "STANDARD",
+        newTag: "compression-failed",
+        newStorageClass: "STANDARD_IA",
+        originalSize: 1000,
+        newSize: null,
+        compressedPercent: null,
+      }),
+      expect.objectContaining({
+        action: "compress",
+        previousStorageClass: "STANDARD",
+        newTag: "compressed",
+        originalSize: 1000,
+        newSize: 400,
+        compressedPercent: 40,
+      }),
+    ]);
+  });
+
+  it("only looks up the object's state when it's about to change", async () => {
+    const storage = createMemoryStorage({ [KEY]: {} });
+    jest.spyOn(storage, "getObjectInfo");
+    const ledger = createLedger(db, { command: "test", runId: "run-1" });
+
+    const recordChange = ledger.beginChange(storage, KEY, {});
+    expect(storage.getObjectInfo).not.toHaveBeenCalled();
+    await expect(recordChange("delete-tags")).rejects.toThrow(
+      "call beforeWrite first"
+    );
+
+    await recordChange.beforeWrite();
+    await recordChange.beforeWrite();
+    expect(storage.getObjectInfo).toHaveBeenCalledTimes(1);
+    await ledger.close();
+  });
+
+  it("uses the object's info, if the caller already has it", async () => {
+    const storage = createMemoryStorage();
+    jest.spyOn(storage, "getObjectInfo");
+    const ledger = createLedger(db, { command: "test", runId: "run-1" });
+
+    const recordChange = ledger.beginChange(storage, KEY + ".bkup", null, {
+      previousInfo: null,
+    });
+    await recordChange("backup", {
+      newTag: "backup",
+      newStorageClass: "GLACIER",
+    });
+    await ledger.close();
+
+    expect(storage.getObjectInfo).not.toHaveBeenCalled();
+    expect(await queryLedger(db)).toEqual([
+      expect.objectContaining({
+        key: KEY + ".bkup",
+        outfitId: 894911,
+        action: "backup",
+        previousStorageClass: null,
+        newStorageClass: "GLACIER",
+      }),
+    ]);
+  });
+
+  it("makes up a run ID if it doesn't get one", () => {
+    const ledger = createLedger(db, { command: "backup-all", runId: null });
+    expect(ledger.runId).toMatch(/^backup-all-[0-9]{4}-/);
+    return ledger.close();
+  });
+
+  it("rejects unexpected actions", async () => {
+    const ledger = createLedger(db, { command: "test" });
+    await expect(
+      ledger.record({ key: KEY, action: "explode" })
+    ).rejects.toThrow("Unexpected ledger action: explode");
+    await ledger.close();
+  });
+});
+
+describe("queryLedger", () => {
+  beforeEach(async () => {
+    const run1 = createLedger(db, { command: "backup-all", runId: "run-1" });
+    await run1.record({ key: KEY, action: "backup" });
+    await run1.record({ key: KEY, action: "compress" });
+    await run1.record({
+      key: "outfits/000/000/001/preview.png",
+      action: "placeholder",
+    });
+    await run1.close();
+
+    const run2 = createLedger(db, { command: "restore-image", runId: "run-2" });
+    await run2.record({ key: KEY, action: "restore" });
+    await run2.close();
+  });
+
+  it("filters by outfit, run, and action", async () => {
+    const actionsFor = async (filters) =>
+      (await queryLedger(db, filters)).map((row) => row.action);
+
+    expect(await actionsFor({ outfitId: "894911" })).toEqual([
+      "backup",
+      "compress",
+      "restore",
+    ]);
+    expect(await actionsFor({ runId: "run-1" })).toEqual([
+      "backup",
+      "compress",
+      "placeholder",
+    ]);
+    expect(
+      await actionsFor({ runId: "run-1", actions: ["placeholder", "backup"] })
+    ).toEqual(["backup", "placeholder"]);
+    expect(await actionsFor({ limit: 1 })).toEqual(["backup"]);
+  });
+
+  it("lists runs, with their action counts", async () => {
+    expect(await listLedgerRuns(db)).toEqual([
+      expect.objectContaining({
+        runId: "run-1",
+        command: "backup-all",
+        actionCounts: { backup: 1, compress: 1, placeholder: 1 },
+      }),
+      expect.objectContaining({
+        runId: "run-2",
+        command: "restore-image",
+        actionCounts: { restore: 1 },
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,214 @@
+const { getLogFormat } = require("../lib/log-formats");
+
+const KEY = "outfits/000/894/911/preview.png";
+
+describe("getLogFormat", () => {
+  it.each([
+    [
+      "cloudtrail",
+      "us-east-1/2021/06/01/762705786595_CloudTrail_us-east-1_20210601T0000Z_abc.json.gz",
+    ],
+    ["s3-access", "s3-access/2021-06-01-12-34-56-0123456789ABCDEF"],
+    ["cloudfront", "cloudfront/E2EXAMPLE.2021-06-01-12.a1b2c3d4.gz"],
+  ])("recognizes %s logs", (name, filePath) => {
+    expect(getLogFormat(filePath).name).toBe(name);
+  });
+
+  it("ignores other files", () => {
+    expect(getLogFormat("README.txt")).toBe(null);
+    expect(getLogFormat(".DS_Store")).toBe(null);
+  });
+});
+
+describe("cloudtrail", () => {
+  const { parseLogs } = getLogFormat("x.json.gz");
+
+  it("parses GetObject events", () => {
+    const body = JSON.stringify({
+      Records: [
+        {
+          eventID: "event-1",
+          eventName: "GetObject",
+          eventTime: "2021-06-01T12:34:56Z",
+          requestID: "3E57427F3EXAMPLE",
+          requestParameters: {
+            key: KEY,
+            Host: "impress-outfit-images.s3.amazonaws.com",
+          },
+          sourceIPAddress: "192.0.2.3",
+          userAgent: "Mozilla/5.0",
+          awsRegion: "us-east-1",
+        },
+        { eventID: "event-2", eventName: "PutObject" },
+        {
+          eventID: "event-3",
+          eventName: "GetObject",
+          errorCode: "NoSuchKey",
+          requestParameters: { key: KEY },
+        },
+      ],
+    });
+
+    expect(parseLogs(body)).toEqual([
+      {
+        eventId: "event-1",
+        requestId: "3E57427F3EXAMPLE",
+        eventTime: "2021-06-01T12:34:56Z",
+        key: KEY,
+        host: "impress-outfit-images.s3.amazonaws.com",
+        ipAddress: "192.0.2.3",
+        userAgent: "Mozilla/5.0",
+        referrer: null,
+        awsRegion: "us-east-1",
+      },
+    ]);
+  });
+});
+
+describe("s3-access", () => {
+  const { parseLogs } = getLogFormat("2021-06-01-12-34-56-0123456789ABCDEF");
+
+  const line = (operation, key, referrer, userAgent, status = "200") =>
+    `79a59df900b949e55d96a1e698fbacedfd6e09d98eacf8f8d5218e7cd47ef2be ` +
+    `impress-outfit-images [01/Jun/2021:12:34:56 +0000] 192.0.2.3 - ` +
+    `3E57427F3EXAMPLE ${operation} ${key} "GET /${key} HTTP/1.1" ${status} - ` +
+    `1234 1234 7 6 "${referrer}" "${userAgent}" - ` +
+    `s9lzHYrFp76ZVxRcpX9+5cjAnEH2ROuNkd2BHfIa6UkFVdtjf5mKR3/eTPFvsiP/XV/VLi31234= ` +
+    `SigV4 ECDHE-RSA-AES128-GCM-SHA256 AuthHeader ` +
+    `impress-outfit-images.s3.amazonaws.com TLSv1.2 - -`;
+
+  it("parses GET requests for objects", () => {
+    const body = [
+      line(
+        "REST.GET.OBJECT",
+        "outfits/000/894/911/preview.png",
+        "https://www.example.com/forum/thread?id=1",
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64)"
+      ),
+      line("REST.PUT.OBJECT", KEY, "-", "aws-sdk-js/2.0"),
+      line("REST.GET.BUCKET", "-", "-", "S3Console/0.4"),
+      "",
+    ].join("\n");
+
+    expect(parseLogs(body)).toEqual([
+      {
+        eventId: "3E57427F3EXAMPLE",
+        requestId: "3E57427F3EXAMPLE",
+        eventTime: "2021-06-01T12:34:56Z",
+        key: KEY,
+        host: "impress-outfit-images.s3.amazonaws.com",
+        ipAddress: "192.0.2.3",
+        userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64)",
+        referrer: "https://www.example.com/forum/thread?id=1",
+        awsRegion: null,
+      },
+    ]);
+  });
+
+  it("only counts successful requests", () => {
+    const statuses = ["200", "206", "304", "403", "404", "500"];
+    const body = statuses
+      .map((status) => line("REST.GET.OBJECT", KEY, "-", "Mozilla/5.0", status))
+      .join("\n");
+
+    expect(parseLogs(body)).toHaveLength(3);
+  });
+
+  it("leaves out CloudFront's requests to the bucket", () => {
+    const body = [
+      line("REST.GET.OBJECT", KEY, "-", "Amazon CloudFront"),
+      line("REST.GET.OBJECT", KEY, "-", "Mozilla/5.0"),
+    ].join("\n");
+
+    expect(parseLogs(body).map((log) => log.userAgent)).toEqual([
+      "Mozilla/5.0",
+    ]);
+  });
+
+  it("treats - as missing", () => {
+    const [log] = parseLogs(line("REST.GET.OBJECT", KEY, "-", "-"));
+    expect(log.referrer).toBe(null);
+    expect(log.userAgent).toBe(null);
+  });
+
+  it("fails on lines it can't understand", () => {
+    expect(() =>
+      parseLogs(line("REST.GET.OBJECT", KEY, "-", "-").replace("Jun", "Juin"))
+    ).toThrow("Unexpected time in S3 access log");
+  });
+});
+
+describe("cloudfront", () => {
+  const { parseLogs } = getLogFormat("E2EXAMPLE.2021-06-01-12.a1b2c3d4.gz");
+
+  const FIELDS =
+    "date time x-edge-location sc-bytes c-ip cs-method cs(Host) cs-uri-stem " +
+    "sc-status cs(Referer) cs(User-Agent) cs-uri-query cs(Cookie) " +
+    "x-edge-result-type x-edge-request-id x-host-header cs-protocol cs-bytes " +
+    "time-taken";
+  const row = (method, referrer, userAgent, status = "200") =>
+    [
+      "2021-06-01",
+      "12:34:56",
+      "SEA19-C1",
+      "1234",
+      "192.0.2.3",
+      method,
+      "d111111abcdef8.cloudfront.net",
+      `/${KEY}`,
+      status,
+      referrer,
+      userAgent,
+      "-",
+      "-",
+      "Hit",
+      "EXAMPLE_EDGE_ID==",
+      "images.example.net",
+      "https",
+      "123",
+      "0.001",
+    ].join("\t");
+
+  it("parses GET requests, using the #Fields line", () => {
+    const body = [
+      "#Version: 1.0",
+      `#Fields: ${FIELDS}`,
+      row(
+        "GET",
+        "https://www.example.com/forum/thread%3Fid=1",
+        "Mozilla/5.0%20(Windows%20NT%2010.0;%20Win64;%20x64)"
+      ),
+      row("HEAD", "-", "curl/7.64.1"),
+      "",
+    ].join("\n");
+
+    expect(parseLogs(body)).toEqual([
+      {
+        eventId: "EXAMPLE_EDGE_ID==",
+        requestId: "EXAMPLE_EDGE_ID==",
+        eventTime: "2021-06-01T12:34:56Z",
+        key: KEY,
+        host: "images.example.net",
+        ipAddress: "192.0.2.3",
+        userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64)",
+        referrer: "https://www.example.com/forum/thread?id=1",
+        awsRegion: null,
+      },
+    ]);
+  });
+
+  it("only counts successful requests", () => {
+    const body = [
+      `#Fields: ${FIELDS}`,
+      ...["200", "304", "403", "404"].map((status) =>
+        row("GET", "-", "Mozilla/5.0", status)
+      ),
+    ].join("\n");
+
+    expect(parseLogs(body)).toHaveLength(2);
+  });
+
+  it("fails without a #Fields line", () => {
+    expect(() => parseLogs(row("GET", "-", "-"))).toThrow("no #Fields line");
+  });
+});
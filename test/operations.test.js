@@ -0,0 +1,123 @@
+const deleteTags = require("../operations/delete-tags");
+const setStorageClass = require("../operations/set-storage-class");
+const { createMemoryStorage } = require("./helpers/memory-storage");
+
+const KEY = "outfits/000/894/911/preview.png";
+const BACKUP_KEY = KEY + ".bkup";
+
+let originalArgv;
+
+beforeEach(() => {
+  jest.spyOn(console, "info").mockImplementation(() => {});
+  originalArgv = process.argv;
+});
+
+afterEach(() => {
+  process.argv = originalArgv;
+  jest.restoreAllMocks();
+});
+
+function createLedger() {
+  const recordChange = Object.assign(jest.fn(), {
+    beforeWrite: jest.fn(async () => {}),
+  });
+  return {
+    recordChange,
+    beginChange: jest.fn(() => recordChange),
+  };
+}
+
+describe("delete-tags", () => {
+  it("runs on images and their backups", () => {
+    expect(deleteTags.filterKey(KEY)).toBe(true);
+    expect(deleteTags.filterKey(BACKUP_KEY)).toBe(true);
+    expect(deleteTags.filterKey("outfits/README.txt")).toBe(false);
+  });
+
+  it("deletes tags, and records it in the ledger", async () => {
+    const storage = createMemoryStorage({
+      [KEY]: { tagging: { "DTI-Outfit-Image-Kind": "compressed" } },
+    });
+    const ledger = createLedger();
+
+    const result = await deleteTags.run(storage, KEY, { ledger });
+
+    expect(result.didMakeChanges).toBe(true);
+    expect(storage.objects.get(KEY).tagging).toEqual({});
+    expect(ledger.recordChange).toHaveBeenCalledWith("delete-tags", {});
+  });
+
+  it("is a no-op for objects without tags", async () => {
+    const storage = createMemoryStorage({ [KEY]: {} });
+    const ledger = createLedger();
+
+    const result = await deleteTags.run(storage, KEY, { ledger });
+
+    expect(result.didMakeChanges).toBe(false);
+    expect(storage.writes).toEqual([]);
+    expect(ledger.beginChange).not.toHaveBeenCalled();
+  });
+
+  it("doesn't write anything in dry-run mode", async () => {
+    const storage = createMemoryStorage({
+      [KEY]: { tagging: { "DTI-Outfit-Image-Kind": "compressed" } },
+    });
+
+    const result = await deleteTags.run(storage, KEY, {
+      ledger: null,
+      dryRun: true,
+    });
+
+    expect(result.didMakeChanges).toBe(true);
+    expect(storage.writes).toEqual([]);
+  });
+});
+
+describe("set-storage-class", () => {
+  it("moves images to the storage class, keeping their tags", async () => {
+    process.argv = ["node", "run-operation.js", "--storage-class=STANDARD_IA"];
+    const storage = createMemoryStorage({
+      [KEY]: { tagging: { "DTI-Outfit-Image-Kind": "compressed" } },
+    });
+    const ledger = createLedger();
+
+    const result = await setStorageClass.run(storage, KEY, { ledger });
+
+    expect(result.didMakeChanges).toBe(true);
+    expect(storage.objects.get(KEY)).toMatchObject({
+      storageClass: "STANDARD_IA",
+      tagging: { "DTI-Outfit-Image-Kind": "compressed" },
+    });
+    expect(storage.writes).toEqual([
+      expect.objectContaining({ method: "copyObject", acl: "public-read" }),
+    ]);
+    expect(ledger.recordChange).toHaveBeenCalledWith("set-storage-class", {
+      newTag: "compressed",
+      newStorageClass: "STANDARD_IA",
+    });
+  });
+
+  it("is a no-op for images already in the storage class", async () => {
+    process.argv = ["node", "run-operation.js", "--storage-class=STANDARD_IA"];
+    const storage = createMemoryStorage({
+      [KEY]: { storageClass: "STANDARD_IA" },
+    });
+
+    const result = await setStorageClass.run(storage, KEY, { ledger: null });
+
+    expect(result.didMakeChanges).toBe(false);
+    expect(storage.writes).toEqual([]);
+  });
+
+  it("skips backups", () => {
+    expect(setStorageClass.filterKey(KEY)).toBe(true);
+    expect(setStorageClass.filterKey(BACKUP_KEY)).toBe(false);
+  });
+
+  it("requires a valid --storage-class", () => {
+    process.argv = ["node", "run-operation.js", "--storage-class=FANCY"];
+    expect(() => setStorageClass.validate()).toThrow(
+      "--storage-class to be one of"
+    );
+  });
+});
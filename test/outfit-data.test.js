@@ -0,0 +1,126 @@
+const { parse } = require("graphql");
+const fetch = require("node-fetch");
+
+const {
+  loadOutfitData,
+  loadOutfitDataBatch,
+  createOutfitDataLoader,
+  buildBatchQuery,
+} = require("../lib/outfit-data");
+
+beforeEach(() => {
+  jest.spyOn(console, "info").mockImplementation(() => {});
+  fetch.mockClear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("buildBatchQuery", () => {
+  it("builds a valid query with an alias for each outfit", () => {
+    const query = buildBatchQuery(3);
+    expect(() => parse(query)).not.toThrow();
+    expect(query).toContain(
+      "query ApiOutfitImages($outfitId0: ID!, $outfitId1: ID!, $outfitId2: ID!)"
+    );
+    expect(query).toContain("outfit2: outfit(id: $outfitId2)");
+    expect(query).toContain("fragment OutfitForImage on Outfit");
+  });
+});
+
+describe("loadOutfitDataBatch", () => {
+  it("loads several outfits in one request", async () => {
+    const [found, notFound] = await loadOutfitDataBatch(["894911", "1"]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(found.data.outfit.petAppearance.id).toBe("3874");
+    expect(found.errors).toBeUndefined();
+    expect(notFound).toEqual({ data: { outfit: null } });
+  });
+
+  it("gives each outfit its own errors, plus errors for the whole query", async () => {
+    fetch.mockImplementationOnce(async () => ({
+      json: async () => ({
+        data: { outfit0: null, outfit1: null },
+        errors: [
+          { message: "Outfit 1 broke", path: ["outfit1", "petAppearance"] },
+          { message: "Everything is slow" },
+        ],
+      }),
+    }));
+    const [first, second] = await loadOutfitDataBatch(["10", "11"]);
+    expect(first.errors.map((e) => e.message)).toEqual(["Everything is slow"]);
+    expect(second.errors.map((e) => e.message)).toEqual([
+      "Everything is slow",
+      "Outfit 1 broke",
+    ]);
+  });
+
+  it("shares appearances and layers between outfits", async () => {
+    const [a, b] = await loadOutfitDataBatch(["894911", "894911"]);
+    expect(a.data.outfit).not.toBe(b.data.outfit);
+    expect(a.data.outfit.petAppearance).toBe(b.data.outfit.petAppearance);
+    expect(a.data.outfit.itemAppearances[0]).toBe(
+      b.data.outfit.itemAppearances[0]
+    );
+  });
+});
+
+describe("loadOutfitData", () => {
+  it("loads one outfit", async () => {
+    const response = await loadOutfitData("894911");
+    expect(response.data.outfit.petAppearance.pose).toBe("HAPPY_FEM");
+  });
+});
+
+describe("createOutfitDataLoader", () => {
+  it("batches requests that come in at about the same time", async () => {
+    const loadBatch = jest.fn(async (outfitIds) =>
+      outfitIds.map((id) => ({ data: { outfit: { id } } }))
+    );
+    const loader = createOutfitDataLoader({ loadBatch, batchDelayMs: 5 });
+
+    const responses = await Promise.all([
+      loader.load("1"),
+      loader.load("2"),
+      loader.load("1"),
+      loader.load("3"),
+    ]);
+    expect(responses.map((r) => r.data.outfit.id)).toEqual([
+      "1",
+      "2",
+      "1",
+      "3",
+    ]);
+    expect(loadBatch).toHaveBeenCalledTimes(1);
+    expect(loadBatch).toHaveBeenCalledWith(["1", "2", "3"]);
+
+    // Outfits we already loaded come from the cache.
+    await loader.load("2");
+    expect(loadBatch).toHaveBeenCalledTimes(1);
+  });
+
+  it("sends a batch as soon as it's full", async () => {
+    const loadBatch = jest.fn(async (outfitIds) => outfitIds.map(() => ({})));
+    const loader = createOutfitDataLoader({
+      loadBatch,
+      maxBatchSize: 2,
+      batchDelayMs: 5,
+    });
+
+    await Promise.all(["1", "2", "3"].map((id) => loader.load(id)));
+    expect(loadBatch.mock.calls).toEqual([[["1", "2"]], [["3"]]]);
+  });
+
+  it("forgets failed requests, so retries try again", async () => {
+    const loadBatch = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("Network is down"))
+      .mockImplementation(async (outfitIds) => outfitIds.map(() => ({})));
+    const loader = createOutfitDataLoader({ loadBatch, batchDelayMs: 5 });
+
+    await expect(loader.load("1")).rejects.toThrow("Network is down");
+    await expect(loader.load("1")).resolves.toEqual({});
+    expect(loadBatch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,26 @@
+const { parseS3Key } = require("../lib/outfit-keys");
+
+describe("parseS3Key", () => {
+  it("parses the outfit ID and image size from each image filename", () => {
+    expect(parseS3Key("outfits/000/894/911/preview.png")).toEqual({
+      outfitId: 894911,
+      imageSize: 600,
+    });
+    expect(parseS3Key("outfits/000/894/911/medium_preview.png")).toEqual({
+      outfitId: 894911,
+      imageSize: 300,
+    });
+    expect(parseS3Key("outfits/001/234/567/small_preview.png")).toEqual({
+      outfitId: 1234567,
+      imageSize: 150,
+    });
+  });
+
+  it("returns null for keys that aren't outfit images", () => {
+    expect(parseS3Key("outfits/000/894/911/preview.png.bkup")).toBe(null);
+    expect(parseS3Key("outfits/000/894/911/large_preview.png")).toBe(null);
+    expect(parseS3Key("outfits/894/911/preview.png")).toBe(null);
+    expect(parseS3Key("items/000/000/001/preview.png")).toBe(null);
+    expect(parseS3Key("/outfits/000/894/911/preview.png")).toBe(null);
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { openDb } = require("../lib/db");
+const {
+  createSnapshotStore,
+  withSnapshots,
+  prefetchSnapshots,
+} = require("../lib/outfit-snapshots");
+
+let db;
+let store;
+let loadBatch;
+
+beforeEach(async () => {
+  jest.spyOn(console, "info").mockImplementation(() => {});
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "outfit-snapshots-"));
+  db = await openDb(path.join(dir, "db.sqlite3"));
+  store = createSnapshotStore(db);
+
+  // Outfit "404" doesn't exist, and outfit "500" has a server error.
+  loadBatch = jest.fn(async (outfitIds) =>
+    outfitIds.map((outfitId) => {
+      if (outfitId === "404") {
+        return { data: { outfit: null } };
+      } else if (outfitId === "500") {
+        return { data: null, errors: [{ message: "Server error" }] };
+      } else {
+        return { data: { outfit: { id: outfitId } } };
+      }
+    })
+  );
+});
+
+afterEach(async () => {
+  await db.close();
+  jest.restoreAllMocks();
+});
+
+describe("withSnapshots", () => {
+  it("in record mode, saves new outfits, and reuses them after", async () => {
+    const load = withSnapshots(loadBatch, store, { mode: "record" });
+
+    const [first] = await load(["1"]);
+    expect(first).toEqual({
+      data: { outfit: { id: "1" } },
+      fetchedAt: expect.any(String),
+    });
+
+    const [again, other] = await load(["1", "2"]);
+    expect(again).toEqual(first);
+    expect(other.data.outfit.id).toBe("2");
+    expect(loadBatch.mock.calls).toEqual([[["1"]], [["2"]]]);
+  });
+
+  it("doesn't save responses with errors", async () => {
+    const load = withSnapshots(loadBatch, store, { mode: "record" });
+
+    await load(["500"]);
+    await load(["500"]);
+    expect(loadBatch).toHaveBeenCalledTimes(2);
+    expect((await store.getMany(["500"])).size).toBe(0);
+  });
+
+  it("in refresh mode, always loads live, and saves the new data", async () => {
+    await store.save("1", { data: { outfit: { id: "old" } } }, "2021-01-01");
+    const load = withSnapshots(loadBatch, store, { mode: "refresh" });
+
+    const [response] = await load(["1"]);
+    expect(response.data.outfit.id).toBe("1");
+    expect((await store.getMany(["1"])).get("1").response).toEqual({
+      data: { outfit: { id: "1" } },
+    });
+  });
+
+  it("in only mode, never loads live", async () => {
+    await store.save("1", { data: { outfit: { id: "1" } } }, "2021-01-01");
+    const load = withSnapshots(loadBatch, store, { mode: "only" });
+
+    const [found, missing] = await load(["1", "2"]);
+    expect(found).toEqual({
+      data: { outfit: { id: "1" } },
+      fetchedAt: "2021-01-01",
+    });
+    expect(missing).toBeInstanceOf(Error);
+    expect(missing.code).toBe("OutfitNotSnapshotted");
+    expect(loadBatch).not.toHaveBeenCalled();
+  });
+
+  it("in off mode, just uses the loader", () => {
+    expect(withSnapshots(loadBatch, store, { mode: "off" })).toBe(loadBatch);
+    expect(() => withSnapshots(loadBatch, store, { mode: "nope" })).toThrow(
+      "Unexpected snapshot mode"
+    );
+  });
+});
+
+describe("prefetchSnapshots", () => {
+  it("saves snapshots in batches, skipping ones we already have", async () => {
+    await store.save("2", { data: { outfit: { id: "2" } } }, "2021-01-01");
+
+    const counts = await prefetchSnapshots(
+      store,
+      ["1", "2", "3", "404", "500"],
+      { loadBatch, batchSize: 2, numWorkers: 1 }
+    );
+
+    expect(counts).toEqual({
+      numSaved: 3,
+      numSkipped: 1,
+      numNotFound: 1,
+      numFailed: 1,
+    });
+    expect(loadBatch.mock.calls).toEqual([[["1"]], [["3", "404"]], [["500"]]]);
+    expect([...(await store.getMany(["1", "3", "404"])).keys()].sort()).toEqual(
+      ["1", "3", "404"]
+    );
+  });
+
+  it("rejects batch sizes that would never finish", async () => {
+    for (const batchSize of [0, -1, 1.5, NaN]) {
+      await expect(
+        prefetchSnapshots(store, ["1"], { loadBatch, batchSize })
+      ).rejects.toThrow("Batch size must be a positive integer");
+    }
+    expect(loadBatch).not.toHaveBeenCalled();
+  });
+
+  it("with refresh, loads them all again", async () => {
+    await store.save("2", { data: { outfit: { id: "old" } } }, "2021-01-01");
+
+    const counts = await prefetchSnapshots(store, ["1", "2"], {
+      loadBatch,
+      refresh: true,
+    });
+
+    expect(counts).toMatchObject({ numSaved: 2, numSkipped: 0 });
+    expect((await store.getMany(["2"])).get("2").response.data.outfit.id).toBe(
+      "2"
+    );
+  });
+});
@@ -0,0 +1,212 @@
+const fs = require("fs").promises;
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const {
+  createProgressReporter,
+  createProgressReporterFromArgs,
+  formatDuration,
+} = require("../lib/progress");
+
+const KEY_1 = "outfits/000/000/100/preview.png";
+const KEY_2 = "outfits/000/000/250/preview.png";
+
+let eventsPath;
+let time;
+
+beforeEach(async () => {
+  jest.spyOn(console, "info").mockImplementation(() => {});
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "progress-"));
+  eventsPath = path.join(dir, "events.jsonl");
+  time = 1000000;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function createReporter(options = {}) {
+  return createProgressReporter({
+    eventsPath,
+    startOutfitId: 0,
+    lastOutfitId: 1000,
+    now: () => time,
+    ...options,
+  });
+}
+
+async function readEvents() {
+  const lines = (await fs.readFile(eventsPath, "utf8")).trim().split("\n");
+  return lines.map((line) => JSON.parse(line));
+}
+
+describe("createProgressReporter", () => {
+  it("counts results, and estimates how long is left", async () => {
+    const progress = createReporter();
+    await progress.start();
+
+    time += 10000;
+    progress.recordResult(
+      KEY_1,
+      { didMakeChanges: true, originalSize: 1000, newSize: 400 },
+      50
+    );
+    progress.recordResult(KEY_2, { didMakeChanges: false }, 20);
+    progress.recordFailure(KEY_2, new Error("Simulated failure"), 30);
+
+    const stats = progress.getStats();
+    expect(stats).toMatchObject({
+      numKeys: 3,
+      numSuccesses: 1,
+      numNoOps: 1,
+      numFailures: 1,
+      numSavedBytes: 600,
+      keysPerSecond: 0.3,
+      failureRate: 1 / 3,
+      // We're through outfit 250 of 1000, in 10 seconds, so there's 30 left.
+      fractionDone: 0.25,
+      etaSeconds: 30,
+    });
+
+    await progress.stop();
+  });
+
+  it("writes a JSON event for each key", async () => {
+    const progress = createReporter();
+    await progress.start();
+
+    const error = new Error("Simulated failure");
+    error.phase = "backup";
+    progress.recordResult(
+      KEY_1,
+      { key: KEY_1, didMakeChanges: true, durationsMs: { backup: 10 } },
+      50
+    );
+    progress.recordFailure(KEY_2, error, 30);
+    await progress.stop();
+
+    const events = await readEvents();
+    expect(events.map((e) => e.event)).toEqual(["start", "key", "key", "stop"]);
+    expect(events[1]).toMatchObject({
+      key: KEY_1,
+      outcome: "success",
+      durationMs: 50,
+      durationsMs: { backup: 10 },
+    });
+    expect(events[2]).toMatchObject({
+      key: KEY_2,
+      outcome: "failure",
+      phase: "backup",
+      error: "Simulated failure",
+    });
+  });
+
+  it("can't estimate the time left without the last outfit ID", () => {
+    const progress = createReporter({ lastOutfitId: null });
+    progress.recordResult(KEY_1, { didMakeChanges: true }, 50);
+
+    expect(progress.getStats().etaSeconds).toBe(null);
+    progress.logProgress();
+    expect(console.info).toHaveBeenCalledWith(
+      expect.stringContaining("ETA unknown")
+    );
+  });
+
+  it("serves metrics over HTTP", async () => {
+    const progress = createReporter({ metricsPort: 0 });
+    await progress.start();
+    progress.recordResult(KEY_1, { didMakeChanges: true }, 50);
+
+    const body = await new Promise((resolve, reject) => {
+      http
+        .get(`http://127.0.0.1:${progress.metricsPort}/metrics`, (res) => {
+          let data = "";
+          res.on("data", (chunk) => (data += chunk));
+          res.on("end", () => resolve(data));
+        })
+        .on("error", reject);
+    });
+    await progress.stop();
+
+    expect(body).toContain(`bulk_keys_total{outcome="success"} 1`);
+    expect(body).toContain(`bulk_fraction_done 0.1`);
+  });
+
+  it("fails to start if the metrics port is taken", async () => {
+    const otherServer = http.createServer();
+    await new Promise((resolve) => otherServer.listen(0, "127.0.0.1", resolve));
+    const { port } = otherServer.address();
+
+    const progress = createReporter({ metricsPort: port });
+    await expect(progress.start()).rejects.toThrow(
+      `Couldn't serve metrics on port ${port}: listen EADDRINUSE`
+    );
+    await progress.stop();
+    await new Promise((resolve) => otherServer.close(resolve));
+  });
+});
+
+describe("createProgressReporterFromArgs", () => {
+  let originalArgv;
+  beforeEach(() => {
+    originalArgv = process.argv;
+  });
+  afterEach(() => {
+    process.argv = originalArgv;
+  });
+
+  it.each(["0", "-5", "abc"])(
+    "rejects --progress-interval=%s",
+    async (value) => {
+      process.argv = [
+        "node",
+        "backup-all.js",
+        `--progress-interval=${value}`,
+        "--last-outfit-id=1000",
+      ];
+      await expect(
+        createProgressReporterFromArgs("backup-all", { startAfter: null })
+      ).rejects.toThrow(
+        `--progress-interval must be a positive number, but was: ${value}`
+      );
+    }
+  );
+
+  it.each(["0", "-5", "1.5", "abc", ""])(
+    "rejects --last-outfit-id=%s",
+    async (value) => {
+      process.argv = ["node", "backup-all.js", `--last-outfit-id=${value}`];
+      await expect(
+        createProgressReporterFromArgs("backup-all", { startAfter: null })
+      ).rejects.toThrow(
+        `--last-outfit-id must be a positive integer, but was: ${value}`
+      );
+    }
+  );
+
+  it.each(["-1", "65536", "80.5", "abc"])(
+    "rejects --metrics-port=%s",
+    async (value) => {
+      process.argv = [
+        "node",
+        "backup-all.js",
+        `--metrics-port=${value}`,
+        "--last-outfit-id=1000",
+      ];
+      await expect(
+        createProgressReporterFromArgs("backup-all", { startAfter: null })
+      ).rejects.toThrow(
+        `--metrics-port must be an integer from 0 to 65535, but was: ${value}`
+      );
+    }
+  );
+});
+
+describe("formatDuration", () => {
+  it("shows the biggest units", () => {
+    expect(formatDuration(90)).toBe("1m");
+    expect(formatDuration(2 * 3600 + 300)).toBe("2h 5m");
+    expect(formatDuration(3 * 86400 + 4 * 3600)).toBe("3d 4h");
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { createTracer } = require("../lib/tracing");
+
+let tracePath;
+let time;
+
+beforeEach(async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "tracing-"));
+  tracePath = path.join(dir, "trace.json");
+  time = 1000;
+});
+
+function createTestTracer() {
+  return createTracer({ now: () => time });
+}
+
+describe("createTracer", () => {
+  it("just calls the function when it's not tracing", async () => {
+    const tracer = createTestTracer();
+    const result = await tracer.trace("doThing", {}, async () => 42);
+    expect(result).toBe(42);
+    expect(tracer.isTracing).toBe(false);
+    expect(await tracer.stop()).toEqual([]);
+  });
+
+  it("writes spans to a Chrome trace file", async () => {
+    const tracer = createTestTracer();
+    tracer.start(tracePath, { processName: "test-script" });
+
+    const loadThing = tracer.withTrace(
+      async (thingId) => {
+        time += 30;
+        return `thing ${thingId}`;
+      },
+      (thingId) => ({ thingId }),
+      "loadThing"
+    );
+    expect(await loadThing(7)).toBe("thing 7");
+    await tracer.stop();
+
+    const { traceEvents } = JSON.parse(await fs.readFile(tracePath, "utf8"));
+    expect(traceEvents).toEqual([
+      expect.objectContaining({
+        name: "process_name",
+        ph: "M",
+        args: { name: "test-script" },
+      }),
+      expect.objectContaining({
+        name: "loadThing",
+        cat: "app",
+        ph: "b",
+        id: 0,
+        ts: 1000000,
+        args: { thingId: 7 },
+      }),
+      expect.objectContaining({
+        name: "loadThing",
+        cat: "app",
+        ph: "e",
+        id: 0,
+        ts: 1030000,
+        args: {},
+      }),
+    ]);
+  });
+
+  it("records errors, and still throws them", async () => {
+    const tracer = createTestTracer();
+    tracer.start(tracePath);
+
+    await expect(
+      tracer.trace("failThing", {}, async () => {
+        throw new Error("oh no");
+      })
+    ).rejects.toThrow("oh no");
+    const [stats] = await tracer.stop();
+
+    const { traceEvents } = JSON.parse(await fs.readFile(tracePath, "utf8"));
+    expect(traceEvents[1]).toMatchObject({
+      ph: "e",
+      args: { error: "oh no" },
+    });
+    expect(stats).toMatchObject({ name: "failThing", count: 1, numErrors: 1 });
+  });
+
+  it("summarizes each span name's durations", async () => {
+    const tracer = createTestTracer();
+    tracer.start(tracePath);
+
+    const wait = (ms) => async () => {
+      time += ms;
+    };
+    for (const ms of [10, 20, 30, 40]) {
+      await tracer.trace("2. thing", {}, wait(ms));
+    }
+    await tracer.trace("10. otherThing", {}, wait(5));
+    await tracer.trace("1. firstThing", {}, wait(100));
+
+    expect(await tracer.stop()).toEqual([
+      {
+        name: "1. firstThing",
+        count: 1,
+        numErrors: 0,
+        totalMs: 100,
+        meanMs: 100,
+        p50Ms: 100,
+        p95Ms: 100,
+        maxMs: 100,
+      },
+      {
+        name: "2. thing",
+        count: 4,
+        numErrors: 0,
+        totalMs: 100,
+        meanMs: 25,
+        p50Ms: 20,
+        p95Ms: 40,
+        maxMs: 40,
+      },
+      {
+        name: "10. otherThing",
+        count: 1,
+        numErrors: 0,
+        totalMs: 5,
+        meanMs: 5,
+        p50Ms: 5,
+        p95Ms: 5,
+        maxMs: 5,
+      },
+    ]);
+  });
+});
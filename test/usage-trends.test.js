@@ -0,0 +1,162 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { openDb } = require("../lib/db");
+const {
+  DEFAULT_TREND_RULES,
+  rollUpUsage,
+  computeUsageTrends,
+  classifyTrend,
+  getTrendWindows,
+  getRecentWeekStarts,
+} = require("../lib/usage-trends");
+
+let db;
+let nextEventId = 1;
+
+beforeEach(async () => {
+  jest.spyOn(console, "info").mockImplementation(() => {});
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "usage-trends-"));
+  db = await openDb(path.join(dir, "db.sqlite3"));
+});
+
+afterEach(async () => {
+  await db.close();
+  jest.restoreAllMocks();
+});
+
+async function insertLogs(outfitId, day, count, userAgentClass = "browser") {
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    rows.push([String(nextEventId++), `${day}T12:00:00Z`, outfitId]);
+  }
+  await db.run(
+    `
+      INSERT INTO logs (eventId, eventTime, outfitId, imageSize, userAgentClass)
+        VALUES ${rows.map(() => "(?, ?, ?, 600, ?)").join(", ")}
+    `,
+    rows.map((row) => [...row, userAgentClass]).flat()
+  );
+}
+
+describe("rollUpUsage", () => {
+  it("counts requests per day and per Monday-started week", async () => {
+    await insertLogs(1, "2021-05-02", 1); // Sunday
+    await insertLogs(1, "2021-05-03", 2); // Monday
+    await insertLogs(1, "2021-05-09", 1, "crawler"); // Sunday
+
+    await rollUpUsage(db);
+
+    expect(
+      await db.all(
+        `SELECT day, requestCount, humanRequestCount FROM dailyUsage ORDER BY day`
+      )
+    ).toEqual([
+      { day: "2021-05-02", requestCount: 1, humanRequestCount: 1 },
+      { day: "2021-05-03", requestCount: 2, humanRequestCount: 2 },
+      { day: "2021-05-09", requestCount: 1, humanRequestCount: 0 },
+    ]);
+    expect(
+      await db.all(
+        `SELECT weekStart, requestCount, humanRequestCount FROM weeklyUsage ORDER BY weekStart`
+      )
+    ).toEqual([
+      { weekStart: "2021-04-26", requestCount: 1, humanRequestCount: 1 },
+      { weekStart: "2021-05-03", requestCount: 3, humanRequestCount: 2 },
+    ]);
+  });
+});
+
+describe("computeUsageTrends", () => {
+  it("flags rising, steady, decaying, and stopped images", async () => {
+    // Windows of 30 days, as of the latest day in the logs, 2021-06-10:
+    // previous is 2021-04-12 to 2021-05-11, recent is 2021-05-12 to
+    // 2021-06-10.
+    await insertLogs(1, "2021-05-10", 1);
+    await insertLogs(1, "2021-06-10", 5); // rising
+    await insertLogs(2, "2021-05-10", 3);
+    await insertLogs(2, "2021-06-10", 3); // steady
+    await insertLogs(3, "2021-05-10", 10);
+    await insertLogs(3, "2021-06-10", 1); // decaying
+    await insertLogs(4, "2019-01-01", 100); // stopped
+
+    await rollUpUsage(db);
+    const { rules, counts } = await computeUsageTrends(db, {
+      windowDays: 30,
+    });
+
+    expect(rules.asOf).toBe("2021-06-10");
+    expect(counts).toEqual({ rising: 1, steady: 1, decaying: 1, stopped: 1 });
+  });
+
+  it("can count only human requests", async () => {
+    await insertLogs(1, "2021-05-10", 5);
+    await insertLogs(1, "2021-06-10", 5, "crawler");
+
+    await rollUpUsage(db);
+    await computeUsageTrends(db, {
+      asOf: "2021-06-30",
+      windowDays: 30,
+      humansOnly: true,
+    });
+
+    expect(await db.get(`SELECT * FROM usageTrends`)).toMatchObject({
+      outfitId: 1,
+      trend: "stopped",
+      previousRequestCount: 5,
+      recentRequestCount: 0,
+      lastSeenDay: "2021-05-10",
+    });
+  });
+});
+
+describe("classifyTrend", () => {
+  const rules = { ...DEFAULT_TREND_RULES, stoppedAfter: "2021-01-01" };
+
+  it("treats new images as rising", () => {
+    expect(
+      classifyTrend(
+        {
+          recentRequestCount: 1,
+          previousRequestCount: 0,
+          lastSeenDay: "2021-06-01",
+        },
+        rules
+      )
+    ).toBe("rising");
+  });
+
+  it("treats images with no requests after stoppedAfter as stopped", () => {
+    expect(
+      classifyTrend(
+        {
+          recentRequestCount: 0,
+          previousRequestCount: 0,
+          lastSeenDay: "2021-01-01",
+        },
+        rules
+      )
+    ).toBe("stopped");
+  });
+});
+
+describe("getTrendWindows", () => {
+  it("counts back across month and year boundaries", () => {
+    expect(getTrendWindows("2021-01-15", 30)).toEqual({
+      recentStart: "2020-12-16",
+      previousStart: "2020-11-16",
+    });
+  });
+});
+
+describe("getRecentWeekStarts", () => {
+  it("lists the Mondays of the weeks up to the given day", () => {
+    expect(getRecentWeekStarts("2021-05-09", 3)).toEqual([
+      "2021-04-19",
+      "2021-04-26",
+      "2021-05-03",
+    ]);
+    expect(getRecentWeekStarts("2021-05-10", 1)).toEqual(["2021-05-10"]);
+  });
+});
@@ -0,0 +1,62 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { loadUserAgentRules, classifyUserAgent } = require("../lib/user-agents");
+
+describe("classifyUserAgent", () => {
+  const rules = loadUserAgentRules();
+
+  it.each([
+    [
+      "browser",
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.77 Safari/537.36",
+    ],
+    [
+      "browser",
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 14_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.1 Mobile/15E148 Safari/604.1",
+    ],
+    [
+      "crawler",
+      "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)",
+    ],
+    [
+      "crawler",
+      "Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)",
+    ],
+    [
+      "link-preview",
+      "Mozilla/5.0 (compatible; Discordbot/2.0; +https://discordapp.com)",
+    ],
+    [
+      "link-preview",
+      "facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)",
+    ],
+    [
+      "tool",
+      "Mozilla/5.0+(compatible; UptimeRobot/2.0; http://www.uptimerobot.com/)",
+    ],
+    ["tool", "curl/7.64.1"],
+    ["tool", "python-requests/2.25.1"],
+    ["tool", "SomeUnknownThing/1.0"],
+    ["tool", ""],
+    ["tool", null],
+  ])("classifies as %s: %s", (expectedClass, userAgent) => {
+    expect(classifyUserAgent(userAgent, rules)).toBe(expectedClass);
+  });
+});
+
+describe("loadUserAgentRules", () => {
+  it("rejects rules with unknown classes", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "user-agent-rules-"));
+    const rulesPath = path.join(dir, "rules.json");
+    await fs.writeFile(
+      rulesPath,
+      JSON.stringify([{ class: "robot", pattern: "bot" }])
+    );
+
+    expect(() => loadUserAgentRules(rulesPath)).toThrow(
+      'unexpected class "robot"'
+    );
+  });
+});
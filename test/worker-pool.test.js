@@ -0,0 +1,63 @@
+const path = require("path");
+
+const { createWorkerPool } = require("../lib/worker-pool");
+
+const TEST_WORKER_PATH = path.join(__dirname, "helpers", "test-worker.js");
+
+let pool;
+
+afterEach(async () => {
+  await pool.close();
+});
+
+describe("createWorkerPool", () => {
+  it("runs tasks on worker threads", async () => {
+    pool = createWorkerPool(TEST_WORKER_PATH, { size: 2 });
+    expect(await pool.run("add", [2, 3])).toBe(5);
+  });
+
+  it("passes errors back, with their codes", async () => {
+    pool = createWorkerPool(TEST_WORKER_PATH, { size: 1 });
+    await expect(pool.run("fail", ["SomethingBroke"])).rejects.toMatchObject({
+      message: "Task failed",
+      code: "SomethingBroke",
+    });
+    await expect(pool.run("nope")).rejects.toThrow("Unknown worker task");
+  });
+
+  it("rejects sizes that aren't positive integers", () => {
+    for (const size of [0, -1, 1.5, NaN]) {
+      expect(() => createWorkerPool(TEST_WORKER_PATH, { size })).toThrow(
+        "Worker pool size must be a positive integer"
+      );
+    }
+  });
+
+  it("passes Buffers both ways", async () => {
+    pool = createWorkerPool(TEST_WORKER_PATH, { size: 1 });
+    const result = await pool.run("reverseBuffer", [Buffer.from([1, 2, 3])]);
+    expect(result.isBuffer).toBe(true);
+    expect(Buffer.isBuffer(result.reversed)).toBe(true);
+    expect(result.reversed).toEqual(Buffer.from([3, 2, 1]));
+  });
+
+  it("runs one task per thread at a time, on up to `size` threads", async () => {
+    pool = createWorkerPool(TEST_WORKER_PATH, { size: 2 });
+    const threadIds = await Promise.all(
+      [50, 50, 50, 50].map((ms) => pool.run("wait", [ms]))
+    );
+    expect(new Set(threadIds).size).toBe(2);
+  });
+
+  it("replaces threads that crash", async () => {
+    pool = createWorkerPool(TEST_WORKER_PATH, { size: 1 });
+    await expect(pool.run("crash")).rejects.toThrow("exited with code 1");
+    expect(await pool.run("add", [1, 1])).toBe(2);
+  });
+
+  it("fails tasks after it's closed", async () => {
+    pool = createWorkerPool(TEST_WORKER_PATH, { size: 1 });
+    await pool.close();
+    await expect(pool.run("add", [1, 1])).rejects.toThrow("closed");
+  });
+});